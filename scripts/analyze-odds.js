@@ -0,0 +1,31 @@
+/**
+ * Monte Carlo bucket odds for a Pachinko board.
+ *
+ * Usage: npm run odds -- [--board classic] [--drops 1000] [--seed 1] [--class degen]
+ * Prints the JSON report to stdout (progress goes to stderr).
+ */
+
+import { analyzeBoard } from '../src/engine/PachinkoOdds.js';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, '')] = argv[i + 1];
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+const report = await analyzeBoard({
+  board: args.board || 'classic',
+  drops: args.drops ? Number(args.drops) : undefined,
+  seed: args.seed ? Number(args.seed) : undefined,
+  classes: args.class ? args.class.split(',') : undefined,
+  onProgress: (done, total) => {
+    process.stderr.write(`\r${done}/${total} drops`);
+  },
+});
+
+process.stderr.write('\n');
+console.log(JSON.stringify(report, null, 2));
@@ -0,0 +1,191 @@
+/**
+ * Local mock Nitrolite clearnode for offline development.
+ *
+ * Usage: npm run clearnode -- [--port 8547] [--latency 0] [--fail-rate 0]
+ *                             [--fail create,update,close,challenge,finalize] [--hang close]
+ *                             [--challenge-duration 3600]
+ *
+ * Speaks the JSON message subset the app uses over WebSocket:
+ *   → { id, method, params }      methods: create_channel, update_state,
+ *                                 close_channel, challenge_channel,
+ *                                 finalize_channel, get_channel
+ *   ← { id, result } | { id, error: { code, message } }
+ *
+ * State updates are checked like a real counterparty would: channel open,
+ * nonce strictly increasing, EIP-712 signature from the channel's session key.
+ * --fail-rate makes the listed methods (default: all) fail at random,
+ * --hang never answers the listed methods (to exercise client timeouts), e.g.
+ * --hang close forces the app down the challenge path; a short
+ * --challenge-duration lets the challenged channel be finalized right away.
+ *
+ * Point the app at it with VITE_YELLOW_CLEARNODE_URL=ws://localhost:8547.
+ */
+
+import { WebSocketServer } from 'ws';
+import { randomBytes } from 'node:crypto';
+import { verifyStateUpdate } from '../src/utils/yellowTypedData.js';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, '')] = argv[i + 1];
+  }
+  return args;
+}
+
+const METHODS = ['create_channel', 'update_state', 'close_channel', 'challenge_channel', 'finalize_channel', 'get_channel'];
+const SHORT_NAMES = {
+  create: 'create_channel',
+  update: 'update_state',
+  close: 'close_channel',
+  challenge: 'challenge_channel',
+  finalize: 'finalize_channel',
+};
+
+const methodList = (value) =>
+  value ? value.split(',').map((name) => SHORT_NAMES[name] || name) : [];
+
+const args = parseArgs(process.argv.slice(2));
+const config = {
+  port: Number(args.port || 8547),
+  latency: Number(args.latency || 0),
+  failRate: Number(args['fail-rate'] || 0),
+  fail: args.fail ? methodList(args.fail) : METHODS,
+  hang: methodList(args.hang),
+  challengeDuration: Number(args['challenge-duration'] || 3600),
+};
+
+const channels = new Map();
+const hex = (bytes) => `0x${randomBytes(bytes).toString('hex')}`;
+
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+function getOpenChannel(channelId) {
+  const channel = channels.get(channelId);
+  if (!channel) throw new RpcError(404, `Unknown channel ${channelId}`);
+  if (channel.status !== 'open') throw new RpcError(409, `Channel ${channelId} is ${channel.status}`);
+  return channel;
+}
+
+const handlers = {
+  create_channel(params) {
+    const channel = {
+      channelId: hex(32),
+      participant: params.participant,
+      asset: params.asset,
+      amount: params.amount,
+      sessionKey: params.sessionKey,
+      domain: params.domain,
+      nonce: -1,
+      latestState: null,
+      status: 'open',
+      createdAt: Date.now(),
+    };
+    channels.set(channel.channelId, channel);
+    return { channelId: channel.channelId, participant: channel.participant, asset: channel.asset, amount: channel.amount, nonce: 0 };
+  },
+
+  async update_state({ channelId, state }) {
+    const channel = getOpenChannel(channelId);
+    if (!(state.nonce > channel.nonce)) {
+      throw new RpcError(409, `Stale nonce ${state.nonce} (latest ${channel.nonce})`);
+    }
+    if (channel.sessionKey) {
+      const valid = await verifyStateUpdate({ ...state, channelId }, channel.domain, channel.sessionKey);
+      if (!valid) throw new RpcError(401, `Bad signature on nonce ${state.nonce}`);
+    }
+    channel.nonce = state.nonce;
+    channel.latestState = state;
+    return { accepted: true, nonce: state.nonce };
+  },
+
+  close_channel({ channelId, finalBalance }) {
+    const channel = getOpenChannel(channelId);
+    channel.status = 'closed';
+    channel.finalBalance = finalBalance;
+    return { txHash: hex(32), status: 'closed', finalNonce: channel.nonce };
+  },
+
+  async challenge_channel({ channelId, state }) {
+    const channel = getOpenChannel(channelId);
+    if (state && channel.sessionKey) {
+      const valid = await verifyStateUpdate({ ...state, channelId }, channel.domain, channel.sessionKey);
+      if (!valid) throw new RpcError(401, `Bad signature on challenged nonce ${state.nonce}`);
+    }
+    if (state && state.nonce < channel.nonce) {
+      throw new RpcError(409, `Challenge with stale nonce ${state.nonce} (latest ${channel.nonce})`);
+    }
+    channel.status = 'challenged';
+    if (state) channel.latestState = state;
+    channel.challengeExpiresAt = Date.now() + config.challengeDuration * 1000;
+    return { txHash: hex(32), status: 'challenged', challengeExpiresAt: channel.challengeExpiresAt };
+  },
+
+  // Close a challenged channel on its challenged state once the period is over
+  finalize_channel({ channelId }) {
+    const channel = channels.get(channelId);
+    if (!channel) throw new RpcError(404, `Unknown channel ${channelId}`);
+    if (channel.status !== 'challenged') throw new RpcError(409, `Channel ${channelId} is ${channel.status}`);
+    if (Date.now() < channel.challengeExpiresAt) {
+      throw new RpcError(409, `Challenge period runs until ${new Date(channel.challengeExpiresAt).toISOString()}`);
+    }
+    channel.status = 'closed';
+    return { txHash: hex(32), status: 'closed', finalNonce: channel.latestState?.nonce ?? channel.nonce };
+  },
+
+  get_channel({ channelId }) {
+    const channel = channels.get(channelId);
+    if (!channel) throw new RpcError(404, `Unknown channel ${channelId}`);
+    return channel;
+  },
+};
+
+async function handleMessage(socket, raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch {
+    socket.send(JSON.stringify({ id: null, error: { code: 400, message: 'Invalid JSON' } }));
+    return;
+  }
+
+  const { id, method, params = {} } = message;
+  const reply = (body) => setTimeout(() => socket.send(JSON.stringify({ id, ...body })), config.latency);
+
+  if (config.hang.includes(method)) {
+    console.log(`⏸️  ${method} #${id} - not answering (--hang)`);
+    return;
+  }
+
+  try {
+    if (!handlers[method]) throw new RpcError(404, `Unknown method ${method}`);
+    if (config.failRate > 0 && config.fail.includes(method) && Math.random() < config.failRate) {
+      throw new RpcError(503, `Injected failure for ${method}`);
+    }
+    const result = await handlers[method](params);
+    console.log(`✅ ${method} #${id}`, params.channelId || result.channelId || '');
+    reply({ result });
+  } catch (error) {
+    console.log(`❌ ${method} #${id}: ${error.message}`);
+    reply({ error: { code: error.code || 500, message: error.message } });
+  }
+}
+
+const server = new WebSocketServer({ port: config.port });
+
+server.on('connection', (socket) => {
+  console.log('🔌 Client connected');
+  socket.on('message', (raw) => handleMessage(socket, raw.toString()));
+  socket.on('close', () => console.log('🔌 Client disconnected'));
+});
+
+server.on('listening', () => {
+  console.log(`🟡 Mock clearnode listening on ws://localhost:${config.port}`);
+  if (config.failRate > 0) console.log(`   Failing ${config.fail.join(', ')} at rate ${config.failRate}`);
+  if (config.hang.length) console.log(`   Never answering ${config.hang.join(', ')}`);
+});
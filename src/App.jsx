@@ -1,16 +1,34 @@
 import React, { useState, useEffect } from 'react';
 import { useAccount, useWriteContract, useWaitForTransactionReceipt, useSwitchChain, useWalletClient, usePublicClient } from 'wagmi';
 import { ConnectButton } from '@rainbow-me/rainbowkit';
-import { Info, Coins, Zap, Fingerprint, ChevronDown, ChevronUp } from 'lucide-react';
+import { Info, Coins, Zap, Fingerprint, ChevronDown, ChevronUp, Layers, Gamepad2, Keyboard } from 'lucide-react';
 import { PachinkoGame } from './components/PachinkoGame.jsx';
+import { PinballMode } from './components/PinballMode.jsx';
 import { SettlementModal } from './components/SettlementModal.jsx';
 import { ContractTester } from './components/ContractTester.jsx';
+import { InputSettings } from './components/InputSettings.jsx';
+import { ResumeChannelPrompt } from './components/ResumeChannelPrompt.jsx';
+import { ChannelInspector } from './components/ChannelInspector.jsx';
 import { useYieldBallClass, formatAddress, getMockClass } from './hooks/useEnsIdentity.js';
+import { useInputProfile, useInputBindings } from './hooks/useInputBindings.js';
+import { describeKeys } from './engine/GameInput.js';
 import { BALL_CONFIGS } from './engine/PachinkoEngine.js';
-import { VAULT_ADDRESS, VAULT_ABI, TARGET_CHAIN_ID } from './config/wagmi.js';
+import { BOARD_PRESETS, DEFAULT_BOARD_ID } from './engine/PachinkoBoards.js';
+import { VAULT_ABI } from './config/wagmi.js';
+import { useDeployment } from './hooks/useDeployment.js';
 import { Galaxy } from './components/ui/Galaxy.jsx';
 import { ShinyText, ShinyButton, GlassmorphicCard } from './components/ui/ShinyText.jsx';
-import { initializeYellowNetwork, createGameSession } from './utils/yellowNetwork.js';
+import { initializeYellowNetwork, YellowSession } from './utils/yellowNetwork.js';
+import { loadOpenChannels } from './utils/channelStore.js';
+
+// Split principal mode: the 100 USDC is spread evenly across this many balls
+const SPLIT_OPTIONS = [1, 3, 5];
+
+// Game modes - both share the deposit gate, Yellow session and SettlementModal
+const GAME_MODES = [
+  { id: 'pachinko', label: '🎰 Pachinko', description: 'Drop balls into DeFi buckets' },
+  { id: 'pinball', label: '🕹️ Pinball', description: 'Flip for bumper yield until you drain' },
+];
 
 function App() {
   const { isConnected, address, chainId } = useAccount();
@@ -18,13 +36,26 @@ function App() {
   const { switchChain } = useSwitchChain();
   const { data: walletClient } = useWalletClient();
   const publicClient = usePublicClient();
+  const deployment = useDeployment(); // Contracts for the connected (or default) chain
+
+  // Key / gamepad bindings follow the connected wallet
+  useInputProfile();
+  const pinballKeys = useInputBindings('pinball');
+  const pachinkoKeys = useInputBindings('pachinko');
   
   // Game state
   const [isPlaying, setIsPlaying] = useState(false);
   const [settlement, setSettlement] = useState(null);
   const [showHowItWorks, setShowHowItWorks] = useState(false);
   const [isDepositLoading, setIsDepositLoading] = useState(false);
-  const [yellowInitialized, setYellowInitialized] = useState(false);
+  const [yellowWallet, setYellowWallet] = useState(null); // Wallet client the Yellow client was set up with
+  const [isWatchingReplay, setIsWatchingReplay] = useState(false);
+  const [ballsPerRound, setBallsPerRound] = useState(1);
+  const [gameMode, setGameMode] = useState('pachinko');
+  const [pinballRound, setPinballRound] = useState(0); // Remounts the table on Play Again
+  const [showControls, setShowControls] = useState(false);
+  const [staleChannels, setStaleChannels] = useState([]); // Open channels left by a reload
+  const [activeSession, setActiveSession] = useState(null); // Current round's YellowSession (inspector)
 
   // Deposit transaction hooks
   const { 
@@ -45,6 +76,10 @@ function App() {
   // Check if we're on the test route
   const isTestRoute = window.location.pathname === '/test' || window.location.search.includes('test=true');
 
+  // Board preset override for designers, e.g. ?board=diamond
+  const boardParam = new URLSearchParams(window.location.search).get('board');
+  const boardId = BOARD_PRESETS[boardParam] ? boardParam : DEFAULT_BOARD_ID;
+
   // Use mock class for demo if not connected or no ENS class
   const effectiveClass = yieldballClass !== 'default' ? yieldballClass : getMockClass(address);
   const effectiveBallConfig = BALL_CONFIGS[effectiveClass] || BALL_CONFIGS.default;
@@ -52,28 +87,88 @@ function App() {
   // Transaction Gate: Only start game after deposit is confirmed
   useEffect(() => {
     if (isDepositSuccess) {
-      console.log('%c✅ Deposit confirmed on Base Sepolia! Unlocking game...', 'color: #22c55e; font-weight: bold;');
+      console.log(`%c✅ Deposit confirmed on ${deployment.name}! Unlocking game...`, 'color: #22c55e; font-weight: bold;');
       setIsPlaying(true);
       setIsDepositLoading(false);
     }
   }, [isDepositSuccess]);
 
-  // Initialize Yellow Network when wallet connects
+  // Initialize Yellow Network when wallet connects - and again when the
+  // account or chain changes, since sessions sign for the deployment's chain
   useEffect(() => {
-    if (isConnected && address && walletClient && publicClient && !yellowInitialized) {
+    if (isConnected && address && walletClient && publicClient && yellowWallet !== walletClient) {
       console.log('%c🟡 Initializing Yellow Network SDK...', 'color: #fbbf24; font-weight: bold;');
       initializeYellowNetwork(walletClient, publicClient, chainId)
         .then(() => {
-          setYellowInitialized(true);
+          setYellowWallet(walletClient);
           console.log('%c✅ Yellow Network ready for state channels', 'color: #22c55e; font-weight: bold;');
         })
         .catch(err => {
           console.error('⚠️ Yellow Network init failed, running in simulation mode:', err);
-          setYellowInitialized(true); // Still allow gameplay
+          setYellowWallet(walletClient); // Still allow gameplay
         });
     }
-  }, [isConnected, address, walletClient, publicClient, chainId, yellowInitialized]);
+  }, [isConnected, address, walletClient, publicClient, chainId, yellowWallet]);
+
+  // Look for channels a reload left open (per wallet + the chain sessions
+  // run on, which is the deployment's)
+  useEffect(() => {
+    if (!isConnected || !address) {
+      setStaleChannels([]);
+      return;
+    }
+    let cancelled = false;
+    loadOpenChannels(address, deployment.chainId).then((records) => {
+      if (cancelled || records.length === 0) return;
+      console.log(`%c🟡 Found ${records.length} unfinished Yellow channel(s)`, 'color: #fbbf24; font-weight: bold;');
+      setStaleChannels(records);
+    });
+    return () => { cancelled = true; };
+  }, [isConnected, address, deployment.chainId]);
+
+  // Stale channels can only be closed once the Yellow client is set up for this wallet
+  const isYellowReady = !!walletClient && yellowWallet === walletClient;
+
+  const dropStaleChannel = (record) => {
+    setStaleChannels((records) => records.filter((r) => r.channel.channelId !== record.channel.channelId));
+  };
+
+  // Restore a stale channel; the prompt only loses it once the close is
+  // confirmed, and a channel that ends up disputed shows its challenge
+  const restoreStaleChannel = (record) => {
+    const session = YellowSession.restore(record, { persist: true });
+    session.on('closed', () => dropStaleChannel(record));
+    session.on('challenged', () => {
+      const updated = { ...record, ...session.snapshot() };
+      setStaleChannels((records) => records.map((r) => (r.channel.channelId === record.channel.channelId ? updated : r)));
+    });
+    return session;
+  };
+
+  // Resume prompt: settle the stale channel through the SettlementModal.
+  // Failures reject to the prompt, which keeps the record and shows the error.
+  const handleResumeFinish = async (record) => {
+    const session = restoreStaleChannel(record);
+    const channelState = await session.finishRestored();
+    if (!channelState) throw new Error('Channel could not be closed');
 
+    setSettlement({
+      mode: 'resumed',
+      bucket: { label: 'Resumed', multiplier: 1, color: '#fbbf24' },
+      pegHits: session.pegHits,
+      baseYield: channelState.finalYield,
+      finalYield: channelState.finalYield,
+      multiplier: 1,
+      channelStatus: channelState.dispute && channelState.dispute.status !== 'finalized' ? 'disputed' : 'settled',
+      channelState,
+      channelError: null,
+      session,
+      sessionDuration: ((channelState.closedAt || Date.now()) - session.startedAt) / 1000,
+    });
+  };
+
+  // Resume prompt: cooperatively close the stale channel, no withdrawal
+  // (a channel that stays disputed is kept in the store until finalized)
   const handleStartGame = async () => {
     // DO NOT start game immediately - trigger deposit transaction first
     setIsDepositLoading(true);
@@ -81,10 +176,10 @@ function App() {
     
     try {
       // Check if on correct chain
-      if (chainId !== TARGET_CHAIN_ID) {
-        console.log('🔄 Switching to Base Sepolia...');
+      if (chainId !== deployment.chainId) {
+        console.log(`🔄 Switching to ${deployment.name}...`);
         try {
-          await switchChain({ chainId: TARGET_CHAIN_ID });
+          await switchChain({ chainId: deployment.chainId });
         } catch (err) {
           console.error('Failed to switch chain:', err);
           setIsDepositLoading(false);
@@ -92,19 +187,16 @@ function App() {
         }
       }
 
-      // Create Yellow Network state channel before deposit
-      console.log('%c🟡 Creating Yellow Network state channel...', 'color: #fbbf24; font-weight: bold;');
-      await createGameSession(address, 100); // 100 USDC deposit
-
+      // Yellow Network channels are opened per round by the game (YellowSession)
       console.log('%c💰 Calling Vault deposit(100 USDC)...', 'color: #fbbf24; font-weight: bold;');
       
       // Call vault deposit function with 100 USDC (100000000 = 100 * 10^6)
       writeContract({
-        address: VAULT_ADDRESS,
+        address: deployment.vault,
         abi: VAULT_ABI,
         functionName: 'deposit',
         args: [BigInt(100000000)],
-        chainId: TARGET_CHAIN_ID,
+        chainId: deployment.chainId,
         gas: 150000n,
       });
     } catch (error) {
@@ -113,6 +205,7 @@ function App() {
     }
   };
 
+  // Takes the settlement, or an updater (games patch in the channel result)
   const handleSettlement = (settlementData) => {
     setSettlement(settlementData);
   };
@@ -120,11 +213,14 @@ function App() {
   const handleWithdraw = () => {
     console.log('%c💸 Withdrawing from Aave V3 Vault...', 'color: #22c55e; font-weight: bold;');
     setSettlement(null);
+    setIsWatchingReplay(false);
     setIsPlaying(false);
   };
 
   const handlePlayAgain = () => {
     setSettlement(null);
+    setIsWatchingReplay(false);
+    setPinballRound((round) => round + 1);
   };
 
   // Render Contract Tester if on test route
@@ -367,12 +463,101 @@ function App() {
               </div>
             </div>
 
+            {/* Game Mode Selector */}
+            <GlassmorphicCard className="p-4 mb-8" glowColor="#ff006e">
+              <div className="flex items-center justify-between gap-4">
+                <div className="flex items-center gap-3">
+                  <Gamepad2 className="w-5 h-5 text-neon-pink" />
+                  <div>
+                    <p className="font-mono text-white text-sm">Game Mode</p>
+                    <p className="text-gray-500 font-mono text-xs">
+                      {GAME_MODES.find((mode) => mode.id === gameMode).description}
+                    </p>
+                  </div>
+                </div>
+                <div className="flex gap-2">
+                  {GAME_MODES.map((mode) => (
+                    <button
+                      key={mode.id}
+                      onClick={() => setGameMode(mode.id)}
+                      className={`px-3 py-1 rounded-lg font-mono text-sm border transition-all ${
+                        gameMode === mode.id
+                          ? 'border-neon-pink text-neon-pink bg-neon-pink/10'
+                          : 'border-white/10 text-gray-400 hover:text-white'
+                      }`}
+                    >
+                      {mode.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            </GlassmorphicCard>
+
+            {/* Controls - rebind keys and gamepad */}
+            <GlassmorphicCard className="p-4 mb-8" glowColor="#8b5cf6">
+              <div className="flex items-center justify-between gap-4">
+                <div className="flex items-center gap-3">
+                  <Keyboard className="w-5 h-5 text-neon-purple" />
+                  <div>
+                    <p className="font-mono text-white text-sm">Controls</p>
+                    <p className="text-gray-500 font-mono text-xs">
+                      Rebind flipper, launch, nudge and drop keys
+                    </p>
+                  </div>
+                </div>
+                <button
+                  onClick={() => setShowControls(!showControls)}
+                  className="flex items-center gap-1 px-3 py-1 rounded-lg font-mono text-sm border border-white/10 text-gray-400 hover:text-white transition-all"
+                >
+                  {showControls ? 'Done' : 'Customize'}
+                  {showControls ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                </button>
+              </div>
+              {showControls && (
+                <div className="mt-4 pt-4 border-t border-white/10">
+                  <InputSettings initialGame={gameMode} address={address} />
+                </div>
+              )}
+            </GlassmorphicCard>
+
+            {/* Split Principal Selector (Pachinko only) */}
+            {gameMode === 'pachinko' && (
+              <GlassmorphicCard className="p-4 mb-8" glowColor="#00f5ff">
+                <div className="flex items-center justify-between gap-4">
+                  <div className="flex items-center gap-3">
+                    <Layers className="w-5 h-5 text-neon-cyan" />
+                    <div>
+                      <p className="font-mono text-white text-sm">Split Principal</p>
+                      <p className="text-gray-500 font-mono text-xs">
+                        Drop several balls per round - payout uses the average multiplier
+                      </p>
+                    </div>
+                  </div>
+                  <div className="flex gap-2">
+                    {SPLIT_OPTIONS.map((count) => (
+                      <button
+                        key={count}
+                        onClick={() => setBallsPerRound(count)}
+                        className={`px-3 py-1 rounded-lg font-mono text-sm border transition-all ${
+                          ballsPerRound === count
+                            ? 'border-neon-cyan text-neon-cyan bg-neon-cyan/10'
+                            : 'border-white/10 text-gray-400 hover:text-white'
+                        }`}
+                      >
+                        {count} {count === 1 ? 'ball' : 'balls'}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              </GlassmorphicCard>
+            )}
+
             {/* Start Button with Transaction Gate */}
             <div className="flex flex-col items-center gap-3">
               {/* Loading Message */}
               {(isDepositPending || isDepositConfirming) && (
                 <ShinyText variant="cyan" speed="fast" className="text-sm">
-                  {isDepositPending ? 'Confirm transaction in wallet...' : 'Staking on Base Sepolia...'}
+                  {isDepositPending ? 'Confirm transaction in wallet...' : `Staking on ${deployment.name}...`}
                 </ShinyText>
               )}
               
@@ -388,7 +573,7 @@ function App() {
                   className="text-lg"
                   disabled={isDepositLoading || isDepositPending || isDepositConfirming}
                 >
-                  {(isDepositPending || isDepositConfirming) ? 'STAKING ON BASE SEPOLIA...' : 'DEPOSIT 100 USDC & PLAY'}
+                  {(isDepositPending || isDepositConfirming) ? `STAKING ON ${deployment.name.toUpperCase()}...` : 'DEPOSIT 100 USDC & PLAY'}
                 </ShinyButton>
               ) : (
                 <div className="text-center">
@@ -407,18 +592,45 @@ function App() {
                 {' '}
                 <ShinyText variant="cyan" speed="fast">ON</ShinyText>
               </h2>
-              <p className="text-gray-500 font-mono text-xs mt-1">
-                Click at the top to drop your ball!
-              </p>
+              {gameMode === 'pinball' ? (
+                <p className="text-gray-500 font-mono text-xs mt-1">
+                  {describeKeys(pinballKeys, 'launch')} to launch, {describeKeys(pinballKeys, 'flipLeft')} / {describeKeys(pinballKeys, 'flipRight')} to flip - yield accrues until the ball drains!
+                </p>
+              ) : (
+                <>
+                  <p className="text-gray-500 font-mono text-xs mt-1">
+                    {ballsPerRound > 1
+                      ? `Click at the top to drop your ${ballsPerRound} balls!`
+                      : 'Click at the top to drop your ball!'}
+                  </p>
+                  <p className="text-gray-600 font-mono text-xs mt-1">
+                    Keyboard: {describeKeys(pachinkoKeys, 'left')} / {describeKeys(pachinkoKeys, 'right')} aim • {describeKeys(pachinkoKeys, 'spinUp')} / {describeKeys(pachinkoKeys, 'spinDown')} spin • hold {describeKeys(pachinkoKeys, 'drop')} for power • Gamepad supported
+                  </p>
+                </>
+              )}
             </div>
 
-            <PachinkoGame
-              ensClass={effectiveClass}
-              ensName={ensName || formatAddress(address)}
-              ensAvatar={ensAvatar}
-              ballConfig={effectiveBallConfig}
-              onSettlement={handleSettlement}
-            />
+            {gameMode === 'pinball' ? (
+              <PinballMode
+                key={pinballRound}
+                ensClass={effectiveClass}
+                onSettlement={handleSettlement}
+                onSessionOpen={setActiveSession}
+              />
+            ) : (
+              <PachinkoGame
+                ensClass={effectiveClass}
+                ensName={ensName || formatAddress(address)}
+                ensAvatar={ensAvatar}
+                ballConfig={effectiveBallConfig}
+                board={boardId}
+                ballsPerRound={ballsPerRound}
+                onSettlement={handleSettlement}
+                onSessionOpen={setActiveSession}
+                replay={isWatchingReplay ? settlement?.replay : null}
+                onReplayClose={() => setIsWatchingReplay(false)}
+              />
+            )}
 
             <button
               onClick={() => setIsPlaying(false)}
@@ -430,13 +642,27 @@ function App() {
         )}
       </main>
 
+      {/* Channel activity inspector (toggleable drawer) */}
+      {isPlaying && <ChannelInspector session={activeSession} />}
+
+      {/* Resume prompt for channels left open by a reload */}
+      {!isPlaying && !settlement && staleChannels.length > 0 && (
+        <ResumeChannelPrompt
+          channels={staleChannels}
+          isReady={isYellowReady}
+          onFinish={handleResumeFinish}
+          onDismiss={() => setStaleChannels([])}
+        />
+      )}
+
       {/* Settlement Modal with Deep Blur */}
       <SettlementModal
-        isOpen={!!settlement}
+        isOpen={!!settlement && !isWatchingReplay}
         settlement={settlement}
         principal={100}
         onWithdraw={handleWithdraw}
         onPlayAgain={handlePlayAgain}
+        onWatchReplay={() => setIsWatchingReplay(true)}
       />
 
       {/* Footer */}
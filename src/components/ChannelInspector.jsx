@@ -0,0 +1,207 @@
+import React, { useState, useMemo } from 'react';
+import { Activity, X, Download, Search } from 'lucide-react';
+import { useChannelActivity } from '../hooks/useChannelActivity.js';
+
+const TYPE_COLORS = {
+  SESSION_START: '#00f5ff',
+  PEG_HIT: '#fbbf24',
+  PEG_HIT_BATCH: '#fbbf24',
+  BUCKET_LAND: '#ff006e',
+  FAILED: '#f87171',
+};
+
+const FILTERS = ['ALL', 'SESSION_START', 'PEG_HIT_BATCH', 'PEG_HIT', 'BUCKET_LAND', 'FAILED'];
+
+const shortHash = (hash) => (hash ? `${hash.slice(0, 10)}...${hash.slice(-4)}` : 'unsigned');
+
+// One row per signed update, plus one per reported failure
+function toRows({ updates, failures }) {
+  const rows = updates.map((update) => ({
+    key: `u-${update.nonce}`,
+    type: update.data.type,
+    nonce: update.nonce,
+    yieldDelta: update.data.yieldDelta,
+    signature: update.signature,
+    latencyMs: update.latencyMs,
+    live: update.live,
+    at: update.timestamp,
+    detail: update.data,
+  }));
+  failures.forEach((failure, i) => rows.push({
+    key: `f-${i}`,
+    type: 'FAILED',
+    nonce: null,
+    at: failure.at,
+    detail: failure,
+  }));
+  return rows.sort((a, b) => a.at - b.at);
+}
+
+function matches(row, filter, query) {
+  if (filter !== 'ALL' && row.type !== filter) return false;
+  if (!query) return true;
+  const haystack = `${row.type} ${row.nonce ?? ''} ${row.signature ?? ''} ${JSON.stringify(row.detail)}`.toLowerCase();
+  return haystack.includes(query.toLowerCase());
+}
+
+/**
+ * Channel activity inspector - a drawer listing every Yellow state update of
+ * the current round (type, nonce, yield delta, signature, latency), with
+ * type/text filters and a JSON export of the full signed log.
+ */
+export function ChannelInspector({ session }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [filter, setFilter] = useState('ALL');
+  const [query, setQuery] = useState('');
+  const [expanded, setExpanded] = useState(null);
+  const activity = useChannelActivity(session);
+
+  const rows = useMemo(() => toRows(activity), [activity]);
+  const visible = rows.filter((row) => matches(row, filter, query));
+
+  const handleExport = () => {
+    const log = {
+      channelId: session?.channel?.channelId || null,
+      mode: session?.mode,
+      status: session?.status,
+      sessionKey: session?.sessionKey.address,
+      authorization: session?.authorization,
+      domain: session?.domain,
+      exportedAt: new Date().toISOString(),
+      updates: activity.updates,
+      failures: activity.failures,
+    };
+    const blob = new Blob([JSON.stringify(log, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `yieldball-channel-${(log.channelId || 'session').slice(0, 18)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  if (!isOpen) {
+    return (
+      <button
+        onClick={() => setIsOpen(true)}
+        className="fixed bottom-4 right-4 z-40 px-3 py-2 bg-black/60 border border-white/10 rounded-lg backdrop-blur-md text-gray-300 font-mono text-xs flex items-center gap-2 hover:text-white hover:border-neon-cyan/50 transition-all"
+      >
+        <Activity className="w-4 h-4 text-[#fbbf24]" />
+        Channel Activity ({activity.updates.length})
+      </button>
+    );
+  }
+
+  return (
+    <aside className="fixed top-0 right-0 z-40 h-full w-full max-w-sm bg-[#0a0a0f]/95 border-l border-white/10 backdrop-blur-xl flex flex-col">
+      {/* Header */}
+      <div className="flex items-center justify-between p-4 border-b border-white/10">
+        <div className="flex items-center gap-2">
+          <Activity className="w-4 h-4 text-[#fbbf24]" />
+          <span className="text-white text-sm font-semibold">Channel Activity</span>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={handleExport}
+            disabled={!session}
+            className="p-1.5 text-gray-400 hover:text-white transition-colors disabled:opacity-40"
+            title="Export JSON"
+          >
+            <Download className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => setIsOpen(false)}
+            className="p-1.5 text-gray-400 hover:text-white transition-colors"
+            title="Close"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {/* Session summary */}
+      <div className="px-4 py-2 border-b border-white/10 font-mono text-xs text-gray-500">
+        {session?.channel ? (
+          <>
+            <p className="truncate">{session.channel.channelId}</p>
+            <p>
+              {session.isSimulated ? 'simulated' : 'live'} • {session.status} • {activity.updates.length} updates
+              {activity.failures.length > 0 && <span className="text-red-400"> • {activity.failures.length} failures</span>}
+            </p>
+          </>
+        ) : (
+          <p>No channel open yet - drop a ball to start a session.</p>
+        )}
+      </div>
+
+      {/* Filters */}
+      <div className="px-4 py-3 border-b border-white/10 space-y-2">
+        <div className="flex items-center gap-2 bg-white/5 border border-white/10 rounded-lg px-2">
+          <Search className="w-3 h-3 text-gray-500" />
+          <input
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Filter by nonce, signature, peg..."
+            className="flex-1 bg-transparent py-1.5 text-white font-mono text-xs outline-none placeholder-gray-600"
+          />
+        </div>
+        <div className="flex flex-wrap gap-1">
+          {FILTERS.map((type) => (
+            <button
+              key={type}
+              onClick={() => setFilter(type)}
+              className={`px-2 py-0.5 rounded-full font-mono text-[10px] border transition-all ${
+                filter === type ? 'bg-white/10 text-white border-white/30' : 'text-gray-500 border-white/10 hover:text-gray-300'
+              }`}
+            >
+              {type}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Update log */}
+      <div className="flex-1 overflow-y-auto">
+        {visible.length === 0 && (
+          <p className="p-4 text-gray-600 font-mono text-xs">No updates match.</p>
+        )}
+        {visible.map((row) => (
+          <div
+            key={row.key}
+            onClick={() => setExpanded(expanded === row.key ? null : row.key)}
+            className="px-4 py-2 border-b border-white/5 cursor-pointer hover:bg-white/5 font-mono text-xs"
+          >
+            <div className="flex items-center justify-between">
+              <span style={{ color: TYPE_COLORS[row.type] }}>
+                {row.nonce !== null && <span className="text-gray-500">#{row.nonce} </span>}
+                {row.type}
+              </span>
+              {row.type === 'FAILED' ? (
+                <span className="text-gray-500">{row.detail.stage}</span>
+              ) : (
+                <span className="text-[#7df9ff]">{row.yieldDelta !== undefined ? `+$${Number(row.yieldDelta).toFixed(6)}` : ''}</span>
+              )}
+            </div>
+            {row.type === 'FAILED' ? (
+              <p className="text-red-400 mt-0.5 truncate">{row.detail.message}</p>
+            ) : (
+              <div className="flex items-center justify-between text-gray-500 mt-0.5">
+                <span>{shortHash(row.signature)}</span>
+                <span>
+                  {row.latencyMs !== undefined ? `${row.latencyMs}ms` : '—'} • {row.live ? 'live' : 'local'}
+                </span>
+              </div>
+            )}
+            {expanded === row.key && (
+              <pre className="mt-2 p-2 bg-black/40 rounded text-[10px] text-gray-400 overflow-x-auto">
+                {JSON.stringify(row.detail, null, 2)}
+              </pre>
+            )}
+          </div>
+        ))}
+      </div>
+    </aside>
+  );
+}
+
+export default ChannelInspector;
@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from 'react';
+import { Radio, Scale, CheckCircle, AlertCircle, Loader2, RotateCcw, LockOpen } from 'lucide-react';
+import { SESSION_EVENTS } from '../utils/yellowNetwork.js';
+
+const STATUS_STYLES = {
+  opening: { label: 'Opening', color: '#7df9ff' },
+  open: { label: 'Open', color: '#7df9ff' },
+  closing: { label: 'Closing', color: '#fbbf24' },
+  disputed: { label: 'Challenged', color: '#fbbf24' },
+  closed: { label: 'Closed', color: '#22c55e' },
+};
+
+const formatCountdown = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+  return `${h > 0 ? `${h}:` : ''}${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+};
+
+const shortHash = (hash) => (hash ? `${hash.slice(0, 10)}...${hash.slice(-6)}` : '—');
+
+/**
+ * Live status of a round's Yellow channel. When a cooperative close fails the
+ * session challenges on-chain; this panel shows the challenge countdown and
+ * lets the player retry the challenge or finalize once it has expired.
+ */
+export function ChannelStatusPanel({ session }) {
+  const [, setVersion] = useState(0);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Re-render on every session event
+  useEffect(() => {
+    if (!session) return;
+    const refresh = () => setVersion((v) => v + 1);
+    const unsubscribers = SESSION_EVENTS.map((event) => session.on(event, refresh));
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, [session]);
+
+  const dispute = session?.dispute;
+  const isCountingDown = dispute?.status === 'challenged' && session.challengeRemainingMs > 0;
+
+  // Tick the challenge countdown
+  useEffect(() => {
+    if (!isCountingDown) return;
+    const timer = setInterval(() => setVersion((v) => v + 1), 1000);
+    return () => clearInterval(timer);
+  }, [isCountingDown]);
+
+  if (!session?.channel) return null;
+
+  const status = STATUS_STYLES[session.status] || STATUS_STYLES.open;
+  const remaining = session.challengeRemainingMs;
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    const failures = [];
+    const unsubscribe = session.on('failed', ({ error: err }) => failures.push(err));
+    try {
+      await action();
+      if (failures.length) setError(failures[failures.length - 1].message);
+    } finally {
+      unsubscribe();
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="rounded-lg p-3 mb-6 border bg-white/5 border-white/10">
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center gap-2">
+          {dispute ? <Scale className="w-4 h-4" style={{ color: status.color }} /> : <Radio className="w-4 h-4" style={{ color: status.color }} />}
+          <span className="text-white text-sm">Yellow Channel</span>
+        </div>
+        <span
+          className="px-2 py-0.5 rounded-full text-xs font-mono border"
+          style={{ color: status.color, borderColor: `${status.color}40` }}
+        >
+          {session.isSimulated ? `${status.label} (sim)` : status.label}
+        </span>
+      </div>
+
+      <div className="space-y-1 font-mono text-xs">
+        <div className="flex justify-between text-gray-500">
+          <span>Channel</span>
+          <span className="text-gray-300">{shortHash(session.channel.channelId)}</span>
+        </div>
+        <div className="flex justify-between text-gray-500">
+          <span>Latest nonce</span>
+          <span className="text-gray-300">{Math.max(0, session.nonce)}</span>
+        </div>
+        {session.channelState?.settlementTx && (
+          <div className="flex justify-between text-gray-500">
+            <span>Settlement tx</span>
+            <span className="text-green-400">{shortHash(session.channelState.settlementTx)}</span>
+          </div>
+        )}
+        {dispute?.challengeTx && (
+          <div className="flex justify-between text-gray-500">
+            <span>Challenge tx</span>
+            <span className="text-[#fbbf24]">{shortHash(dispute.challengeTx)}</span>
+          </div>
+        )}
+      </div>
+
+      {dispute?.status === 'challenged' && (
+        <div className="mt-3">
+          <p className="text-gray-400 text-xs mb-2">
+            The counterparty did not co-sign the close. Nonce {dispute.state?.nonce} was submitted to the adjudicator
+            {remaining > 0 ? ' - it can be finalized when the challenge period ends.' : ' and the challenge period is over.'}
+          </p>
+          <button
+            onClick={() => run(() => session.finalizeChallenge())}
+            disabled={busy || remaining > 0}
+            className="w-full py-2 bg-white/10 hover:bg-white/20 border border-white/20 rounded-lg text-white text-sm flex items-center justify-center gap-2 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {busy ? <Loader2 className="w-4 h-4 animate-spin" /> : <LockOpen className="w-4 h-4" />}
+            {remaining > 0 ? `Finalize in ${formatCountdown(remaining)}` : 'Finalize Channel'}
+          </button>
+        </div>
+      )}
+
+      {dispute?.status === 'failed' && (
+        <div className="mt-3">
+          <p className="text-red-400 text-xs mb-2">Challenge could not be submitted: {dispute.error}</p>
+          <button
+            onClick={() => run(() => session.challenge())}
+            disabled={busy}
+            className="w-full py-2 bg-white/10 hover:bg-white/20 border border-white/20 rounded-lg text-white text-sm flex items-center justify-center gap-2 transition-all disabled:opacity-50"
+          >
+            {busy ? <Loader2 className="w-4 h-4 animate-spin" /> : <RotateCcw className="w-4 h-4" />}
+            Retry Challenge
+          </button>
+        </div>
+      )}
+
+      {dispute?.status === 'finalized' && (
+        <div className="flex items-center gap-2 mt-3">
+          <CheckCircle className="w-4 h-4 text-green-400" />
+          <span className="text-green-400 text-xs">Finalized on the challenged state</span>
+        </div>
+      )}
+
+      {error && (
+        <div className="flex items-center gap-2 mt-2">
+          <AlertCircle className="w-3 h-3 text-red-400" />
+          <span className="text-red-400 text-xs">{error}</span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ChannelStatusPanel;
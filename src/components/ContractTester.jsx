@@ -8,19 +8,20 @@ import {
 } from 'wagmi';
 import { parseUnits, formatUnits } from 'viem';
 import { 
-  VAULT_ADDRESS, 
   VAULT_ABI,
-  YBT_TOKEN_ADDRESS,
   YBT_ABI,
-  GAME_CONTRACT_ADDRESS,
   GAME_ABI,
-  TARGET_CHAIN_ID,
   config
 } from '../config/wagmi.js';
+import { explorerUrl } from '../config/deployments.js';
+import { useDeployment } from '../hooks/useDeployment.js';
 import { Loader2, CheckCircle, XCircle, AlertTriangle } from 'lucide-react';
+import { OddsAnalyzer } from './OddsAnalyzer.jsx';
 
 // Test result component
 const TestResult = ({ status, message, txHash }) => {
+  const deployment = useDeployment();
+  const txUrl = explorerUrl(deployment, 'tx', txHash);
   const statusColors = {
     pending: 'text-yellow-400',
     success: 'text-green-400',
@@ -39,9 +40,9 @@ const TestResult = ({ status, message, txHash }) => {
     <div className={`flex items-center gap-2 ${statusColors[status]} font-mono text-sm`}>
       {statusIcons[status]}
       <span>{message}</span>
-      {txHash && (
+      {txUrl && (
         <a 
-          href={`https://sepolia.basescan.org/tx/${txHash}`}
+          href={txUrl}
           target="_blank"
           rel="noopener noreferrer"
           className="text-blue-400 hover:underline ml-2"
@@ -56,6 +57,7 @@ const TestResult = ({ status, message, txHash }) => {
 export function ContractTester() {
   const { address, isConnected, chainId } = useAccount();
   const { switchChain } = useSwitchChain();
+  const deployment = useDeployment();
 
   // ============================================================
   // STATE FOR ALL TESTS
@@ -154,7 +156,7 @@ export function ContractTester() {
   
   // YBT Balance
   const { data: ybtBalance, refetch: refetchYbtBalance } = useReadContract({
-    address: YBT_TOKEN_ADDRESS,
+    address: deployment.ybtToken,
     abi: YBT_ABI,
     functionName: 'balanceOf',
     args: [address],
@@ -163,14 +165,14 @@ export function ContractTester() {
 
   // YBT Total Supply
   const { data: ybtTotalSupply, refetch: refetchTotalSupply } = useReadContract({
-    address: YBT_TOKEN_ADDRESS,
+    address: deployment.ybtToken,
     abi: YBT_ABI,
     functionName: 'totalSupply',
   });
 
   // Player Stats from Game Contract
   const { data: playerStats, refetch: refetchPlayerStats } = useReadContract({
-    address: GAME_CONTRACT_ADDRESS,
+    address: deployment.game,
     abi: GAME_ABI,
     functionName: 'getPlayerStats',
     args: [address],
@@ -179,7 +181,7 @@ export function ContractTester() {
 
   // Game Contract Token Balance
   const { data: gameTokenBalance, refetch: refetchGameBalance } = useReadContract({
-    address: GAME_CONTRACT_ADDRESS,
+    address: deployment.game,
     abi: GAME_ABI,
     functionName: 'getTokenBalance',
   });
@@ -190,8 +192,8 @@ export function ContractTester() {
 
   const handleSwitchNetwork = async () => {
     try {
-      await switchChain({ chainId: TARGET_CHAIN_ID });
-      updateTestResult('network', 'success', 'Switched to Base Sepolia');
+      await switchChain({ chainId: deployment.chainId });
+      updateTestResult('network', 'success', `Switched to ${deployment.name}`);
     } catch (err) {
       updateTestResult('network', 'error', err.message);
     }
@@ -213,7 +215,7 @@ export function ContractTester() {
       const amountWei = parseUnits(depositAmount, 6); // USDC has 6 decimals
       
       writeDeposit({
-        address: VAULT_ADDRESS,
+        address: deployment.vault,
         abi: VAULT_ABI,
         functionName: 'deposit',
         args: [amountWei],
@@ -233,7 +235,7 @@ export function ContractTester() {
       const yieldWei = parseUnits(withdrawYield, 6);
       
       writeWithdraw({
-        address: VAULT_ADDRESS,
+        address: deployment.vault,
         abi: VAULT_ABI,
         functionName: 'withdraw',
         args: [principalWei, yieldWei],
@@ -252,7 +254,7 @@ export function ContractTester() {
       const amountWei = parseUnits(mintAmount, 18); // YBT has 18 decimals
       
       writeMint({
-        address: YBT_TOKEN_ADDRESS,
+        address: deployment.ybtToken,
         abi: YBT_ABI,
         functionName: 'mint',
         args: [address, amountWei],
@@ -272,7 +274,7 @@ export function ContractTester() {
       const amountWei = parseUnits('1', 18);
       
       writeTransfer({
-        address: YBT_TOKEN_ADDRESS,
+        address: deployment.ybtToken,
         abi: YBT_ABI,
         functionName: 'transfer',
         args: [address, amountWei], // Transfer to self for testing
@@ -289,7 +291,7 @@ export function ContractTester() {
       updateTestResult('reward', 'pending', 'Initiating reward...');
       
       writeReward({
-        address: GAME_CONTRACT_ADDRESS,
+        address: deployment.game,
         abi: GAME_ABI,
         functionName: 'rewardWinner',
         args: [address],
@@ -355,24 +357,27 @@ export function ContractTester() {
     return (
       <div className="min-h-screen bg-gray-900 text-white p-8">
         <h1 className="text-3xl font-bold mb-4">🧪 YieldBall Contract Tester</h1>
-        <p className="text-yellow-400">Please connect your wallet to test contracts.</p>
+        <p className="text-yellow-400 mb-8">Please connect your wallet to test contracts.</p>
+
+        {/* Physics tooling doesn't need a wallet */}
+        <OddsAnalyzer />
       </div>
     );
   }
 
-  const isWrongNetwork = chainId !== TARGET_CHAIN_ID;
+  const isWrongNetwork = chainId !== deployment.chainId;
 
   return (
     <div className="min-h-screen bg-gray-900 text-white p-8">
       <h1 className="text-3xl font-bold mb-2">🧪 YieldBall Contract Tester</h1>
-      <p className="text-gray-400 mb-8">Test all contract functions on Base Sepolia</p>
+      <p className="text-gray-400 mb-8">Test all contract functions on {deployment.name}</p>
 
       {/* Network Status */}
       <div className="mb-8 p-4 rounded-lg bg-gray-800 border border-gray-700">
         <h2 className="text-xl font-bold mb-4">🌐 Network Status</h2>
         <div className="flex items-center gap-4">
           <span className={isWrongNetwork ? 'text-red-400' : 'text-green-400'}>
-            {isWrongNetwork ? '❌ Wrong Network' : '✅ Connected to Base Sepolia'}
+            {isWrongNetwork ? '❌ Wrong Network' : `✅ Connected to ${deployment.name}`}
           </span>
           <span className="text-gray-500">Chain ID: {chainId}</span>
           {isWrongNetwork && (
@@ -380,7 +385,7 @@ export function ContractTester() {
               onClick={handleSwitchNetwork}
               className="px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded-lg font-mono"
             >
-              Switch to Base Sepolia
+              Switch to {deployment.name}
             </button>
           )}
         </div>
@@ -394,23 +399,23 @@ export function ContractTester() {
           <div className="flex justify-between">
             <span className="text-gray-400">Vault/Game:</span>
             <a 
-              href={`https://sepolia.basescan.org/address/${VAULT_ADDRESS}`}
+              href={explorerUrl(deployment, 'address', deployment.vault) || undefined}
               target="_blank"
               rel="noopener noreferrer"
               className="text-blue-400 hover:underline"
             >
-              {VAULT_ADDRESS}
+              {deployment.vault || 'Not deployed'}
             </a>
           </div>
           <div className="flex justify-between">
             <span className="text-gray-400">YBT Token:</span>
             <a 
-              href={`https://sepolia.basescan.org/address/${YBT_TOKEN_ADDRESS}`}
+              href={explorerUrl(deployment, 'address', deployment.ybtToken) || undefined}
               target="_blank"
               rel="noopener noreferrer"
               className="text-blue-400 hover:underline"
             >
-              {YBT_TOKEN_ADDRESS}
+              {deployment.ybtToken || 'Not deployed'}
             </a>
           </div>
           <div className="flex justify-between">
@@ -617,6 +622,9 @@ export function ContractTester() {
         </div>
       </div>
 
+      {/* PACHINKO ODDS */}
+      <OddsAnalyzer />
+
       {/* Quick Actions */}
       <div className="p-4 rounded-lg bg-gray-800 border border-gray-700">
         <h2 className="text-xl font-bold mb-4">⚡ Quick Test Sequence</h2>
@@ -657,8 +665,10 @@ export function ContractTester() {
 
       {/* Footer */}
       <div className="mt-8 text-center text-gray-500 text-sm">
-        <p>Make sure you have Base Sepolia ETH for gas fees!</p>
-        <p>Get testnet ETH from <a href="https://www.coinbase.com/faucets/base-ethereum-goerli-faucet" target="_blank" rel="noopener noreferrer" className="text-blue-400 hover:underline">Base Sepolia Faucet</a></p>
+        <p>Make sure you have {deployment.name} ETH for gas fees!</p>
+        {deployment.faucet && (
+          <p>Get testnet ETH from <a href={deployment.faucet} target="_blank" rel="noopener noreferrer" className="text-blue-400 hover:underline">{deployment.name} Faucet</a></p>
+        )}
       </div>
     </div>
   );
@@ -2,6 +2,8 @@ import React from 'react';
 import { useAccount, useEnsName } from 'wagmi';
 import { NeonText } from './ui/NeonElements.jsx';
 import { PLAYER_CLASSES } from '../engine/PinballEngine.js';
+import { describeKeys } from '../engine/GameInput.js';
+import { useInputBindings } from '../hooks/useInputBindings.js';
 
 export function GameHUD({ 
   score, 
@@ -9,6 +11,9 @@ export function GameHUD({
   principal,
   playerClass,
   yieldMultiplier = 1,
+  ballsRemaining,
+  ballsPerSession,
+  mission,
   isPlaying 
 }) {
   const { address } = useAccount();
@@ -68,6 +73,25 @@ export function GameHUD({
         </div>
       </div>
 
+      {/* Mission Progress - Left of the table */}
+      {mission && (
+        <div className="absolute top-20 -left-60 w-56 pointer-events-none z-10 hidden lg:block">
+          <div className="bg-cyber-darker/90 backdrop-blur-sm border border-neon-yellow/50 rounded-lg px-3 py-2">
+            <div className="flex justify-between items-center">
+              <span className="text-xs text-neon-yellow font-cyber font-bold uppercase tracking-wider">🏆 {mission.name}</span>
+              <span className="text-xs text-gray-400 font-cyber">{mission.progress}/{mission.total}</span>
+            </div>
+            <p className="text-[10px] text-gray-400 font-cyber mt-0.5">{mission.description}</p>
+            <div className="h-1 mt-1 bg-gray-700 rounded-full overflow-hidden">
+              <div
+                className="h-full bg-neon-yellow transition-all"
+                style={{ width: `${(mission.progress / mission.total) * 100}%` }}
+              />
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Score Display - Right */}
       <div className="absolute top-2 right-2 pointer-events-none z-10">
         <div className="bg-cyber-darker/90 backdrop-blur-sm border border-neon-pink/50 rounded-lg p-2 text-right">
@@ -75,6 +99,11 @@ export function GameHUD({
           <NeonText color="pink" className="font-arcade text-lg">
             {score.toLocaleString()}
           </NeonText>
+          {ballsPerSession > 0 && (
+            <p className="text-xs text-gray-400 font-cyber mt-1">
+              Balls: {'●'.repeat(ballsRemaining)}{'○'.repeat(ballsPerSession - ballsRemaining)}
+            </p>
+          )}
         </div>
       </div>
     </>
@@ -83,25 +112,32 @@ export function GameHUD({
 
 export function ControlsHint({ playerClass }) {
   const classSettings = PLAYER_CLASSES[playerClass] || PLAYER_CLASSES.default;
+  const bindings = useInputBindings('pinball');
+  const nudgeKeys = ['nudgeLeft', 'nudgeUp', 'nudgeRight'].map((action) => describeKeys(bindings, action)).join(' ');
 
   return (
     <div className="absolute -bottom-20 left-0 right-0 flex justify-center pointer-events-none z-10">
       <div className="bg-cyber-darker/90 backdrop-blur-sm border border-neon-purple/30 rounded-lg px-4 py-2">
         <div className="flex items-center gap-4 text-xs font-cyber">
           <div className="flex items-center gap-1">
-            <kbd className="px-2 py-1 bg-neon-pink/20 border border-neon-pink/50 rounded text-neon-pink">A/←</kbd>
+            <kbd className="px-2 py-1 bg-neon-pink/20 border border-neon-pink/50 rounded text-neon-pink">{describeKeys(bindings, 'flipLeft')}</kbd>
             <span className="text-gray-500">Left</span>
           </div>
           
           <div className="flex items-center gap-1">
-            <kbd className="px-2 py-1 bg-neon-cyan/20 border border-neon-cyan/50 rounded text-neon-cyan">D/→</kbd>
+            <kbd className="px-2 py-1 bg-neon-cyan/20 border border-neon-cyan/50 rounded text-neon-cyan">{describeKeys(bindings, 'flipRight')}</kbd>
             <span className="text-gray-500">Right</span>
           </div>
           
           <div className="flex items-center gap-1">
-            <kbd className="px-2 py-1 bg-neon-purple/20 border border-neon-purple/50 rounded text-neon-purple">SPACE</kbd>
+            <kbd className="px-2 py-1 bg-neon-purple/20 border border-neon-purple/50 rounded text-neon-purple">Hold {describeKeys(bindings, 'launch')}</kbd>
             <span className="text-gray-500">Launch</span>
           </div>
+
+          <div className="flex items-center gap-1">
+            <kbd className="px-2 py-1 bg-neon-yellow/20 border border-neon-yellow/50 rounded text-neon-yellow">{nudgeKeys}</kbd>
+            <span className="text-gray-500">Nudge</span>
+          </div>
         </div>
         
         <p className="text-center text-xs text-gray-600 mt-1 font-cyber">
@@ -109,7 +145,7 @@ export function ControlsHint({ playerClass }) {
         </p>
         
         <p className="text-center text-xs text-gray-500 mt-1 font-cyber md:hidden">
-          📱 Tap left/right to flip • Double-tap to launch
+          📱 Tap left/right to flip • Double-tap to launch • Swipe up to nudge
         </p>
       </div>
     </div>
@@ -0,0 +1,148 @@
+import React, { useState, useEffect } from 'react';
+import { RotateCcw } from 'lucide-react';
+import {
+  INPUT_ACTIONS,
+  ACTION_LABELS,
+  saveKeyBinding,
+  saveGamepadBinding,
+  resetInputBindings,
+  readGamepad,
+  detectGamepadInput,
+  keyLabel,
+  gamepadLabel,
+} from '../engine/GameInput.js';
+import { useInputBindings } from '../hooks/useInputBindings.js';
+import { formatAddress } from '../hooks/useEnsIdentity.js';
+
+const GAMES = [
+  { id: 'pinball', label: '🕹️ Pinball' },
+  { id: 'pachinko', label: '🎰 Pachinko' },
+];
+
+const GAMEPAD_CAPTURE_MS = 5000;
+
+/**
+ * Controls panel - rebind keyboard keys and gamepad inputs for either game.
+ * Click a binding, then press the new key / button (Esc cancels).
+ * Bindings are saved per wallet address through GameInput.js.
+ */
+export function InputSettings({ initialGame = 'pinball', address }) {
+  const [game, setGame] = useState(initialGame);
+  const [capturing, setCapturing] = useState(null); // { device, action }
+  const bindings = useInputBindings(game);
+
+  useEffect(() => setGame(initialGame), [initialGame]);
+
+  // Keyboard capture - the next key press becomes the action's key
+  useEffect(() => {
+    if (!capturing) return;
+
+    const handleKeyDown = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.key !== 'Escape' && capturing.device === 'keyboard') {
+        saveKeyBinding(game, capturing.action, [e.key]);
+      }
+      setCapturing(null);
+    };
+
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [capturing, game]);
+
+  // Gamepad capture - wait for the pad to be idle, then take the next input
+  useEffect(() => {
+    if (capturing?.device !== 'gamepad') return;
+
+    let frame;
+    let armed = false;
+    const deadline = performance.now() + GAMEPAD_CAPTURE_MS;
+
+    const poll = () => {
+      const input = detectGamepadInput(readGamepad());
+      if (!input) {
+        armed = true;
+      } else if (armed) {
+        saveGamepadBinding(game, capturing.action, [input]);
+        setCapturing(null);
+        return;
+      }
+      if (performance.now() > deadline) {
+        setCapturing(null);
+        return;
+      }
+      frame = requestAnimationFrame(poll);
+    };
+
+    frame = requestAnimationFrame(poll);
+    return () => cancelAnimationFrame(frame);
+  }, [capturing, game]);
+
+  const isCapturing = (device, action) => capturing?.device === device && capturing.action === action;
+
+  const bindingButton = (device, action, labels) => (
+    <button
+      onClick={() => setCapturing(isCapturing(device, action) ? null : { device, action })}
+      className={`min-w-[7rem] px-2 py-1 rounded border font-mono text-xs transition-all ${
+        isCapturing(device, action)
+          ? 'border-neon-yellow text-neon-yellow bg-neon-yellow/10 animate-pulse'
+          : 'border-white/10 text-gray-300 hover:border-neon-cyan hover:text-neon-cyan'
+      }`}
+    >
+      {isCapturing(device, action)
+        ? (device === 'keyboard' ? 'Press a key…' : 'Press a button…')
+        : (labels.length ? labels.join(' / ') : '—')}
+    </button>
+  );
+
+  return (
+    <div>
+      <div className="flex items-center justify-between gap-4 mb-3">
+        <div className="flex gap-2">
+          {GAMES.map((option) => (
+            <button
+              key={option.id}
+              onClick={() => { setGame(option.id); setCapturing(null); }}
+              className={`px-3 py-1 rounded-lg font-mono text-sm border transition-all ${
+                game === option.id
+                  ? 'border-neon-purple text-neon-purple bg-neon-purple/10'
+                  : 'border-white/10 text-gray-400 hover:text-white'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <button
+          onClick={() => { resetInputBindings(game); setCapturing(null); }}
+          className="flex items-center gap-1 text-gray-500 font-mono text-xs hover:text-white transition-colors"
+        >
+          <RotateCcw className="w-3 h-3" />
+          Reset defaults
+        </button>
+      </div>
+
+      <div className="grid grid-cols-[1fr_auto_auto] gap-x-3 gap-y-2 items-center">
+        <span className="text-gray-600 font-mono text-xs">Action</span>
+        <span className="text-gray-600 font-mono text-xs">Keyboard</span>
+        <span className="text-gray-600 font-mono text-xs">Gamepad</span>
+        {INPUT_ACTIONS[game].map((action) => (
+          <React.Fragment key={action}>
+            <span className="text-white font-mono text-sm">{ACTION_LABELS[action]}</span>
+            {bindingButton('keyboard', action, bindings.keyboard[action].map(keyLabel))}
+            {bindingButton('gamepad', action, bindings.gamepad[action].map(gamepadLabel))}
+          </React.Fragment>
+        ))}
+      </div>
+
+      <p className="text-gray-600 font-mono text-xs mt-3">
+        {address
+          ? `Saved for ${formatAddress(address)} on this device.`
+          : 'Saved as guest - connect a wallet to keep bindings per address.'}
+        {' '}A key or button only drives one action; rebinding moves it.
+      </p>
+    </div>
+  );
+}
+
+export default InputSettings;
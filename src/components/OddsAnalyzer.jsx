@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import { Loader2 } from 'lucide-react';
+import { analyzeBoard, ODDS_DEFAULTS } from '../engine/PachinkoOdds.js';
+import { BOARD_PRESETS, DEFAULT_BOARD_ID } from '../engine/PachinkoBoards.js';
+import { BALL_CONFIGS } from '../engine/PachinkoEngine.js';
+
+/**
+ * Monte Carlo bucket odds panel for the /test route.
+ * Runs headless drops per ENS class and charts the landing distribution.
+ */
+export function OddsAnalyzer() {
+  const [board, setBoard] = useState(DEFAULT_BOARD_ID);
+  const [drops, setDrops] = useState('500');
+  const [progress, setProgress] = useState(null);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  const isRunning = progress !== null;
+
+  const handleRun = async () => {
+    setError(null);
+    setReport(null);
+    setProgress({ done: 0, total: 1 });
+
+    try {
+      const result = await analyzeBoard({
+        board,
+        drops: Math.max(1, Number(drops) || ODDS_DEFAULTS.drops),
+        onProgress: (done, total) => setProgress({ done, total }),
+      });
+      setReport(result);
+      console.log('%c🎲 Bucket odds report', 'color: #00f5ff; font-weight: bold;', result);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `yieldball-odds-${report.board}-${report.drops}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="mb-8 p-4 rounded-lg bg-gray-800 border border-cyan-500">
+      <h2 className="text-xl font-bold mb-2 text-cyan-400">🎲 Bucket Odds Analyzer</h2>
+      <p className="text-gray-400 text-sm mb-4">
+        Seeded headless drops across the drop zone for every ENS class
+      </p>
+
+      <div className="flex flex-wrap gap-4 items-center mb-4">
+        <select
+          value={board}
+          onChange={(e) => setBoard(e.target.value)}
+          disabled={isRunning}
+          className="px-3 py-2 bg-gray-900 border border-gray-600 rounded-lg font-mono"
+        >
+          {Object.values(BOARD_PRESETS).map((preset) => (
+            <option key={preset.id} value={preset.id}>{preset.name}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="1"
+          value={drops}
+          onChange={(e) => setDrops(e.target.value)}
+          disabled={isRunning}
+          className="px-3 py-2 bg-gray-900 border border-gray-600 rounded-lg w-28 font-mono"
+        />
+        <span className="text-gray-400">drops / class</span>
+        <button
+          onClick={handleRun}
+          disabled={isRunning}
+          className="px-6 py-2 bg-cyan-600 hover:bg-cyan-700 disabled:bg-gray-600 disabled:cursor-not-allowed rounded-lg font-bold"
+        >
+          {isRunning ? (
+            <span className="flex items-center gap-2">
+              <Loader2 className="w-4 h-4 animate-spin" />
+              {progress.done}/{progress.total}
+            </span>
+          ) : (
+            'Run Simulation'
+          )}
+        </button>
+        {report && (
+          <button
+            onClick={handleDownload}
+            className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg font-mono text-sm"
+          >
+            ⬇ JSON
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-red-400 font-mono text-sm mb-4">{error}</p>}
+
+      {report && (
+        <div className="grid md:grid-cols-3 gap-4">
+          {Object.values(report.classes).map((result) => {
+            const config = BALL_CONFIGS[result.ensClass] || BALL_CONFIGS.default;
+            return (
+              <div key={result.ensClass} className="p-3 bg-gray-900 rounded-lg">
+                <h3 className="font-bold mb-3" style={{ color: config.color }}>{config.label}</h3>
+
+                {/* Landing distribution */}
+                <div className="flex items-end gap-1 h-32 mb-2">
+                  {result.buckets.map((bucket, i) => (
+                    <div key={i} className="flex-1 flex flex-col items-center justify-end h-full">
+                      <span className="text-[10px] text-gray-400 font-mono mb-1">
+                        {(bucket.probability * 100).toFixed(1)}%
+                      </span>
+                      <div
+                        className="w-full rounded-t"
+                        style={{ height: `${bucket.probability * 100}%`, backgroundColor: bucket.multiplier >= 5 ? '#ff006e' : '#00f5ff' }}
+                      />
+                    </div>
+                  ))}
+                </div>
+                <div className="flex gap-1 mb-3">
+                  {result.buckets.map((bucket, i) => (
+                    <span key={i} className="flex-1 text-center text-[10px] text-gray-500 font-mono truncate">
+                      {bucket.label} {bucket.multiplier}x
+                    </span>
+                  ))}
+                </div>
+
+                <div className="grid grid-cols-2 gap-1 text-xs font-mono">
+                  <span className="text-gray-400">E[multiplier]</span>
+                  <span className="text-yellow-400 text-right">{result.expectedMultiplier}x</span>
+                  <span className="text-gray-400">Mean peg hits</span>
+                  <span className="text-right">{result.meanPegHits}</span>
+                  <span className="text-gray-400">Mean peg bonus</span>
+                  <span className="text-right">${result.meanBonusYield}</span>
+                  <span className="text-gray-400">Drops nudged</span>
+                  <span className="text-right">{(result.nudgeRate * 100).toFixed(1)}%</span>
+                  <span className="text-gray-400">Stuck (no landing)</span>
+                  <span className={`text-right ${result.stuck ? 'text-red-400' : ''}`}>
+                    {(result.stuckRate * 100).toFixed(1)}%
+                  </span>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default OddsAnalyzer;
@@ -1,8 +1,11 @@
-import React, { useRef, useEffect, useState, useCallback } from 'react';
-import { PachinkoEngine, BUCKETS } from '../engine/PachinkoEngine.js';
-import { signPegHit, signBallDrop, signBucketLand, closeChannel } from '../utils/yellowNetwork.js';
-import { Coins, Zap, TrendingUp, User, Rocket, Fish } from 'lucide-react';
+import React, { useRef, useEffect, useState, useCallback, useMemo } from 'react';
+import { PachinkoEngine } from '../engine/PachinkoEngine.js';
+import { resolveBoard, boardHash, DEFAULT_BOARD_ID } from '../engine/PachinkoBoards.js';
+import { useAccount } from 'wagmi';
+import { YellowSession } from '../utils/yellowNetwork.js';
+import { Coins, Zap, TrendingUp, User, Rocket, Fish, Layers } from 'lucide-react';
 import { ShinyText, ShinyBadge, GlassmorphicCard } from './ui/ShinyText.jsx';
+import { ReplayControls } from './ReplayControls.jsx';
 
 // ENS Class icons
 const CLASS_ICONS = {
@@ -16,20 +19,45 @@ export function PachinkoGame({
   ensName,
   ensAvatar,
   ballConfig,
+  board = DEFAULT_BOARD_ID,
+  ballsPerRound = 1,
   onSettlement,
+  onSessionOpen,
+  replay,
+  onReplayClose,
 }) {
   const containerRef = useRef(null);
   const engineRef = useRef(null);
   const yieldIntervalRef = useRef(null);
   const initializedRef = useRef(false);
+  const sessionRef = useRef(null); // YellowSession for the current round
+
+  // Engine callbacks are bound once, so read props they need through refs
+  const { address } = useAccount();
+  const addressRef = useRef(address);
+  addressRef.current = address;
+  const ensClassRef = useRef(ensClass); // ENS class resolves after mount
+  ensClassRef.current = ensClass;
+  const yieldMultiplierRef = useRef(ballConfig.yieldMultiplier);
+  yieldMultiplierRef.current = ballConfig.yieldMultiplier;
+  const sessionStartRef = useRef(null); // Round start time, for sessionDuration
 
   // Game state
   const [isPlaying, setIsPlaying] = useState(false);
   const [liveYield, setLiveYield] = useState(0);
+  const liveYieldRef = useRef(0); // Settlement reads this - the state is for display
   const [pegHits, setPegHits] = useState(0);
-  const [sessionStartTime, setSessionStartTime] = useState(null);
+  const [ballsLanded, setBallsLanded] = useState(0);
   const [isPegHitFlash, setIsPegHitFlash] = useState(false);
 
+  // Parsed board definition (preset id, JSON string or object)
+  const boardDef = useMemo(() => resolveBoard(board), [board]);
+
+  const addLiveYield = useCallback((amount) => {
+    liveYieldRef.current += amount;
+    setLiveYield(liveYieldRef.current);
+  }, []);
+
   // Yield accumulation: $0.0001 per second while ball is in play
   // OPTIMIZED: Use 2-second interval instead of 1-second for better performance
   useEffect(() => {
@@ -42,7 +70,7 @@ export function PachinkoGame({
     }
 
     yieldIntervalRef.current = setInterval(() => {
-      setLiveYield(prev => prev + 0.0002 * ballConfig.yieldMultiplier);
+      addLiveYield(0.0002 * ballConfig.yieldMultiplier);
     }, 2000);
 
     return () => {
@@ -50,12 +78,12 @@ export function PachinkoGame({
         clearInterval(yieldIntervalRef.current);
       }
     };
-  }, [isPlaying, ballConfig.yieldMultiplier]);
+  }, [isPlaying, ballConfig.yieldMultiplier, addLiveYield]);
 
-  // Handle peg hit - add $0.005 and sign state update
-  const handlePegHit = useCallback((hitCount, pegId) => {
-    const yieldAmount = 0.005 * ballConfig.yieldMultiplier;
-    setLiveYield(prev => prev + yieldAmount);
+  // Handle peg hit - add $0.005 (plus any bonus peg payout) and sign state update
+  const handlePegHit = useCallback((hitCount, pegId, ballIndex, effect) => {
+    const yieldAmount = 0.005 * yieldMultiplierRef.current + (effect?.bonus || 0);
+    addLiveYield(yieldAmount);
     setPegHits(hitCount);
     
     // Flash effect for yield counter
@@ -63,48 +91,79 @@ export function PachinkoGame({
     setTimeout(() => setIsPegHitFlash(false), 200);
     
     // Yellow Network: Sign state update for each peg hit
-    signPegHit(pegId, hitCount, yieldAmount);
-  }, [ballConfig.yieldMultiplier]);
+    sessionRef.current?.signPegHit(pegId, hitCount, yieldAmount);
+  }, [addLiveYield]);
+
+  // Handle a single ball landing (the round settles once every ball is in)
+  const handleBucketLand = useCallback(() => {
+    setBallsLanded(prev => prev + 1);
+  }, []);
 
-  // Handle bucket landing
-  const handleBucketLand = useCallback((bucketData, totalPegHits) => {
+  // Handle round completion - every ball of the round has landed
+  const handleRoundComplete = useCallback((round) => {
     setIsPlaying(false);
+
+    // Split principal: the round multiplier is the average across balls
+    const bucketLabel = round.balls.map((ball) => ball.bucket.label).join('+');
+    const bucket = round.balls.length === 1
+      ? round.balls[0].bucket
+      : { label: bucketLabel, multiplier: round.multiplier, color: '#7df9ff' };
     
     // Calculate final yield with bucket multiplier
-    setLiveYield(prev => {
-      const finalYield = prev * bucketData.multiplier;
-      
-      // Yellow Network: Sign final state and close channel
-      signBucketLand(bucketData.label, bucketData.multiplier, finalYield);
-      const channelState = closeChannel(finalYield);
-      
-      // Trigger settlement modal
-      setTimeout(() => {
-        onSettlement({
-          bucket: bucketData,
-          pegHits: totalPegHits,
-          baseYield: prev,
-          finalYield,
-          multiplier: bucketData.multiplier,
-          channelState,
-          sessionDuration: sessionStartTime ? (Date.now() - sessionStartTime) / 1000 : 0,
-        });
-      }, 500);
-      
-      return finalYield;
-    });
-  }, [onSettlement, sessionStartTime]);
+    const baseYield = liveYieldRef.current;
+    const finalYield = baseYield * round.multiplier;
+    liveYieldRef.current = finalYield;
+    setLiveYield(finalYield);
+
+    // Yellow Network: Sign final state and close the round's channel
+    const session = sessionRef.current;
+    const channelResult = session
+      ? session.settleRound(bucketLabel, round.multiplier, finalYield)
+      : Promise.resolve({ channelStatus: 'failed', channelState: null, channelError: 'No Yellow session for this round' });
+
+    // Settlement modal opens while the channel closes, then gets its result
+    setTimeout(() => {
+      onSettlement({
+        bucket,
+        balls: round.balls,
+        pegHits: round.pegHits,
+        baseYield,
+        finalYield,
+        multiplier: round.multiplier,
+        bonusYield: round.bonusYield,
+        channelStatus: 'pending',
+        channelState: null,
+        channelError: null,
+        session,
+        // Replays record a single drop - split rounds say why there is none
+        replay: round.balls.length === 1 ? round.balls[0].replay : null,
+        replayUnavailable: round.balls.length > 1 ? 'No replay: replays cover single-ball rounds, not split principal drops.' : null,
+        sessionDuration: sessionStartRef.current ? (Date.now() - sessionStartRef.current) / 1000 : 0,
+      });
+      channelResult.then((result) => {
+        onSettlement((current) => (current?.session === session ? { ...current, ...result } : current));
+      });
+    }, 500);
+  }, [onSettlement]);
+
+  // Handle ball drop - the first ball of a round opens the session
+  const handleBallDrop = useCallback((ballIndex = 0) => {
+    if (ballIndex > 0) return;
 
-  // Handle ball drop
-  const handleBallDrop = useCallback(() => {
     setIsPlaying(true);
+    liveYieldRef.current = 0;
     setLiveYield(0);
     setPegHits(0);
-    setSessionStartTime(Date.now());
+    setBallsLanded(0);
+    sessionStartRef.current = Date.now();
     
-    // Yellow Network: Sign session start
-    signBallDrop(ensClass);
-  }, [ensClass]);
+    // Yellow Network: Every round gets its own channel
+    const session = new YellowSession({ mode: 'pachinko', persist: true });
+    session.open(addressRef.current, 100);
+    session.signSessionStart(ensClassRef.current);
+    sessionRef.current = session;
+    onSessionOpen?.(session);
+  }, [onSessionOpen]);
 
   // Initialize engine
   useEffect(() => {
@@ -115,9 +174,12 @@ export function PachinkoGame({
 
     engineRef.current = new PachinkoEngine(containerRef.current, {
       ensClass,
+      board: boardDef,
+      ballsPerRound,
       onPegHit: handlePegHit,
       onBucketLand: handleBucketLand,
       onBallDrop: handleBallDrop,
+      onRoundComplete: handleRoundComplete,
     });
 
     return () => {
@@ -126,9 +188,25 @@ export function PachinkoGame({
         engineRef.current = null;
       }
       initializedRef.current = false;
+      sessionRef.current?.abandon(); // Left mid-drop - settle what was signed, don't orphan the channel
     };
   }, []);
 
+  // Swap boards without recreating the engine - compared by layout, so an
+  // edited board with the same id reloads too (queued while a round runs)
+  useEffect(() => {
+    if (engineRef.current && boardHash(engineRef.current.board) !== boardHash(boardDef)) {
+      engineRef.current.loadBoard(boardDef);
+    }
+  }, [boardDef]);
+
+  // Split principal mode: balls per round (applies from the next round)
+  useEffect(() => {
+    if (engineRef.current) {
+      engineRef.current.setBallsPerRound(ballsPerRound);
+    }
+  }, [ballsPerRound]);
+
   // Update engine when ENS class changes
   useEffect(() => {
     if (engineRef.current && ensClass) {
@@ -232,6 +310,15 @@ export function PachinkoGame({
                 {pegHits}
               </ShinyText>
             </div>
+            {ballsPerRound > 1 && (
+              <div className="flex items-center gap-2 mt-1">
+                <Layers className="w-4 h-4 text-neon-cyan" />
+                <span className="text-gray-400 font-mono text-xs">Landed:</span>
+                <ShinyText variant="cyan" className="font-arcade">
+                  {ballsLanded}/{ballsPerRound}
+                </ShinyText>
+              </div>
+            )}
           </GlassmorphicCard>
         </div>
       )}
@@ -248,13 +335,23 @@ export function PachinkoGame({
         }}
       />
 
+      {/* Replay playback controls */}
+      {replay && (
+        <ReplayControls
+          engine={engineRef.current}
+          replay={replay}
+          onClose={onReplayClose}
+        />
+      )}
+
       {/* Bucket Labels with Animated Glow */}
       <div className="flex mt-3 gap-1">
-        {BUCKETS.map((bucket, i) => (
+        {boardDef.buckets.map((bucket, i) => (
           <div 
             key={i}
-            className="relative flex-1 text-center py-2 rounded-lg overflow-hidden"
+            className="relative text-center py-2 rounded-lg overflow-hidden"
             style={{ 
+              flex: bucket.width,
               backgroundColor: 'rgba(255,255,255,0.03)',
               border: `1px solid ${bucket.color}40`,
             }}
@@ -1,5 +1,5 @@
-import React, { useRef, useEffect, useCallback, useMemo } from 'react';
-import { PinballEngine } from '../engine/PinballEngine.js';
+import React, { useRef, useEffect, useCallback, useMemo, useState } from 'react';
+import { PinballEngine, PINBALL_RULES } from '../engine/PinballEngine.js';
 import { GameHUD, ControlsHint } from './GameHUD.jsx';
 
 export function PinballGame({ 
@@ -9,6 +9,10 @@ export function PinballGame({
   onDrain,
   onScoreUpdate,
   onStateUpdate,
+  onBallLost,
+  onMultiball,
+  onMissionComplete,
+  ballsPerSession = PINBALL_RULES.BALLS_PER_SESSION,
   score,
   yieldEarned,
   principal,
@@ -20,6 +24,9 @@ export function PinballGame({
   const gameEngineRef = useRef(null);
   const touchAreaRef = useRef(null);
   const initializedRef = useRef(false);
+  const [ballsRemaining, setBallsRemaining] = useState(ballsPerSession);
+  const [tableEvent, setTableEvent] = useState(null); // Short-lived banner text
+  const [mission, setMission] = useState(null);
 
   // Store callbacks in refs to avoid re-creating the engine
   const callbacksRef = useRef({
@@ -28,6 +35,9 @@ export function PinballGame({
     onDrain,
     onScoreUpdate,
     onStateUpdate,
+    onBallLost,
+    onMultiball,
+    onMissionComplete,
   });
 
   // Update refs when callbacks change (without triggering re-render)
@@ -38,8 +48,11 @@ export function PinballGame({
       onDrain,
       onScoreUpdate,
       onStateUpdate,
+      onBallLost,
+      onMultiball,
+      onMissionComplete,
     };
-  }, [onBumperHit, onFlashLoanRamp, onDrain, onScoreUpdate, onStateUpdate]);
+  }, [onBumperHit, onFlashLoanRamp, onDrain, onScoreUpdate, onStateUpdate, onBallLost, onMultiball, onMissionComplete]);
 
   // Stable callback wrappers
   const handleBumperHit = useCallback((bumperIndex, points, multiplier) => {
@@ -62,12 +75,56 @@ export function PinballGame({
     callbacksRef.current.onStateUpdate?.(stateData);
   }, []);
 
+  // Flash a banner over the table for a couple of seconds
+  const flashTableEvent = useCallback((text) => {
+    setTableEvent(text);
+    setTimeout(() => setTableEvent((current) => (current === text ? null : current)), 2000);
+  }, []);
+
+  const handleBallLost = useCallback((remaining, { bonus = 0, tilted = false } = {}) => {
+    setBallsRemaining(remaining);
+    if (tilted) {
+      flashTableEvent('Tilted - bonus lost');
+    } else if (remaining > 0) {
+      flashTableEvent(bonus > 0 ? `Bonus +${bonus.toLocaleString()} - ${remaining} left` : `Ball lost - ${remaining} left`);
+    }
+    callbacksRef.current.onBallLost?.(remaining, { bonus, tilted });
+  }, [flashTableEvent]);
+
+  const handleTiltWarning = useCallback(() => {
+    flashTableEvent('DANGER - easy on the nudges');
+  }, [flashTableEvent]);
+
+  const handleTilt = useCallback(() => {
+    flashTableEvent('TILT!');
+  }, [flashTableEvent]);
+
+  const handleSkillShot = useCallback((points) => {
+    flashTableEvent(`SKILL SHOT! +${points.toLocaleString()}`);
+  }, [flashTableEvent]);
+
+  const handleBallSaved = useCallback(() => {
+    flashTableEvent('Ball saved!');
+  }, [flashTableEvent]);
+
+  const handleMultiball = useCallback((ballCount) => {
+    flashTableEvent(`Multiball x${ballCount}!`);
+    callbacksRef.current.onMultiball?.(ballCount);
+  }, [flashTableEvent]);
+
+  const handleMissionComplete = useCallback((completed, reward) => {
+    flashTableEvent(`${completed.name} complete! +$${reward.yieldBonus.toFixed(4)}`);
+    callbacksRef.current.onMissionComplete?.(completed, reward);
+  }, [flashTableEvent]);
+
   // Mobile touch handler - tap left/right half of screen
+  const touchStartYRef = useRef(0);
   const handleTouch = useCallback((e) => {
     if (!gameEngineRef.current || !touchAreaRef.current) return;
     
     const rect = touchAreaRef.current.getBoundingClientRect();
     const touch = e.touches[0];
+    touchStartYRef.current = touch.clientY;
     const x = touch.clientX - rect.left;
     const midpoint = rect.width / 2;
     
@@ -78,9 +135,15 @@ export function PinballGame({
     }
   }, []);
 
-  // Double tap to launch
+  // Double tap to launch, swipe up to nudge
   const lastTapRef = useRef(0);
   const handleTouchEnd = useCallback((e) => {
+    const touch = e.changedTouches[0];
+    if (touch && touchStartYRef.current - touch.clientY > 60) {
+      gameEngineRef.current?.nudge('up');
+      return;
+    }
+
     const now = Date.now();
     if (now - lastTapRef.current < 300) {
       // Double tap - launch ball
@@ -111,7 +174,18 @@ export function PinballGame({
       onDrain: handleDrain,
       onScoreUpdate: handleScoreUpdate,
       onStateUpdate: handleStateUpdate,
+      onBallLost: handleBallLost,
+      onBallSaved: handleBallSaved,
+      onMultiball: handleMultiball,
+      onMissionProgress: setMission,
+      onMissionComplete: handleMissionComplete,
+      onTiltWarning: handleTiltWarning,
+      onTilt: handleTilt,
+      onSkillShot: handleSkillShot,
+      ballsPerSession,
     });
+    setBallsRemaining(ballsPerSession);
+    setMission(gameEngineRef.current.getMissionProgress());
 
     // Expose engine ref for external control
     if (engineRef) {
@@ -162,8 +236,20 @@ export function PinballGame({
         principal={principal}
         playerClass={playerClass}
         yieldMultiplier={yieldMultiplier}
+        ballsRemaining={ballsRemaining}
+        ballsPerSession={ballsPerSession}
+        mission={mission}
         isPlaying={isPlaying}
       />
+
+      {/* Ball save / multiball / ball lost banner */}
+      {tableEvent && (
+        <div className="absolute top-1/3 left-1/2 -translate-x-1/2 z-20 pointer-events-none">
+          <div className="px-4 py-2 rounded-lg bg-cyber-darker/90 border-2 border-neon-yellow/60 text-neon-yellow font-arcade text-sm animate-pulse whitespace-nowrap">
+            {tableEvent}
+          </div>
+        </div>
+      )}
       
       {/* Pinball Canvas Container - 400x600 as per spec */}
       {/* Touch area for mobile - tap left/right to flip, double-tap to launch */}
@@ -197,6 +283,16 @@ export function PinballGame({
           RIGHT
         </button>
       </div>
+
+      {/* Mobile Plunger - hold to charge, release to launch */}
+      <button
+        className="w-full h-12 mt-2 md:hidden bg-neon-green/20 border-2 border-neon-green rounded-lg text-neon-green font-arcade text-xs active:bg-neon-green/40 touch-none"
+        onTouchStart={() => gameEngineRef.current?.startPlunger()}
+        onTouchEnd={() => gameEngineRef.current?.releasePlunger()}
+        onTouchCancel={() => gameEngineRef.current?.releasePlunger()}
+      >
+        HOLD TO LAUNCH
+      </button>
     </div>
   );
 }
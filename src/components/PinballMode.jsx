@@ -0,0 +1,119 @@
+import React, { useRef, useEffect, useCallback } from 'react';
+import { PinballGame } from './PinballGame.jsx';
+import { useGameState } from '../hooks/useGameState.js';
+import { useAccount } from 'wagmi';
+import { YellowSession } from '../utils/yellowNetwork.js';
+
+/**
+ * Pinball game mode - wires PinballGame + useGameState into the same
+ * Yellow Network session and settlement flow as Pachinko.
+ * The deposit gate lives in App; this mounts once the deposit is confirmed.
+ * Remount (change the key) to start a fresh ball. Leaving the table before
+ * the drain settles the channel for the yield signed so far.
+ */
+export function PinballMode({ ensClass = 'default', onSettlement, onSessionOpen }) {
+  const { gameState, deposit, updateScore, recordBumperHit, recordFlashLoanHit, recordMissionBonus, endGame } = useGameState();
+  const engineRef = useRef(null);
+  const hitCountRef = useRef(0);
+  const sessionRef = useRef(null); // YellowSession for this table
+  const abandonTimerRef = useRef(null);
+  const { address } = useAccount();
+
+  // Start the session as soon as the table mounts - once per table, even
+  // when StrictMode runs the effect twice
+  useEffect(() => {
+    clearTimeout(abandonTimerRef.current); // Remounted by StrictMode - keep the session
+
+    if (!sessionRef.current) {
+      hitCountRef.current = 0;
+      deposit(ensClass);
+
+      // Yellow Network: Open the table's channel and sign session start
+      const session = new YellowSession({ mode: 'pinball', persist: true });
+      session.open(address, 100);
+      session.signSessionStart(ensClass);
+      sessionRef.current = session;
+      onSessionOpen?.(session);
+    }
+
+    // Deferred so a StrictMode remount can cancel it; a real unmount
+    // settles whatever the table signed (a no-op after the drain)
+    return () => {
+      const session = sessionRef.current;
+      abandonTimerRef.current = setTimeout(() => session.abandon(), 0);
+    };
+  }, []);
+
+  // Bumper hit - yield bonus + signed state update (same as a Pachinko peg hit)
+  const handleBumperHit = useCallback((bumperIndex, points, multiplier) => {
+    hitCountRef.current++;
+    recordBumperHit(bumperIndex, points, multiplier);
+    sessionRef.current?.signPegHit(`bumper-${bumperIndex}`, hitCountRef.current, 0.005 * multiplier);
+  }, [recordBumperHit]);
+
+  const handleFlashLoanRamp = useCallback((bonus) => {
+    hitCountRef.current++;
+    recordFlashLoanHit(bonus);
+    sessionRef.current?.signPegHit('flashLoanRamp', hitCountRef.current, 0.001 * gameState.yieldMultiplier);
+  }, [recordFlashLoanHit, gameState.yieldMultiplier]);
+
+  // Mission complete - its yield bonus is signed like any other hit
+  const handleMissionComplete = useCallback((mission, reward) => {
+    hitCountRef.current++;
+    recordMissionBonus(reward.yieldBonus);
+    sessionRef.current?.signPegHit(`mission-${mission.id}`, hitCountRef.current, reward.yieldBonus);
+  }, [recordMissionBonus]);
+
+  // Last ball drained - sign the final state, close the channel and settle
+  const handleDrain = useCallback((finalScore) => {
+    endGame(finalScore);
+
+    const finalYield = gameState.yieldEarned;
+    const session = sessionRef.current;
+    const channelResult = session
+      ? session.settleRound('Drain', 1, finalYield)
+      : Promise.resolve({ channelStatus: 'failed', channelState: null, channelError: 'No Yellow session for this table' });
+
+    // Settlement modal opens while the channel closes, then gets its result
+    setTimeout(() => {
+      onSettlement({
+        mode: 'pinball',
+        bucket: { label: 'Pinball', multiplier: 1, color: '#ff006e' },
+        score: finalScore,
+        pegHits: hitCountRef.current,
+        baseYield: finalYield,
+        finalYield,
+        multiplier: 1,
+        channelStatus: 'pending',
+        channelState: null,
+        channelError: null,
+        session,
+        sessionDuration: gameState.sessionDuration,
+      });
+      channelResult.then((result) => {
+        onSettlement((current) => (current?.session === session ? { ...current, ...result } : current));
+      });
+    }, 500);
+  }, [endGame, onSettlement, gameState.yieldEarned, gameState.sessionDuration]);
+
+  return (
+    <div className="mt-16 mb-24">
+      <PinballGame
+        playerClass={ensClass}
+        onBumperHit={handleBumperHit}
+        onFlashLoanRamp={handleFlashLoanRamp}
+        onMissionComplete={handleMissionComplete}
+        onDrain={handleDrain}
+        onScoreUpdate={updateScore}
+        score={gameState.score}
+        yieldEarned={gameState.yieldEarned}
+        principal={gameState.principal}
+        yieldMultiplier={gameState.yieldMultiplier}
+        isPlaying={gameState.isDeposited}
+        engineRef={engineRef}
+      />
+    </div>
+  );
+}
+
+export default PinballMode;
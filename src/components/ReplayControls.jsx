@@ -0,0 +1,122 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Play, Pause, X } from 'lucide-react';
+import { REPLAY_SPEEDS, getReplayFrameCount } from '../engine/PachinkoReplay.js';
+import { GlassmorphicCard, ShinyText } from './ui/ShinyText.jsx';
+
+/**
+ * Replay transport - plays a recorded drop on the live Pachinko canvas
+ * with 0.5x/1x/2x speed and a scrub bar.
+ */
+export function ReplayControls({ engine, replay, onClose }) {
+  const playerRef = useRef(null);
+  const [frame, setFrame] = useState(0);
+  const [speed, setSpeed] = useState(1);
+  const [isPaused, setIsPaused] = useState(true);
+  const [error, setError] = useState(null);
+
+  const frameCount = getReplayFrameCount(replay);
+
+  useEffect(() => {
+    if (!engine || !replay) return;
+
+    let player;
+    try {
+      player = engine.playReplay(replay, {
+        speed: 1,
+        onFrame: (f) => setFrame(f),
+        onEnd: () => setIsPaused(true),
+      });
+    } catch (err) {
+      console.error('❌ Cannot play replay:', err);
+      setError(err.message);
+      return;
+    }
+    if (!player) return;
+    setError(null);
+
+    playerRef.current = player;
+    player.play();
+    setIsPaused(false);
+
+    return () => {
+      engine.stopReplay();
+      playerRef.current = null;
+    };
+  }, [engine, replay]);
+
+  const togglePlay = () => {
+    const player = playerRef.current;
+    if (!player) return;
+
+    if (player.isPlaying) {
+      player.pause();
+      setIsPaused(true);
+    } else {
+      player.play();
+      setIsPaused(false);
+    }
+  };
+
+  const changeSpeed = (value) => {
+    setSpeed(value);
+    playerRef.current?.setSpeed(value);
+  };
+
+  const handleScrub = (e) => {
+    playerRef.current?.seek(Number(e.target.value));
+  };
+
+  return (
+    <GlassmorphicCard className="p-3 mt-3" glowColor="#00f5ff">
+      <div className="flex items-center gap-3">
+        <button
+          onClick={togglePlay}
+          className="w-8 h-8 rounded-full bg-white/10 border border-white/20 flex items-center justify-center hover:bg-white/20 transition-all"
+          aria-label={isPaused ? 'Play replay' : 'Pause replay'}
+        >
+          {isPaused ? <Play className="w-4 h-4 text-neon-cyan" /> : <Pause className="w-4 h-4 text-neon-cyan" />}
+        </button>
+
+        <input
+          type="range"
+          min={0}
+          max={Math.max(0, frameCount - 1)}
+          value={frame}
+          onChange={handleScrub}
+          className="flex-1 accent-[#00f5ff]"
+          aria-label="Scrub replay"
+        />
+
+        <div className="flex gap-1">
+          {REPLAY_SPEEDS.map((value) => (
+            <button
+              key={value}
+              onClick={() => changeSpeed(value)}
+              className={`px-2 py-1 rounded text-xs font-mono border transition-all ${
+                speed === value
+                  ? 'border-neon-cyan text-neon-cyan bg-neon-cyan/10'
+                  : 'border-white/10 text-gray-400 hover:text-white'
+              }`}
+            >
+              {value}x
+            </button>
+          ))}
+        </div>
+
+        <button
+          onClick={onClose}
+          className="w-8 h-8 rounded-full border border-white/10 flex items-center justify-center text-gray-400 hover:text-white transition-all"
+          aria-label="Close replay"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="flex justify-between mt-2 font-mono text-xs text-gray-500">
+        <ShinyText variant="cyan" className="font-mono text-xs">REPLAY</ShinyText>
+        <span>Seed {replay.seed} • {replay.ensClass} • {replay.board} • frame {frame + 1}/{frameCount}</span>
+      </div>
+      {error && <p className="mt-2 text-red-400 font-mono text-xs">{error}</p>}
+    </GlassmorphicCard>
+  );
+}
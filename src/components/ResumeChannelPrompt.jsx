@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import { RotateCcw, Loader2 } from 'lucide-react';
+import { GlassmorphicCard } from './ui/ShinyText.jsx';
+
+// Yield signed so far in a stored session snapshot
+const signedYield = (record) =>
+  record.updates.reduce((sum, update) => sum + (update.data.yieldDelta || 0), 0);
+
+/**
+ * Shown on load when the wallet still has open Yellow channels from a
+ * session that was interrupted by a reload. Finishing one closes it for the
+ * yield already signed - cooperatively, or by challenge if the close fails -
+ * and opens the SettlementModal with the result. Channels in a dispute open
+ * the SettlementModal's channel panel, where the challenge can be finalized
+ * once it expires.
+ *
+ * Actions wait for isReady (the Yellow client for this wallet). A failed
+ * action leaves the channel listed with its error, so it can be retried.
+ */
+export function ResumeChannelPrompt({ channels, isReady, onFinish, onDismiss }) {
+  const [busy, setBusy] = useState(null); // channelId being handled
+  const [errors, setErrors] = useState({}); // channelId -> last error message
+
+  const run = async (action, record) => {
+    const { channelId } = record.channel;
+    setBusy(channelId);
+    setErrors((current) => ({ ...current, [channelId]: null }));
+    try {
+      await action(record);
+    } catch (error) {
+      console.error('❌ Could not finish stale Yellow channel:', error);
+      setErrors((current) => ({ ...current, [channelId]: error.message }));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/40 backdrop-blur-xl" />
+
+      <GlassmorphicCard className="relative w-full max-w-md p-6" glowColor="#fbbf24">
+        <h2 className="text-white text-xl font-bold mb-2">Unfinished Session</h2>
+        <p className="text-gray-400 text-sm mb-6">
+          A Yellow Network channel was still open when the page closed. Finish the settlement
+          to close it for the yield that was already signed.
+        </p>
+        {!isReady && (
+          <p className="flex items-center gap-2 text-[#fbbf24] font-mono text-xs -mt-4 mb-4">
+            <Loader2 className="w-3 h-3 animate-spin" />
+            Connecting to Yellow Network...
+          </p>
+        )}
+
+        <div className="space-y-3">
+          {channels.map((record) => {
+            const isBusy = busy === record.channel.channelId;
+            return (
+              <div key={record.channel.channelId} className="bg-white/5 border border-white/10 rounded-lg p-3">
+                <div className="flex items-center justify-between mb-1">
+                  <span className="text-white font-mono text-sm">
+                    {record.mode === 'pinball' ? '🕹️ Pinball' : '🎰 Pachinko'}
+                  </span>
+                  <span className="text-gray-500 font-mono text-xs">
+                    {new Date(record.savedAt).toLocaleString()}
+                  </span>
+                </div>
+                <p className="text-gray-500 font-mono text-xs truncate">{record.channel.channelId}</p>
+                <p className="text-gray-400 font-mono text-xs mt-1">
+                  {record.updates.length} signed updates • <span className="text-[#7df9ff]">+${signedYield(record).toFixed(6)}</span>
+                </p>
+                {record.dispute && (
+                  <p className="text-[#fbbf24] font-mono text-xs mt-1">
+                    ⚖️ {record.dispute.status === 'challenged'
+                      ? `Challenged - finalizable ${new Date(record.dispute.expiresAt).toLocaleString()}`
+                      : 'Challenge not submitted - retry from the channel panel'}
+                  </p>
+                )}
+                {errors[record.channel.channelId] && (
+                  <p className="text-red-400 font-mono text-xs mt-1">{errors[record.channel.channelId]}</p>
+                )}
+
+                <button
+                  onClick={() => run(onFinish, record)}
+                  disabled={!!busy || !isReady}
+                  className="w-full mt-3 py-2 bg-white text-black text-sm font-semibold rounded-lg flex items-center justify-center gap-2 disabled:opacity-50"
+                >
+                  {isBusy ? <Loader2 className="w-4 h-4 animate-spin" /> : <RotateCcw className="w-4 h-4" />}
+                  {record.dispute ? 'Channel Status' : 'Finish Settlement'}
+                </button>
+              </div>
+            );
+          })}
+        </div>
+
+        <button
+          onClick={onDismiss}
+          disabled={!!busy}
+          className="w-full mt-4 text-gray-500 font-mono text-xs hover:text-white transition-colors"
+        >
+          Decide later
+        </button>
+      </GlassmorphicCard>
+    </div>
+  );
+}
+
+export default ResumeChannelPrompt;
@@ -1,19 +1,30 @@
 import React, { useState, useEffect } from 'react';
 import { useAccount, useWriteContract, useWaitForTransactionReceipt, useSwitchChain, useReadContract } from 'wagmi';
 import { parseUnits, formatUnits } from 'viem';
-import { CheckCircle, Coins, TrendingUp, Zap, ArrowRight, Wallet, Loader2, ExternalLink, AlertCircle, Gift } from 'lucide-react';
+import { CheckCircle, Coins, TrendingUp, Zap, ArrowRight, Wallet, Loader2, ExternalLink, AlertCircle, Gift, Film, Share2, ShieldCheck, ShieldAlert } from 'lucide-react';
 import { ShinyText, ShinyButton, GlassmorphicCard } from './ui/ShinyText.jsx';
 import PixelSnow from './ui/PixelSnow.jsx';
 import { ElectricBorder } from './ui/ElectricBorder.jsx';
+import { serializeReplay } from '../engine/PachinkoReplay.js';
+import { verifyLedger } from '../utils/ledgerVerifier.js';
+import { getChannelDomain } from '../utils/yellowNetwork.js';
+import { ChannelStatusPanel } from './ChannelStatusPanel.jsx';
 import { 
-  VAULT_ADDRESS, 
   VAULT_ABI, 
-  TARGET_CHAIN_ID,
-  YBT_TOKEN_ADDRESS,
   YBT_ABI,
   REWARD_AMOUNT_DISPLAY,
   REWARD_AMOUNT_WEI,
 } from '../config/wagmi.js';
+import { explorerUrl } from '../config/deployments.js';
+import { useDeployment } from '../hooks/useDeployment.js';
+
+// Badge text per channel settlement status
+const CHANNEL_BADGES = {
+  pending: 'SETTLING',
+  settled: 'SETTLED',
+  disputed: 'DISPUTED',
+  failed: 'UNSETTLED',
+};
 
 export function SettlementModal({ 
   isOpen, 
@@ -21,11 +32,15 @@ export function SettlementModal({
   principal = 100,
   onWithdraw,
   onPlayAgain,
+  onWatchReplay,
 }) {
   const { address, chainId } = useAccount();
   const { switchChain } = useSwitchChain();
+  const deployment = useDeployment();
   const [isFinalized, setIsFinalized] = useState(false);
   const [rewardClaimed, setRewardClaimed] = useState(false);
+  const [replayCopied, setReplayCopied] = useState(false);
+  const [ledgerReport, setLedgerReport] = useState(null); // null while verifying
 
   // writeContract hook for vault withdrawal
   const { 
@@ -65,15 +80,40 @@ export function SettlementModal({
 
   // Read player's YBT balance
   const { data: ybtBalance, refetch: refetchBalance } = useReadContract({
-    address: YBT_TOKEN_ADDRESS,
+    address: deployment.ybtToken,
     abi: YBT_ABI,
     functionName: 'balanceOf',
     args: address ? [address] : undefined,
-    enabled: !!YBT_TOKEN_ADDRESS && !!address,
+    enabled: !!deployment.ybtToken && !!address,
   });
 
-  // Check if token contract is configured (we now call token directly, not game contract)
-  const isTokenConfigured = YBT_TOKEN_ADDRESS && YBT_TOKEN_ADDRESS !== null;
+  // Check if token contract is configured for this chain (we call the token directly, not the game contract)
+  const isTokenConfigured = !!deployment.ybtToken;
+
+  // Verify the signed state channel ledger before allowing on-chain settlement
+  // (once the game has handed over the closed channel's state). The ledger
+  // must be authorized by the connected wallet, on the chain its session ran
+  // on (the settlement chain unless the wallet switched network since).
+  const ledgerChainId = settlement?.session?.chainId ?? deployment.chainId;
+  useEffect(() => {
+    setLedgerReport(null);
+    if (!settlement?.channelState) return;
+    let cancelled = false;
+
+    verifyLedger(settlement.channelState, {
+      finalYield: settlement.finalYield,
+      player: address,
+      domain: getChannelDomain(ledgerChainId),
+    })
+      .then((report) => {
+        if (!cancelled) setLedgerReport(report);
+      })
+      .catch((err) => {
+        if (!cancelled) setLedgerReport({ valid: false, checks: [{ id: 'ledger', label: 'Signed ledger', passed: false, detail: err.message }] });
+      });
+
+    return () => { cancelled = true; };
+  }, [settlement, address, ledgerChainId]);
 
   // Handle successful reward claim
   useEffect(() => {
@@ -86,7 +126,10 @@ export function SettlementModal({
 
   if (!isOpen || !settlement) return null;
 
-  const { bucket, pegHits, baseYield, finalYield, multiplier, sessionDuration } = settlement;
+  const { mode = 'pachinko', score = 0, bucket, balls = [], pegHits, baseYield, finalYield, multiplier, bonusYield = 0, sessionDuration, replay, replayUnavailable, session } = settlement;
+  const { channelStatus = 'settled', channelError } = settlement; // pending | settled | disputed | failed
+  const pegMultiplierBonus = balls.reduce((sum, ball) => sum + (ball.multiplierBonus || 0), 0);
+  const isMultiBall = balls.length > 1;
   const totalPayout = principal + finalYield;
 
   // Convert to USDC units (6 decimals)
@@ -94,10 +137,13 @@ export function SettlementModal({
   const yieldUnits = parseUnits(finalYield.toFixed(6), 6);
 
   const handleFinalizeOnChain = async () => {
+    // Only settle what the signed ledger backs
+    if (!ledgerReport?.valid) return;
+
     // Check if on correct chain
-    if (chainId !== TARGET_CHAIN_ID) {
+    if (chainId !== deployment.chainId) {
       try {
-        await switchChain({ chainId: TARGET_CHAIN_ID });
+        await switchChain({ chainId: deployment.chainId });
       } catch (err) {
         console.error('Failed to switch chain:', err);
         return;
@@ -110,11 +156,11 @@ export function SettlementModal({
 
     // Call vault withdraw function with gas limit
     writeContract({
-      address: VAULT_ADDRESS,
+      address: deployment.vault,
       abi: VAULT_ABI,
       functionName: 'withdraw',
       args: [principalUnits, yieldUnits],
-      chainId: TARGET_CHAIN_ID,
+      chainId: deployment.chainId,
       gas: 150000n,
     });
   };
@@ -122,7 +168,7 @@ export function SettlementModal({
   // Claim YBT reward tokens - DIRECT MINT to user's wallet
   const handleClaimReward = async () => {
     if (!isTokenConfigured) {
-      console.error('❌ YBT Token not configured. Set YBT_TOKEN_ADDRESS in wagmi.js');
+      console.error(`❌ YBT Token not configured for ${deployment.name}. Add it to deployments.json or set VITE_YBT_TOKEN_ADDRESS_${deployment.chainId}`);
       return;
     }
     
@@ -131,11 +177,11 @@ export function SettlementModal({
       return;
     }
 
-    // Check if on correct chain (Base Sepolia)
-    if (chainId !== TARGET_CHAIN_ID) {
-      console.log('🔄 Switching to Base Sepolia...');
+    // Check if on correct chain
+    if (chainId !== deployment.chainId) {
+      console.log(`🔄 Switching to ${deployment.name}...`);
       try {
-        await switchChain({ chainId: TARGET_CHAIN_ID });
+        await switchChain({ chainId: deployment.chainId });
       } catch (err) {
         console.error('❌ Failed to switch chain:', err);
         return;
@@ -143,7 +189,7 @@ export function SettlementModal({
     }
 
     console.log('%c🎮 Claiming YBT Reward...', 'color: #fbbf24; font-weight: bold;');
-    console.log('Token Address:', YBT_TOKEN_ADDRESS);
+    console.log('Token Address:', deployment.ybtToken);
     console.log('Recipient:', address);
     console.log('Amount:', REWARD_AMOUNT_DISPLAY, 'YBT');
 
@@ -151,11 +197,11 @@ export function SettlementModal({
     // This sends 10 YBT (10 * 10^18 wei) to the connected wallet
     try {
       writeReward({
-        address: YBT_TOKEN_ADDRESS,
+        address: deployment.ybtToken,
         abi: YBT_ABI,
         functionName: 'mint',
         args: [address, BigInt(REWARD_AMOUNT_WEI)],
-        chainId: TARGET_CHAIN_ID,
+        chainId: deployment.chainId,
         gas: 150000n,
       });
     } catch (err) {
@@ -164,6 +210,17 @@ export function SettlementModal({
     }
   };
 
+  // Share replay - copies the compact JSON replay to the clipboard
+  const handleShareReplay = async () => {
+    try {
+      await navigator.clipboard.writeText(serializeReplay(replay));
+      setReplayCopied(true);
+      setTimeout(() => setReplayCopied(false), 2000);
+    } catch (err) {
+      console.error('❌ Failed to copy replay:', err);
+    }
+  };
+
   // Handle successful transaction
   if (isConfirmed && !isFinalized) {
     setIsFinalized(true);
@@ -173,6 +230,9 @@ export function SettlementModal({
   }
 
   const isLoading = isWritePending || isConfirming;
+  const isChannelPending = channelStatus === 'pending';
+  const isChannelFailed = channelStatus === 'failed';
+  const isLedgerValid = !isChannelPending && !isChannelFailed && !!ledgerReport?.valid;
   const isRewardLoading = isRewardPending || isRewardConfirming;
   const error = writeError || confirmError;
   const rewardTxError = rewardError || rewardConfirmError;
@@ -215,7 +275,7 @@ export function SettlementModal({
             {/* ========== BADGE - "SETTLED" pill like ReactBits "FEATURED" ========== */}
             <div className="mb-6">
               <span className="inline-block px-3 py-1.5 bg-white/10 border border-white/20 rounded-full text-white/80 text-xs font-medium tracking-wide">
-                SETTLED
+                {CHANNEL_BADGES[channelStatus] || 'SETTLED'}
               </span>
             </div>
 
@@ -225,9 +285,36 @@ export function SettlementModal({
             </h1>
             
             {/* ========== DESCRIPTION - Gray text ========== */}
-            <p className="text-gray-400 text-base mb-8">
-              You landed in <span className="text-white font-medium" style={{ color: bucket.color }}>{bucket.label}</span> with a {multiplier}x multiplier.
-            </p>
+            {mode === 'resumed' ? (
+              <p className="text-gray-400 text-base mb-8">
+                Recovered an interrupted session - settling the yield signed before the page reloaded.
+              </p>
+            ) : mode === 'pinball' ? (
+              <p className="text-gray-400 text-base mb-8">
+                You scored <span className="text-white font-medium">{score.toLocaleString()}</span> points before the ball drained.
+              </p>
+            ) : isMultiBall ? (
+              <div className="mb-8">
+                <p className="text-gray-400 text-base mb-3">
+                  Your {balls.length} balls averaged a {multiplier.toFixed(2)}x multiplier.
+                </p>
+                <div className="flex flex-wrap gap-2">
+                  {balls.map((ball) => (
+                    <span
+                      key={ball.index}
+                      className="px-3 py-1 bg-white/5 border rounded-full text-xs font-medium"
+                      style={{ color: ball.bucket.color, borderColor: `${ball.bucket.color}40` }}
+                    >
+                      #{ball.index + 1} {ball.bucket.label} {ball.bucket.multiplier}x
+                    </span>
+                  ))}
+                </div>
+              </div>
+            ) : (
+              <p className="text-gray-400 text-base mb-8">
+                You landed in <span className="text-white font-medium" style={{ color: bucket.color }}>{bucket.label}</span> with a {multiplier}x multiplier.
+              </p>
+            )}
 
             {/* ========== PAYOUT SECTION ========== */}
             <div className="space-y-3 mb-8">
@@ -249,11 +336,16 @@ export function SettlementModal({
             {/* ========== META BADGES - Like "Live" and "v1.0" in ReactBits ========== */}
             <div className="flex items-center gap-2 mb-8">
               <span className="px-3 py-1 bg-white/5 border border-white/10 rounded-full text-gray-400 text-xs">
-                {pegHits} bounces
+                {pegHits} {mode === 'pinball' ? 'bumper hits' : 'bounces'}
               </span>
               <span className="px-3 py-1 bg-white/5 border border-white/10 rounded-full text-gray-400 text-xs">
                 {Math.floor(sessionDuration)}s
               </span>
+              {(bonusYield > 0 || pegMultiplierBonus > 0) && (
+                <span className="px-3 py-1 bg-[#ffd700]/10 border border-[#ffd700]/30 rounded-full text-[#ffd700] text-xs">
+                  ★ Pegs {bonusYield > 0 && `+$${bonusYield.toFixed(2)}`} {pegMultiplierBonus > 0 && `+${pegMultiplierBonus}x`}
+                </span>
+              )}
               {ybtBalance !== undefined && (
                 <span className="px-3 py-1 bg-white/5 border border-white/10 rounded-full text-gray-400 text-xs">
                   {parseFloat(formattedYbtBalance).toFixed(0)} YBT
@@ -261,6 +353,88 @@ export function SettlementModal({
               )}
             </div>
 
+            {/* ========== REPLAY ========== */}
+            {replay && (
+              <div className="flex gap-3 mb-6">
+                <button
+                  onClick={onWatchReplay}
+                  className="flex-1 py-2 px-3 bg-white/5 border border-white/10 rounded-lg text-white text-sm flex items-center justify-center gap-2 hover:bg-white/10 transition-all"
+                >
+                  <Film className="w-4 h-4 text-[#7df9ff]" />
+                  Watch Replay
+                </button>
+                <button
+                  onClick={handleShareReplay}
+                  className="flex-1 py-2 px-3 bg-white/5 border border-white/10 rounded-lg text-white text-sm flex items-center justify-center gap-2 hover:bg-white/10 transition-all"
+                >
+                  <Share2 className="w-4 h-4 text-[#7df9ff]" />
+                  {replayCopied ? 'Copied!' : 'Share Replay'}
+                </button>
+              </div>
+            )}
+            {!replay && replayUnavailable && (
+              <p className="mb-6 text-gray-500 font-mono text-xs flex items-center gap-2">
+                <Film className="w-4 h-4" />
+                {replayUnavailable}
+              </p>
+            )}
+
+            {/* ========== CHANNEL STATUS (close / challenge) ========== */}
+            {isChannelPending && (
+              <div className="rounded-lg p-3 mb-6 border bg-white/5 border-white/10">
+                <div className="flex items-center gap-2">
+                  <Loader2 className="w-4 h-4 text-[#fbbf24] animate-spin" />
+                  <span className="text-white text-sm">Signing final state and closing the Yellow channel...</span>
+                </div>
+              </div>
+            )}
+            {isChannelFailed && (
+              <div className="rounded-lg p-3 mb-6 border bg-red-500/10 border-red-500/30">
+                <div className="flex items-center gap-2">
+                  <AlertCircle className="w-4 h-4 text-red-400" />
+                  <span className="text-white text-sm">Channel settlement failed</span>
+                </div>
+                <p className="text-red-400 text-xs mt-2">{channelError || 'Unknown error'}</p>
+                <p className="text-gray-500 text-xs mt-1">
+                  The channel stays open and will be offered for settlement the next time the app loads.
+                </p>
+              </div>
+            )}
+            {!isChannelPending && <ChannelStatusPanel session={session} />}
+
+            {/* ========== LEDGER VERIFICATION ========== */}
+            {!isChannelPending && !isChannelFailed && (
+              <div className={`rounded-lg p-3 mb-6 border ${
+                !ledgerReport ? 'bg-white/5 border-white/10' : isLedgerValid ? 'bg-green-500/10 border-green-500/30' : 'bg-red-500/10 border-red-500/30'
+              }`}>
+                <div className="flex items-center gap-2">
+                  {!ledgerReport ? (
+                    <Loader2 className="w-4 h-4 text-[#7df9ff] animate-spin" />
+                  ) : isLedgerValid ? (
+                    <ShieldCheck className="w-4 h-4 text-green-400" />
+                  ) : (
+                    <ShieldAlert className="w-4 h-4 text-red-400" />
+                  )}
+                  <span className="text-white text-sm">
+                    {!ledgerReport
+                      ? 'Verifying signed ledger...'
+                      : isLedgerValid
+                        ? `Ledger verified - ${ledgerReport.totals.updates} signed updates`
+                        : 'Ledger verification failed'}
+                  </span>
+                </div>
+                {ledgerReport && !isLedgerValid && (
+                  <ul className="mt-2 space-y-1">
+                    {ledgerReport.checks.filter((c) => !c.passed).map((c) => (
+                      <li key={c.id} className="text-red-400 text-xs">
+                        {c.label}: {c.detail}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+
             {/* ========== TRANSACTION STATUS ========== */}
             {txHash && (
               <div className={`rounded-lg p-3 mb-4 ${isConfirmed ? 'bg-green-500/10 border border-green-500/30' : 'bg-[#7df9ff]/10 border border-[#7df9ff]/30'}`}>
@@ -272,11 +446,11 @@ export function SettlementModal({
                       <CheckCircle className="w-4 h-4 text-green-400" />
                     )}
                     <span className="text-white text-sm">
-                      {isConfirming ? 'Confirming on Base...' : 'Transaction Confirmed!'}
+                      {isConfirming ? `Confirming on ${deployment.name}...` : 'Transaction Confirmed!'}
                     </span>
                   </div>
                   <a
-                    href={`https://sepolia.basescan.org/tx/${txHash}`}
+                    href={explorerUrl(deployment, 'tx', txHash) || undefined}
                     target="_blank"
                     rel="noopener noreferrer"
                     className="flex items-center gap-1 text-[#7df9ff] hover:underline text-xs"
@@ -339,7 +513,7 @@ export function SettlementModal({
             {!isConfirmed ? (
               <button
                 onClick={handleFinalizeOnChain}
-                disabled={isLoading}
+                disabled={isLoading || !isLedgerValid}
                 className="w-full py-4 bg-white text-black font-semibold rounded-xl flex items-center justify-center gap-2 transition-all hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
               >
                 {isLoading ? (
@@ -347,9 +521,15 @@ export function SettlementModal({
                     <Loader2 className="w-5 h-5 animate-spin" />
                     {isWritePending ? 'Confirm in Wallet...' : 'Confirming...'}
                   </>
+                ) : isChannelPending ? (
+                  <span>Closing Channel...</span>
+                ) : isChannelFailed ? (
+                  <span>Channel Not Closed</span>
+                ) : !isLedgerValid ? (
+                  <span>{ledgerReport ? 'Ledger Invalid' : 'Verifying Ledger...'}</span>
                 ) : (
                   <>
-                    <span>Finalize on Base</span>
+                    <span>Finalize on {deployment.name}</span>
                     <ArrowRight className="w-4 h-4" />
                   </>
                 )}
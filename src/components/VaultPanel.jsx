@@ -4,7 +4,8 @@ import { useAccount, useEnsName, usePublicClient, useWriteContract, useWaitForTr
 import { NeonButton, NeonCard, NeonText } from './ui/NeonElements.jsx';
 import { ShinyText } from './ui/ShinyText.jsx';
 import { checkYieldBallClass, getMockPlayerClass } from '../utils/ensIntegration.js';
-import { VAULT_ADDRESS, VAULT_ABI, TARGET_CHAIN_ID } from '../config/wagmi.js';
+import { VAULT_ABI } from '../config/wagmi.js';
+import { useDeployment } from '../hooks/useDeployment.js';
 import { Loader2 } from 'lucide-react';
 
 export function VaultPanel({ onDeposit, isDeposited, isConnected }) {
@@ -12,6 +13,7 @@ export function VaultPanel({ onDeposit, isDeposited, isConnected }) {
   const { data: ensName } = useEnsName({ address });
   const publicClient = usePublicClient();
   const { switchChain } = useSwitchChain();
+  const deployment = useDeployment();
   const [isLoading, setIsLoading] = useState(false);
   const [detectedClass, setDetectedClass] = useState(null);
 
@@ -45,10 +47,10 @@ export function VaultPanel({ onDeposit, isDeposited, isConnected }) {
     
     try {
       // Check if on correct chain
-      if (chainId !== TARGET_CHAIN_ID) {
-        console.log('🔄 Switching to Base Sepolia...');
+      if (chainId !== deployment.chainId) {
+        console.log(`🔄 Switching to ${deployment.name}...`);
         try {
-          await switchChain({ chainId: TARGET_CHAIN_ID });
+          await switchChain({ chainId: deployment.chainId });
         } catch (err) {
           console.error('Failed to switch chain:', err);
           setIsLoading(false);
@@ -84,11 +86,11 @@ export function VaultPanel({ onDeposit, isDeposited, isConnected }) {
       
       // Call vault deposit function with 100 USDC (100000000 = 100 * 10^6)
       writeContract({
-        address: VAULT_ADDRESS,
+        address: deployment.vault,
         abi: VAULT_ABI,
         functionName: 'deposit',
         args: [BigInt(100000000)],
-        chainId: TARGET_CHAIN_ID,
+        chainId: deployment.chainId,
         gas: 150000n,
       });
     } catch (error) {
@@ -159,7 +161,7 @@ export function VaultPanel({ onDeposit, isDeposited, isConnected }) {
       {(isWritePending || isConfirming) && (
         <div className="mb-4 text-center">
           <ShinyText variant="cyan" speed="fast" className="text-sm">
-            {isWritePending ? 'Confirm in Wallet...' : 'Staking on Base Sepolia...'}
+            {isWritePending ? 'Confirm in Wallet...' : `Staking on ${deployment.name}...`}
           </ShinyText>
         </div>
       )}
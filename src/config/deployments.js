@@ -0,0 +1,76 @@
+/**
+ * Per-chain deployment registry
+ *
+ * deployments.json lists, per chainId, the YieldBall contracts (vault, game,
+ * YBT token), the USDC token the app uses, the Yellow Network custody and
+ * adjudicator contracts, plus the block explorer.
+ * Any address can be overridden at build time with a VITE_ env var suffixed
+ * with the chainId, e.g. for a local Anvil deployment:
+ *
+ *   VITE_VAULT_ADDRESS_31337=0x...
+ *   VITE_GAME_CONTRACT_ADDRESS_31337=0x...
+ *   VITE_YBT_TOKEN_ADDRESS_31337=0x...
+ *   VITE_USDC_ADDRESS_31337=0x...
+ *   VITE_YELLOW_CUSTODY_ADDRESS_31337=0x...
+ *   VITE_YELLOW_ADJUDICATOR_ADDRESS_31337=0x...
+ *   VITE_RPC_URL_31337=http://127.0.0.1:8545
+ *
+ * VITE_TARGET_CHAIN_ID picks the chain used when the wallet is on a chain
+ * without a deployment (Base Sepolia by default).
+ */
+
+import registry from './deployments.json' with { type: 'json' };
+
+const env = import.meta.env ?? {};
+
+// Registry contract key -> env var prefix
+const CONTRACT_ENV = {
+  vault: 'VITE_VAULT_ADDRESS',
+  game: 'VITE_GAME_CONTRACT_ADDRESS',
+  ybtToken: 'VITE_YBT_TOKEN_ADDRESS',
+  usdc: 'VITE_USDC_ADDRESS',
+  custody: 'VITE_YELLOW_CUSTODY_ADDRESS',
+  adjudicator: 'VITE_YELLOW_ADJUDICATOR_ADDRESS',
+};
+
+export const DEFAULT_CHAIN_ID = Number(env.VITE_TARGET_CHAIN_ID) || 84532; // Base Sepolia
+
+export const SUPPORTED_CHAIN_IDS = Object.keys(registry).map(Number);
+
+/**
+ * Deployment for a chain with env overrides applied, or null for a chain
+ * that is not in the registry. `isDeployed` is true once a vault exists.
+ */
+export function getDeployment(chainId = DEFAULT_CHAIN_ID) {
+  const entry = registry[chainId];
+  if (!entry) return null;
+
+  const contracts = {};
+  for (const [key, envPrefix] of Object.entries(CONTRACT_ENV)) {
+    contracts[key] = env[`${envPrefix}_${chainId}`] || entry.contracts[key] || null;
+  }
+
+  return {
+    chainId: Number(chainId),
+    name: entry.name,
+    explorer: entry.explorer,
+    faucet: entry.faucet,
+    rpcUrl: env[`VITE_RPC_URL_${chainId}`] || null,
+    ...contracts,
+    isDeployed: !!contracts.vault,
+  };
+}
+
+/**
+ * The chain the app should transact on: the wallet's chain when YieldBall
+ * is deployed there, otherwise DEFAULT_CHAIN_ID.
+ */
+export function resolveTargetChainId(walletChainId) {
+  return getDeployment(walletChainId)?.isDeployed ? walletChainId : DEFAULT_CHAIN_ID;
+}
+
+// Block explorer link for an address or tx (null without an explorer)
+export function explorerUrl(deployment, kind, value) {
+  if (!deployment?.explorer || !value) return null;
+  return `${deployment.explorer}/${kind}/${value}`;
+}
@@ -1,7 +1,8 @@
 import '@rainbow-me/rainbowkit/styles.css';
 import { getDefaultConfig } from '@rainbow-me/rainbowkit';
 import { http } from 'wagmi';
-import { mainnet, sepolia, baseSepolia } from 'wagmi/chains';
+import { mainnet, sepolia, baseSepolia, base, anvil } from 'wagmi/chains';
+import { getDeployment } from './deployments.js';
 
 // Get project ID from environment variable
 // Create a .env file with: VITE_WALLETCONNECT_PROJECT_ID=your_project_id
@@ -11,50 +12,27 @@ if (!projectId) {
   console.warn('Missing VITE_WALLETCONNECT_PROJECT_ID in .env file');
 }
 
+// RPC override per chain (VITE_RPC_URL_<chainId>), else the chain default
+const rpc = (chain) => http(getDeployment(chain.id)?.rpcUrl || undefined);
+
+// Mainnet stays for ENS resolution; the others have deployment entries
+// in deployments.json (contract addresses live there, not here)
 export const config = getDefaultConfig({
   appName: 'YieldBall.eth',
   projectId: projectId || '',
-  chains: [baseSepolia, sepolia, mainnet],
+  chains: [baseSepolia, sepolia, base, anvil, mainnet],
   transports: {
-    [baseSepolia.id]: http(),
-    [sepolia.id]: http(),
+    [baseSepolia.id]: rpc(baseSepolia),
+    [sepolia.id]: rpc(sepolia),
+    [base.id]: rpc(base),
+    [anvil.id]: rpc(anvil),
     [mainnet.id]: http('https://eth.llamarpc.com'), // Public RPC with CORS support
   },
 });
-// ============================================================
-// MOCK TOKEN (for demo visuals only)
-// ============================================================
-
-// Mock USDC (not actually used)
-export const USDC_ADDRESS_BASE_SEPOLIA =
-  '0x036CbD53842c5426634e7929541eC2318f3dCF7e';
-
-// ============================================================
-// YIELDBALL CONTRACTS (Base Sepolia)
-// ============================================================
-
-// YieldBall Vault / Game logic contract (Game Gate)
-export const VAULT_ADDRESS =
-  '0xaaD3915dB9287496cdfa67FAB34056Fe556D5A9a';
-
-// YieldBall Game Contract
-export const GAME_CONTRACT_ADDRESS =
-  '0xaaD3915dB9287496cdfa67FAB34056Fe556D5A9a';
-
-// ============================================================
-// YIELDBALL ERC-20 TOKEN
-// ============================================================
-
-// REAL ERC-20 Reward Token (YieldBall Token - YBT)
-export const YBT_TOKEN_ADDRESS =
-  '0xe60663D921b1003e8d129a8B6EBA0c40a867339a';
 
 // Reward amount shown in UI (10 YBT)
 export const REWARD_AMOUNT_DISPLAY = '10';
 
-// Chain ID for Base Sepolia
-export const TARGET_CHAIN_ID = baseSepolia.id;
-
 // USDC ABI (simplified for deposit/withdraw)
 export const USDC_ABI = [
   {
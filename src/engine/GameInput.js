@@ -0,0 +1,354 @@
+/**
+ * YieldBall.eth - Shared Input Layer
+ *
+ * One input map per game, consumed by both engines instead of literal key
+ * strings. Every action has keyboard keys and gamepad inputs; bindings are
+ * plain JSON so they can be rebound from the Controls panel and persisted:
+ *
+ * {
+ *   "keyboard": { "flipLeft": ["a", "ArrowLeft"], "launch": [" "] },
+ *   "gamepad":  { "flipLeft": [{ "button": 4 }], "nudgeUp": [{ "axis": 3, "direction": -1 }] }
+ * }
+ *
+ * Keys are KeyboardEvent.key values (letters lower-cased), so a binding
+ * follows the player's layout - AZERTY players bind the key labelled "Q".
+ * A gamepad binding is either a button index or a stick axis + direction,
+ * using the browser's "standard" layout (A = 0, LB = 4, D-pad left = 14, ...).
+ *
+ * Saved bindings are stored per wallet address (or "guest" before a wallet
+ * connects). Engines create an InputMap, look up actions for key events and
+ * poll() its gamepad once per physics step.
+ */
+
+export const INPUT_STORAGE_KEY = 'yieldball.input.v1';
+export const GAMEPAD_DEADZONE = 0.2;
+export const GUEST_PROFILE = 'guest';
+
+export const INPUT_ACTIONS = {
+  pinball: ['flipLeft', 'flipRight', 'launch', 'nudgeLeft', 'nudgeRight', 'nudgeUp'],
+  pachinko: ['left', 'right', 'spinUp', 'spinDown', 'drop'],
+};
+
+export const ACTION_LABELS = {
+  flipLeft: 'Left flipper',
+  flipRight: 'Right flipper',
+  launch: 'Launch (hold)',
+  nudgeLeft: 'Nudge left',
+  nudgeRight: 'Nudge right',
+  nudgeUp: 'Nudge up',
+  left: 'Aim left',
+  right: 'Aim right',
+  spinUp: 'Spin +',
+  spinDown: 'Spin -',
+  drop: 'Drop (hold for power)',
+};
+
+export const DEFAULT_KEY_BINDINGS = {
+  pinball: {
+    flipLeft: ['a', 'ArrowLeft'],
+    flipRight: ['d', 'ArrowRight'],
+    launch: [' '],
+    nudgeLeft: ['q'],
+    nudgeRight: ['e'],
+    nudgeUp: ['w', 'ArrowUp'],
+  },
+  pachinko: {
+    left: ['ArrowLeft', 'a'],
+    right: ['ArrowRight', 'd'],
+    spinUp: ['ArrowUp', 'w'],
+    spinDown: ['ArrowDown', 's'],
+    drop: [' ', 'Enter'],
+  },
+};
+
+export const DEFAULT_GAMEPAD_BINDINGS = {
+  // LB/LT + RB/RT flip, A plunges, face buttons or right stick nudge
+  pinball: {
+    flipLeft: [{ button: 4 }, { button: 6 }, { button: 14 }],
+    flipRight: [{ button: 5 }, { button: 7 }, { button: 15 }],
+    launch: [{ button: 0 }],
+    nudgeLeft: [{ button: 2 }, { axis: 2, direction: -1 }],
+    nudgeRight: [{ button: 1 }, { axis: 2, direction: 1 }],
+    nudgeUp: [{ button: 3 }, { axis: 3, direction: -1 }],
+  },
+  // Left stick / D-pad aim, LB/RB spin, hold A to charge
+  pachinko: {
+    left: [{ button: 14 }, { axis: 0, direction: -1 }],
+    right: [{ button: 15 }, { axis: 0, direction: 1 }],
+    spinUp: [{ button: 5 }],
+    spinDown: [{ button: 4 }],
+    drop: [{ button: 0 }],
+  },
+};
+
+
+const isKey = (key) => typeof key === 'string' && key.length > 0;
+const isGamepadBinding = (b) =>
+  b && (Number.isInteger(b.button) || (Number.isInteger(b.axis) && (b.direction === 1 || b.direction === -1)));
+
+const DEVICES = {
+  keyboard: { defaults: DEFAULT_KEY_BINDINGS, valid: isKey },
+  gamepad: { defaults: DEFAULT_GAMEPAD_BINDINGS, valid: isGamepadBinding },
+};
+
+// Letters match regardless of Shift / Caps Lock; named keys stay as-is
+export function normalizeKey(key) {
+  return isKey(key) && key.length === 1 ? key.toLowerCase() : key;
+}
+
+const sameInput = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// ========== PROFILES: bindings are saved per wallet address ==========
+
+let activeProfile = GUEST_PROFILE;
+const listeners = new Set();
+
+const profileId = (address) => (address ? address.toLowerCase() : GUEST_PROFILE);
+
+export function setInputProfile(address) {
+  const next = profileId(address);
+  if (next === activeProfile) return;
+  activeProfile = next;
+  listeners.forEach((listener) => listener(null));
+}
+
+export function getInputProfile() {
+  return activeProfile;
+}
+
+/**
+ * Called with the game whose bindings changed (null when the whole profile
+ * switched). Returns an unsubscribe function.
+ */
+export function subscribeInputBindings(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// localStorage may be missing (SSR, headless) or throw (privacy mode)
+function readStorage() {
+  try {
+    if (typeof localStorage === 'undefined') return {};
+    return JSON.parse(localStorage.getItem(INPUT_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function writeStorage(data) {
+  try {
+    if (typeof localStorage === 'undefined') return;
+    localStorage.setItem(INPUT_STORAGE_KEY, JSON.stringify(data));
+  } catch (err) {
+    console.warn('Could not save input bindings:', err);
+  }
+}
+
+/**
+ * Bindings for a game: the profile's saved overrides on top of the defaults.
+ * Invalid saved entries fall back to the default for that action.
+ */
+export function loadInputBindings(game, profile = activeProfile) {
+  if (!INPUT_ACTIONS[game]) throw new Error(`Unknown game "${game}"`);
+
+  const saved = readStorage()[profile]?.[game] || {};
+  const bindings = {};
+  for (const [device, { defaults, valid }] of Object.entries(DEVICES)) {
+    bindings[device] = {};
+    for (const action of INPUT_ACTIONS[game]) {
+      const custom = saved[device]?.[action];
+      bindings[device][action] = Array.isArray(custom) && custom.every(valid) ? custom : defaults[game][action];
+    }
+  }
+  return bindings;
+}
+
+/**
+ * Replace the inputs bound to one action. An input drives a single action
+ * per game, so it is taken off any other action that had it.
+ */
+function saveBinding(device, game, action, inputs, profile) {
+  if (!INPUT_ACTIONS[game]?.includes(action)) {
+    throw new Error(`Unknown ${game} action "${action}"`);
+  }
+  if (!Array.isArray(inputs) || inputs.length === 0 || !inputs.every(DEVICES[device].valid)) {
+    throw new Error(`Invalid ${device} binding for ${action}`);
+  }
+
+  const current = loadInputBindings(game, profile)[device];
+  for (const other of INPUT_ACTIONS[game]) {
+    current[other] = other === action
+      ? inputs
+      : current[other].filter((input) => !inputs.some((taken) => sameInput(taken, input)));
+  }
+
+  const data = readStorage();
+  const saved = data[profile] || {};
+  data[profile] = { ...saved, [game]: { ...saved[game], [device]: current } };
+  writeStorage(data);
+  listeners.forEach((listener) => listener(game));
+  return loadInputBindings(game, profile);
+}
+
+export function saveKeyBinding(game, action, keys, profile = activeProfile) {
+  return saveBinding('keyboard', game, action, Array.isArray(keys) ? keys.map(normalizeKey) : keys, profile);
+}
+
+export function saveGamepadBinding(game, action, inputs, profile = activeProfile) {
+  return saveBinding('gamepad', game, action, inputs, profile);
+}
+
+export function resetInputBindings(game, profile = activeProfile) {
+  const data = readStorage();
+  if (data[profile]) {
+    delete data[profile][game];
+    writeStorage(data);
+  }
+  listeners.forEach((listener) => listener(game));
+  return loadInputBindings(game, profile);
+}
+
+// ========== LABELS: for the HUD hints and the Controls panel ==========
+
+const KEY_LABELS = {
+  ' ': 'Space',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  Escape: 'Esc',
+};
+
+const BUTTON_LABELS = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3', 'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →', 'Home'];
+const AXIS_LABELS = [['L stick ←', 'L stick →'], ['L stick ↑', 'L stick ↓'], ['R stick ←', 'R stick →'], ['R stick ↑', 'R stick ↓']];
+
+export function keyLabel(key) {
+  return KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key);
+}
+
+export function gamepadLabel(binding) {
+  if (Number.isInteger(binding.button)) return BUTTON_LABELS[binding.button] || `Button ${binding.button}`;
+  return AXIS_LABELS[binding.axis]?.[binding.direction > 0 ? 1 : 0] || `Axis ${binding.axis}${binding.direction > 0 ? '+' : '-'}`;
+}
+
+// "A/←" style label for an action's keys
+export function describeKeys(bindings, action) {
+  return bindings.keyboard[action].map(keyLabel).join('/') || '—';
+}
+
+// First connected gamepad, if the browser exposes any
+export function readGamepad() {
+  if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+  return Array.from(navigator.getGamepads()).find((pad) => pad && pad.connected) || null;
+}
+
+/**
+ * Polls the first connected gamepad against a game's bindings and tracks
+ * press/release edges between polls.
+ */
+export class GamepadInput {
+  constructor(game, options = {}) {
+    this.game = game;
+    this.deadzone = options.deadzone ?? GAMEPAD_DEADZONE;
+    this.bindings = options.bindings || loadInputBindings(game).gamepad;
+    this.values = {};
+    this.previous = {};
+  }
+
+  setBindings(bindings) {
+    this.bindings = bindings;
+  }
+
+  // Analog value 0..1 of one binding (buttons are 0 or 1)
+  bindingValue(pad, binding) {
+    if (Number.isInteger(binding.button)) {
+      const button = pad.buttons[binding.button];
+      return button?.pressed ? 1 : 0;
+    }
+    const v = (pad.axes[binding.axis] || 0) * binding.direction;
+    return v > this.deadzone ? Math.min(1, v) : 0;
+  }
+
+  /**
+   * Read the pad once. Returns false when no gamepad is connected, in which
+   * case every action reads as released.
+   */
+  poll() {
+    const pad = readGamepad();
+    this.previous = this.values;
+    this.values = {};
+    if (!pad) return false;
+
+    for (const [action, inputs] of Object.entries(this.bindings)) {
+      this.values[action] = Math.max(0, ...inputs.map((b) => this.bindingValue(pad, b)));
+    }
+    return true;
+  }
+
+  value(action) {
+    return this.values[action] || 0;
+  }
+
+  pressed(action) {
+    return this.value(action) > 0;
+  }
+
+  justPressed(action) {
+    return this.pressed(action) && !(this.previous[action] > 0);
+  }
+
+  justReleased(action) {
+    return !this.pressed(action) && this.previous[action] > 0;
+  }
+}
+
+// First button or stick direction held on a pad - used to capture rebinds
+export function detectGamepadInput(pad, deadzone = 0.5) {
+  if (!pad) return null;
+  const button = pad.buttons.findIndex((b) => b.pressed);
+  if (button >= 0) return { button };
+  const axis = pad.axes.findIndex((v) => Math.abs(v) > deadzone);
+  if (axis >= 0) return { axis, direction: Math.sign(pad.axes[axis]) };
+  return null;
+}
+
+/**
+ * A game's keyboard + gamepad bindings for the active profile. Follows
+ * rebinds and wallet switches live; call destroy() with the engine.
+ */
+export class InputMap {
+  constructor(game, options = {}) {
+    this.game = game;
+    this.gamepad = new GamepadInput(game, { deadzone: options.deadzone, bindings: {} });
+    this.load();
+    this.unsubscribe = subscribeInputBindings((changed) => {
+      if (!changed || changed === game) this.load();
+    });
+  }
+
+  load() {
+    this.bindings = loadInputBindings(this.game);
+    this.gamepad.setBindings(this.bindings.gamepad);
+
+    // key -> action lookup
+    this.keyActions = new Map();
+    for (const [action, keys] of Object.entries(this.bindings.keyboard)) {
+      keys.forEach((key) => this.keyActions.set(key, action));
+    }
+  }
+
+  // Action bound to a KeyboardEvent.key, or null
+  actionForKey(key) {
+    return this.keyActions.get(normalizeKey(key)) || null;
+  }
+
+  // Label of an action's primary key, for on-canvas hints
+  keyLabel(action) {
+    const [key] = this.bindings.keyboard[action] || [];
+    return key ? keyLabel(key) : '—';
+  }
+
+  destroy() {
+    this.unsubscribe();
+  }
+}
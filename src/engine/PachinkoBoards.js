@@ -0,0 +1,246 @@
+/**
+ * YieldBall.eth - Pachinko Board Definitions
+ *
+ * Boards are plain JSON so designers can ship seasonal layouts without
+ * touching engine code. Coordinates are canvas pixels on the 500x700 board,
+ * angles are degrees. The shipped presets live in boards/*.json and go
+ * through parseBoard like any custom board.
+ *
+ * Board format (v1):
+ * {
+ *   "version": 1,
+ *   "id": "classic",
+ *   "name": "Classic",
+ *   "pegRadius": 8,
+ *   "walls":   [{ "x": -25, "y": 350, "width": 50, "height": 800, "angle": 0 }],
+ *   "funnels": [{ "x": 50, "y": 60, "width": 120, "height": 10, "angle": 27 }],
+ *   "bevels":  [{ "x": 15, "y": 150, "radius": 12, "sides": 3, "angle": 30 }],
+ *   "pegs":    [{ "x": 61, "y": 120, "row": 0, "col": 0, "radius": 8, "type": "normal" }],
+ *   "buckets": [{ "label": "Aave", "multiplier": 1, "color": "#b6509e", "width": 100 }],
+ *   "obstacles": [{ "type": "spinner", "x": 150, "y": 340, "length": 80, "speed": 1.5 }],
+ *   "dividerMotion": { "amplitude": 12, "period": 2.5 },
+ *   "dropZone": { "min": 60, "max": 440 }
+ * }
+ *
+ * Bucket widths are scaled to fill the board; omit them for equal buckets.
+ * Peg row/col are optional and only used for labels and colour variation.
+ *
+ * Peg types (see PEG_TYPES): "normal" (default), "bonus" (one-off yield
+ * bonus per round, "bonus": USDC), "multiplier" (adds "multiplier" to the
+ * ball's bucket multiplier, once per ball), "bumper" (high "restitution"
+ * kick) and "portal" (teleports the ball to the other peg sharing its
+ * "portal" id - portal ids must come in pairs).
+ *
+ * Obstacles are kinematic: "spinner" bars rotate at "speed" rad/s and
+ * "slider" bars (optionally tilted by "angle" degrees) oscillate "range" px
+ * along "axis" every "period" seconds.
+ * "dividerMotion" makes the bucket dividers oscillate the same way. Motion
+ * is a function of the round clock and drop seed, so replays reproduce it.
+ */
+
+import classic from './boards/classic.json' with { type: 'json' };
+import triangle from './boards/triangle.json' with { type: 'json' };
+import diamond from './boards/diamond.json' with { type: 'json' };
+import plinko from './boards/plinko.json' with { type: 'json' };
+import arcade from './boards/arcade.json' with { type: 'json' };
+import hard from './boards/hard.json' with { type: 'json' };
+
+export const BOARD_VERSION = 1;
+export const BOARD_WIDTH = 500;
+export const BOARD_HEIGHT = 700;
+
+// Bucket configurations (DeFi protocols) - the classic board's set
+export const BUCKETS = [
+  { label: 'Aave', multiplier: 1.0, color: '#b6509e' },
+  { label: 'GHO', multiplier: 2.0, color: '#00d395' },
+  { label: 'Uniswap', multiplier: 1.5, color: '#ff007a' },
+  { label: 'Degen', multiplier: 5.0, color: '#ff006e' },
+  { label: 'Safe', multiplier: 1.0, color: '#12ff80' },
+];
+
+// Special peg types and their defaults
+export const OBSTACLE_TYPES = ['spinner', 'slider'];
+
+export const PEG_TYPES = {
+  normal: {},
+  bonus: { color: '#ffd700', bonus: 0.05 },
+  multiplier: { color: '#00d395', multiplier: 0.5 },
+  bumper: { color: '#ff8c00', restitution: 1.2 },
+  portal: { color: '#8b5cf6' },
+};
+
+export const DEFAULT_BOARD_ID = 'classic';
+
+// =============================================================================
+// PARSING & VALIDATION
+// =============================================================================
+
+const isNumber = (n) => typeof n === 'number' && Number.isFinite(n);
+
+function requireNumbers(item, keys, where) {
+  keys.forEach((key) => {
+    if (!isNumber(item[key])) {
+      throw new Error(`Invalid board: ${where}.${key} must be a number`);
+    }
+  });
+}
+
+/**
+ * Validate a board definition (object or JSON string) and return a
+ * normalised copy with defaults applied and bucket widths filling the board.
+ */
+export function parseBoard(input) {
+  const board = typeof input === 'string' ? JSON.parse(input) : input;
+
+  if (!board || typeof board !== 'object') {
+    throw new Error('Invalid board: expected an object');
+  }
+  if (board.version !== undefined && board.version !== BOARD_VERSION) {
+    throw new Error(`Invalid board: unsupported version ${board.version}`);
+  }
+  if (!Array.isArray(board.pegs)) {
+    throw new Error('Invalid board: pegs must be an array');
+  }
+  if (!Array.isArray(board.buckets) || board.buckets.length === 0) {
+    throw new Error('Invalid board: at least one bucket is required');
+  }
+
+  const pegRadius = isNumber(board.pegRadius) ? board.pegRadius : 8;
+
+  const walls = (board.walls || []).map((wall, i) => {
+    requireNumbers(wall, ['x', 'y', 'width', 'height'], `walls[${i}]`);
+    return { angle: 0, ...wall };
+  });
+  const funnels = (board.funnels || []).map((funnel, i) => {
+    requireNumbers(funnel, ['x', 'y', 'width', 'height'], `funnels[${i}]`);
+    return { angle: 0, ...funnel };
+  });
+  const bevels = (board.bevels || []).map((bevel, i) => {
+    requireNumbers(bevel, ['x', 'y'], `bevels[${i}]`);
+    return { radius: 12, sides: 3, angle: 0, ...bevel };
+  });
+  const pegs = board.pegs.map((peg, i) => {
+    requireNumbers(peg, ['x', 'y'], `pegs[${i}]`);
+    const type = peg.type || 'normal';
+    if (!PEG_TYPES[type]) {
+      throw new Error(`Invalid board: pegs[${i}].type "${type}" is not a peg type`);
+    }
+    const { color, ...defaults } = PEG_TYPES[type];
+    return { radius: pegRadius, ...defaults, ...peg, type };
+  });
+
+  // Portals must come in pairs
+  const portalCounts = {};
+  pegs.forEach((peg, i) => {
+    if (peg.type !== 'portal') return;
+    if (peg.portal === undefined) {
+      throw new Error(`Invalid board: pegs[${i}] is a portal without a portal id`);
+    }
+    portalCounts[peg.portal] = (portalCounts[peg.portal] || 0) + 1;
+  });
+  Object.entries(portalCounts).forEach(([id, count]) => {
+    if (count !== 2) {
+      throw new Error(`Invalid board: portal "${id}" needs exactly 2 pegs, found ${count}`);
+    }
+  });
+
+  // Scale bucket widths so they exactly fill the board
+  const weights = board.buckets.map((b) => (isNumber(b.width) && b.width > 0 ? b.width : 1));
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  let left = 0;
+  const buckets = board.buckets.map((b, i) => {
+    if (!isNumber(b.multiplier)) {
+      throw new Error(`Invalid board: buckets[${i}].multiplier must be a number`);
+    }
+    const width = (weights[i] / totalWeight) * BOARD_WIDTH;
+    const normalised = {
+      label: b.label || `Bucket ${i + 1}`,
+      multiplier: b.multiplier,
+      color: b.color || '#8b5cf6',
+      width,
+      left,
+      centerX: left + width / 2,
+    };
+    left += width;
+    return normalised;
+  });
+
+  const obstacles = (board.obstacles || []).map((obstacle, i) => {
+    if (!OBSTACLE_TYPES.includes(obstacle.type)) {
+      throw new Error(`Invalid board: obstacles[${i}].type must be one of ${OBSTACLE_TYPES.join(', ')}`);
+    }
+    if (obstacle.type === 'spinner') {
+      requireNumbers(obstacle, ['x', 'y', 'length'], `obstacles[${i}]`);
+      return { thickness: 10, speed: 1.5, ...obstacle };
+    }
+    requireNumbers(obstacle, ['x', 'y', 'width', 'height', 'range'], `obstacles[${i}]`);
+    return { axis: 'x', period: 3, angle: 0, ...obstacle };
+  });
+
+  let dividerMotion = null;
+  if (board.dividerMotion) {
+    requireNumbers(board.dividerMotion, ['amplitude', 'period'], 'dividerMotion');
+    dividerMotion = { ...board.dividerMotion };
+  }
+
+  const dropZone = {
+    min: isNumber(board.dropZone?.min) ? board.dropZone.min : 60,
+    max: isNumber(board.dropZone?.max) ? board.dropZone.max : BOARD_WIDTH - 60,
+  };
+
+  return {
+    version: BOARD_VERSION,
+    id: board.id || 'custom',
+    name: board.name || board.id || 'Custom',
+    pegRadius,
+    walls,
+    funnels,
+    bevels,
+    pegs,
+    obstacles,
+    dividerMotion,
+    buckets,
+    dropZone,
+  };
+}
+
+// =============================================================================
+// PRESETS
+// =============================================================================
+
+const PRESET_SOURCES = Object.fromEntries(
+  [classic, triangle, diamond, plinko, arcade, hard].map((board) => [board.id, board])
+);
+
+// Parsed presets by id - a broken preset file fails here, at load
+export const BOARD_PRESETS = Object.fromEntries(
+  Object.entries(PRESET_SOURCES).map(([id, board]) => [id, parseBoard(board)])
+);
+
+/**
+ * Short fingerprint (FNV-1a, hex) of a parsed board's layout - everything
+ * but its display name. Replays store it to detect a changed board.
+ */
+export function boardHash(board) {
+  const { name, ...layout } = board;
+  const text = JSON.stringify(layout);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Resolve a preset id, JSON string or board object into a parsed board
+ */
+export function resolveBoard(board = DEFAULT_BOARD_ID) {
+  if (typeof board === 'string' && PRESET_SOURCES[board]) {
+    return parseBoard(PRESET_SOURCES[board]);
+  }
+  if (typeof board === 'string' && !board.trim().startsWith('{')) {
+    throw new Error(`Unknown board preset: ${board}`);
+  }
+  return parseBoard(board);
+}
@@ -2,15 +2,25 @@
  * YieldBall.eth - Pachinko Engine
  * 
  * A Web3 Pachinko game with:
- * - Triangle grid of pegs
- * - 5 Buckets with DeFi multipliers
+ * - Data-driven board layouts (see PachinkoBoards.js)
+ * - Buckets with DeFi multipliers
  * - ENS-driven ball physics
  * - Yellow Network state channel simulation
+ * - Seedable drops + headless mode (fixed timestep, no DOM) for verification
+ * - Drop replay recording and playback
+ * - Aim-and-power drops from keyboard or gamepad
+ * - Special peg types: bonus, multiplier, bumper and portal
+ * - Seeded kinematic obstacles (spinners, sliders, moving bucket dividers)
  */
 
 import Matter from 'matter-js';
+import { ReplayRecorder, ReplayPlayer } from './PachinkoReplay.js';
+import { BOARD_WIDTH, BOARD_HEIGHT, PEG_TYPES, resolveBoard } from './PachinkoBoards.js';
+import { InputMap } from './GameInput.js';
 
-const { Engine, Render, Runner, Bodies, Body, Composite, Events, Vector } = Matter;
+export { BUCKETS, BOARD_PRESETS, PEG_TYPES } from './PachinkoBoards.js';
+
+const { Engine, Render, Runner, Bodies, Body, Composite, Events, Vector, Axes, Bounds } = Matter;
 
 // =============================================================================
 // PHYSICS CONFIGURATION - Tuned for smooth, natural Pachinko gameplay
@@ -40,8 +50,43 @@ export const PHYSICS_CONFIG = {
   
   // Deterministic randomness seed (changes per drop)
   RANDOM_SEED_MULTIPLIER: 1337,
+
+  // Fixed simulation step (ms) used in headless mode and for seeded drops
+  FIXED_TIMESTEP: 1000 / 60,
+  MAX_SIMULATION_STEPS: 60 * 60,      // 60s of game time before a headless drop is abandoned
+
+  // Multi-ball rounds: the principal is split across up to this many balls
+  MAX_BALLS_PER_ROUND: 5,
+
+  // Special pegs
+  BUMPER_KICK_VELOCITY: 6,             // Min speed a bumper peg sends the ball away at
+};
+
+// =============================================================================
+// AIM CONFIGURATION - Keyboard / gamepad drop cursor, power and spin meters
+// =============================================================================
+export const AIM_CONFIG = {
+  CURSOR_SPEED: 4,                     // Pixels per physics step while a direction is held
+  GAMEPAD_DEADZONE: 0.2,               // Ignore stick drift below this
+  POWER_CHARGE_RATE: 0.02,             // Power meter change per step while charging (ping-pongs 0..1)
+  POWER_BOOST: 0.8,                    // Full power adds 80% to the initial drop velocity
+  SPIN_STEP: 0.25,                     // Spin change per key press / bumper press
+  SPIN_VELOCITY_X: 1.5,                // Sideways velocity at full spin
+  SPIN_ANGULAR_VELOCITY: 0.15,         // Body spin at full spin
+  PREVIEW_STEPS: 24,                   // Physics steps traced by the guide line
 };
 
+/**
+ * Deterministic phase (0..2π) for obstacle i, derived from the round seed
+ */
+function obstaclePhase(seed, i) {
+  const x = Math.sin((seed + i * 7919) * PHYSICS_CONFIG.RANDOM_SEED_MULTIPLIER) * 10000;
+  return (x - Math.floor(x)) * Math.PI * 2;
+}
+
+// Canvas markers drawn on special pegs
+const PEG_GLYPHS = { bonus: '$', multiplier: '×', bumper: '!', portal: '@' };
+
 // Ball configurations based on ENS class
 // Physics tuned for HIGH-VELOCITY arcade feel with anti-stuck properties
 export const BALL_CONFIGS = {
@@ -89,20 +134,38 @@ export const BALL_CONFIGS = {
   },
 };
 
-// Bucket configurations (DeFi protocols)
-export const BUCKETS = [
-  { label: 'Aave', multiplier: 1.0, color: '#b6509e' },
-  { label: 'GHO', multiplier: 2.0, color: '#00d395' },
-  { label: 'Uniswap', multiplier: 1.5, color: '#ff007a' },
-  { label: 'Degen', multiplier: 5.0, color: '#ff006e' },
-  { label: 'Safe', multiplier: 1.0, color: '#12ff80' },
-];
-
 export class PachinkoEngine {
   constructor(container, options = {}) {
     this.container = container;
-    this.width = 500;
-    this.height = 700;
+    this.width = BOARD_WIDTH;
+    this.height = BOARD_HEIGHT;
+    this.board = resolveBoard(options.board);
+    this.pendingBoard = null; // Board to load once the current round completes
+
+    // Determinism: an explicit seed makes every drop reproducible.
+    // Headless mode skips Render/Runner/DOM entirely and is stepped manually.
+    this.seed = Number.isFinite(options.seed) ? options.seed : null;
+    this.headless = !!options.headless;
+    this.timestep = options.timestep || PHYSICS_CONFIG.FIXED_TIMESTEP;
+    this.logging = options.logging ?? !this.headless;
+    this.lastLanding = null;
+
+    // Replays: record every drop unless disabled (headless batches skip it)
+    this.recordReplays = options.recordReplays ?? !this.headless;
+    this.lastReplay = null;
+    this.replayPlayer = null;
+
+    // Aim state: cursor x, power (0..1) and spin (-1..1) for the next drop
+    this.aim = {
+      x: (this.board.dropZone.min + this.board.dropZone.max) / 2,
+      power: 0,
+      spin: 0,
+      charging: false,
+      chargeDirection: 1,
+      held: { left: false, right: false },
+    };
+    this.input = null; // InputMap, created with the aim controls
+
     this.ensClass = options.ensClass || 'default';
     this.ballConfig = BALL_CONFIGS[this.ensClass] || BALL_CONFIGS.default;
     
@@ -113,24 +176,23 @@ export class PachinkoEngine {
     this.onPegHit = options.onPegHit || (() => {});
     this.onBucketLand = options.onBucketLand || (() => {});
     this.onBallDrop = options.onBallDrop || (() => {});
+    this.onRoundComplete = options.onRoundComplete || (() => {});
     
-    // Game state
-    this.ball = null;
+    // Game state - a round is ballsPerRound drops; each ball carries its own
+    // anti-stuck state, peg-hit counter and bucket result (see createBallState)
+    this.balls = [];              // Balls currently on the board
+    this.roundBalls = [];         // Every ball dropped this round, landed or not
+    this.ballsPerRound = 1;
+    this.setBallsPerRound(options.ballsPerRound);
+    this.lastRound = null;
     this.pegs = [];
     this.buckets = [];
+    this.usedBonusPegs = new Set(); // Bonus pegs pay out once per round
+    this.obstacles = [];          // Kinematic bodies: { body, def, base }
+    // Obstacle motion is a function of (frame, seed); both reset on each round
+    this.obstacleClock = { frame: 0, seed: this.seed ?? 0 };
     this.isPlaying = false;
-    this.pegHitCount = 0;
-    
-    // Anti-stuck tracking system
-    this.stuckDetection = {
-      stallFrames: 0,           // Frames with low velocity
-      cornerFrames: 0,          // Frames stuck near corners
-      lastPosition: { x: 0, y: 0 },
-      lastVelocity: { x: 0, y: 0 },
-      recentCollisions: [],     // Track recent collision points
-      jitterCount: 0,           // Consecutive jitter detections
-      dropSeed: 0,              // Deterministic randomness seed
-    };
+    this.pegHitCount = 0;         // Total peg hits across the round
     
     // Physics refs
     this.engine = null;
@@ -152,7 +214,18 @@ export class PachinkoEngine {
     // ENS Degen class gets 1.2x gravity multiplier!
     this.engine.gravity.scale = 0.002 * this.speedMultiplier;
 
-    // 2. Create Renderer with TRANSPARENT background for animated grid visibility
+    // 2. Create Physics Objects
+    this.buildBoard();
+    this.setupCollisions();
+    this.setupAntiStall();
+
+    // Headless: no canvas, no runner - caller drives the engine via step()
+    if (this.headless) {
+      this.log('%c🎰 Pachinko Engine Initialized (headless)', 'color: #00f5ff; font-weight: bold;');
+      return;
+    }
+
+    // 3. Create Renderer with TRANSPARENT background for animated grid visibility
     // OPTIMIZED: Limit pixelRatio to 1 for better performance
     this.render = Render.create({
       element: this.container,
@@ -165,24 +238,59 @@ export class PachinkoEngine {
         pixelRatio: 1, // Force 1:1 pixel ratio for performance
       },
     });
-
-    // 3. Create Physics Objects
-    this.createWalls();
-    this.createPegGrid();
-    this.createBuckets();
-    this.setupCollisions();
     this.setupRendering();
-    this.setupAntiStall();
 
     // 4. Start Engine
-    this.runner = Runner.create();
+    // Seeded sessions use a fixed timestep so live drops match headless replays
+    this.runner = Runner.create(
+      this.seed !== null ? { isFixed: true, delta: this.timestep } : undefined
+    );
     Runner.run(this.runner, this.engine);
     Render.run(this.render);
 
-    // 5. Setup Click Handler
+    // 5. Setup Click Handler + keyboard/gamepad aiming
     this.setupClickHandler();
+    this.setupAimControls();
 
-    console.log('%c🎰 Pachinko Engine Initialized', 'color: #00f5ff; font-weight: bold;');
+    this.log('%c🎰 Pachinko Engine Initialized', 'color: #00f5ff; font-weight: bold;');
+  }
+
+  // Create walls, pegs, buckets and obstacles from this.board
+  buildBoard() {
+    this.createWalls();
+    this.createPegs();
+    this.createBuckets();
+    this.createObstacles();
+    this.positionObstacles(this.obstacleClock.frame, this.obstacleClock.seed);
+  }
+
+  /**
+   * Swap in a new board definition (preset id, JSON string or object).
+   * While a ball is in play the board is queued and loaded once the round
+   * completes; returns false in that case.
+   */
+  loadBoard(board) {
+    if (this.isPlaying) {
+      this.pendingBoard = board;
+      this.log('%c🗺️ Board change queued until the round completes', 'color: #8b5cf6;');
+      return false;
+    }
+
+    this.pendingBoard = null;
+    this.board = resolveBoard(board);
+    this.stopReplay();
+    this.setAim(this.aim.x);
+
+    if (this.engine) {
+      Composite.clear(this.engine.world, false);
+      this.pegs = [];
+      this.buckets = [];
+      this.obstacles = [];
+      this.buildBoard();
+    }
+
+    this.log(`%c🗺️ Board loaded: ${this.board.name}`, 'color: #8b5cf6;');
+    return true;
   }
 
   createWalls() {
@@ -193,18 +301,15 @@ export class PachinkoEngine {
       restitution: 0.6,
     };
 
-    const walls = [
-      // Left wall
-      Bodies.rectangle(-25, this.height / 2, 50, this.height + 100, wallOptions),
-      // Right wall
-      Bodies.rectangle(this.width + 25, this.height / 2, 50, this.height + 100, wallOptions),
-      // Top funnel left
-      Bodies.rectangle(50, 60, 120, 10, { ...wallOptions, angle: Math.PI * 0.15 }),
-      // Top funnel right
-      Bodies.rectangle(this.width - 50, 60, 120, 10, { ...wallOptions, angle: -Math.PI * 0.15 }),
-    ];
-
-    // Add beveled deflectors at wall-peg junctions to prevent corner wedging
+    // Side walls and top funnels
+    const walls = [...this.board.walls, ...this.board.funnels].map((wall) =>
+      Bodies.rectangle(wall.x, wall.y, wall.width, wall.height, {
+        ...wallOptions,
+        angle: wall.angle * Math.PI / 180,
+      })
+    );
+
+    // Beveled deflectors at wall-peg junctions to prevent corner wedging
     const bevelOptions = {
       isStatic: true,
       render: { fillStyle: '#1e293b', strokeStyle: '#8b5cf6', lineWidth: 1 },
@@ -212,89 +317,77 @@ export class PachinkoEngine {
       restitution: 0.8,
     };
 
-    // Left wall bevels - angled triangles to deflect ball away from wall
-    for (let y = 150; y < this.height - 100; y += 90) {
-      walls.push(
-        Bodies.polygon(15, y, 3, 12, { ...bevelOptions, angle: Math.PI / 6 })
-      );
-    }
-
-    // Right wall bevels
-    for (let y = 150; y < this.height - 100; y += 90) {
+    this.board.bevels.forEach((bevel) => {
       walls.push(
-        Bodies.polygon(this.width - 15, y, 3, 12, { ...bevelOptions, angle: -Math.PI / 6 })
+        Bodies.polygon(bevel.x, bevel.y, bevel.sides, bevel.radius, {
+          ...bevelOptions,
+          angle: bevel.angle * Math.PI / 180,
+        })
       );
-    }
+    });
 
     Composite.add(this.engine.world, walls);
   }
 
-  createPegGrid() {
-    const pegRadius = 8;
-    const startY = 120;
-    
-    // STAGGERED BOX GRID: Dense rectangular layout with zigzag effect
-    const rows = 10;
-    const cols = 11;
-    const horizontalSpacing = 42;
-    const verticalSpacing = 50;
-    
-    // Calculate starting X to center the grid
-    const gridWidth = (cols - 1) * horizontalSpacing;
-    const startX = (this.width - gridWidth) / 2;
-
-    // Create staggered rectangular box pattern
-    for (let row = 0; row < rows; row++) {
-      for (let col = 0; col < cols; col++) {
-        let x = startX + col * horizontalSpacing;
-        const y = startY + row * verticalSpacing;
-        
-        // STAGGER: Even rows shift right by half spacing (zigzag effect)
-        if (row % 2 === 0) {
-          x += horizontalSpacing / 2;
-        }
-
-        // Alternate colors for visual variety
-        const colorIndex = (row + col) % 3;
-        const colors = ['#ff006e', '#00f5ff', '#8b5cf6'];
-
-        // HIGH-VELOCITY: Lower peg restitution (0.5) prevents wild bounces at speed
-        // Slight variation per peg prevents perfectly symmetric bounces
-        const pegVariation = ((row * 7 + col * 13) % 100) / 1000; // 0 to 0.099
-        const pegRestitution = 0.5 + (pegVariation * 0.5); // 0.5 to 0.55 range
+  createPegs() {
+    const colors = ['#ff006e', '#00f5ff', '#8b5cf6'];
+
+    this.board.pegs.forEach((pegDef, i) => {
+      const hasGridPosition = Number.isFinite(pegDef.row) && Number.isFinite(pegDef.col);
+      const row = hasGridPosition ? pegDef.row : 0;
+      const col = hasGridPosition ? pegDef.col : i;
+      const type = pegDef.type || 'normal';
+
+      // Alternate colors for visual variety (special pegs use their type colour)
+      const color = pegDef.color || PEG_TYPES[type]?.color || colors[(row + col) % 3];
+
+      // HIGH-VELOCITY: Lower peg restitution (0.5) prevents wild bounces at speed
+      // Slight variation per peg prevents perfectly symmetric bounces
+      const pegVariation = ((row * 7 + col * 13) % 100) / 1000; // 0 to 0.099
+      const pegRestitution = pegDef.restitution ?? 0.5 + (pegVariation * 0.5); // 0.5 to 0.55 range
+
+      const peg = Bodies.circle(pegDef.x, pegDef.y, pegDef.radius, {
+        isStatic: true,
+        // Portals are sensors - the ball passes into them and is teleported
+        isSensor: type === 'portal',
+        restitution: pegRestitution,
+        friction: 0.003 + (pegVariation / 3), // Lower friction for speed
+        frictionStatic: 0.008,
+        slop: 0.01,
+        label: hasGridPosition ? `peg-${row}-${col}` : `peg-${i}`,
+        render: {
+          fillStyle: color,
+          strokeStyle: '#ffffff',
+          lineWidth: 2,
+        },
+      });
+      peg.pegColor = color;
+      peg.pegRow = row;
+      peg.pegCol = col;
+      peg.pegType = type;
+      peg.pegDef = pegDef;
+      this.pegs.push(peg);
+    });
 
-        const peg = Bodies.circle(x, y, pegRadius, {
-          isStatic: true,
-          restitution: pegRestitution,
-          friction: 0.003 + (pegVariation / 3), // Lower friction for speed
-          frictionStatic: 0.008,
-          slop: 0.01,
-          label: `peg-${row}-${col}`,
-          render: {
-            fillStyle: colors[colorIndex],
-            strokeStyle: '#ffffff',
-            lineWidth: 2,
-          },
-        });
-        peg.pegColor = colors[colorIndex];
-        peg.pegRow = row;
-        peg.pegCol = col;
-        this.pegs.push(peg);
-      }
-    }
+    // Link portal pairs
+    this.pegs.forEach((peg) => {
+      if (peg.pegType !== 'portal') return;
+      peg.portalExit = this.pegs.find((other) =>
+        other !== peg && other.pegType === 'portal' && other.pegDef.portal === peg.pegDef.portal
+      );
+    });
 
     Composite.add(this.engine.world, this.pegs);
   }
 
   createBuckets() {
-    const bucketWidth = this.width / BUCKETS.length;
-    const bucketHeight = 80;
-    const y = this.height - bucketHeight / 2;
+    const buckets = this.board.buckets;
 
-    // Bucket dividers
-    for (let i = 1; i < BUCKETS.length; i++) {
+    // Bucket dividers (oscillating when the board sets dividerMotion)
+    const { dividerMotion } = this.board;
+    for (let i = 1; i < buckets.length; i++) {
       const divider = Bodies.rectangle(
-        i * bucketWidth,
+        buckets[i].left,
         this.height - 40,
         8,
         80,
@@ -304,14 +397,23 @@ export class PachinkoEngine {
         }
       );
       Composite.add(this.engine.world, divider);
+
+      if (dividerMotion) {
+        this.obstacles.push(this.createObstacleState(divider, {
+          type: 'slider',
+          axis: 'x',
+          range: dividerMotion.amplitude * 2,
+          period: dividerMotion.period,
+        }));
+      }
     }
 
     // Bucket sensors (invisible)
-    BUCKETS.forEach((bucket, i) => {
+    buckets.forEach((bucket, i) => {
       const sensor = Bodies.rectangle(
-        bucketWidth / 2 + i * bucketWidth,
+        bucket.centerX,
         this.height - 20,
-        bucketWidth - 10,
+        bucket.width - 10,
         30,
         {
           isStatic: true,
@@ -334,33 +436,196 @@ export class PachinkoEngine {
     Composite.add(this.engine.world, [...this.buckets, floor]);
   }
 
+  createObstacles() {
+    const obstacleOptions = {
+      isStatic: true,
+      friction: 0,
+      restitution: 0.6,
+      render: { fillStyle: '#1e293b', strokeStyle: '#ff006e', lineWidth: 2 },
+    };
+
+    this.board.obstacles.forEach((def, i) => {
+      const body = def.type === 'spinner'
+        ? Bodies.rectangle(def.x, def.y, def.length, def.thickness, { ...obstacleOptions, label: `obstacle-${i}` })
+        : Bodies.rectangle(def.x, def.y, def.width, def.height, { ...obstacleOptions, label: `obstacle-${i}` });
+      this.obstacles.push(this.createObstacleState(body, def));
+      Composite.add(this.engine.world, body);
+    });
+  }
+
+  // Remember the body's rest pose so every frame can be rebuilt from scratch
+  createObstacleState(body, def) {
+    return {
+      body,
+      def,
+      base: { x: body.position.x, y: body.position.y },
+      baseVertices: body.vertices.map((v) => ({ x: v.x, y: v.y })),
+    };
+  }
+
+  // Pose { x, y, angle } of an obstacle at round time t (seconds)
+  getObstaclePose({ def, base }, t, phase) {
+    if (def.type === 'spinner') {
+      return { x: base.x, y: base.y, angle: phase + def.speed * t };
+    }
+    const offset = def.range / 2 * Math.sin((Math.PI * 2 * t) / def.period + phase);
+    const angle = (def.angle || 0) * Math.PI / 180;
+    return def.axis === 'y'
+      ? { x: base.x, y: base.y + offset, angle }
+      : { x: base.x + offset, y: base.y, angle };
+  }
+
+  /**
+   * Place every kinematic obstacle for a given round frame and seed.
+   * Poses are rebuilt from the rest vertices rather than moved incrementally
+   * (Body.setAngle/setPosition accumulate float drift, which would make a
+   * drop depend on how long the board idled). Velocity comes from the
+   * previous frame's pose so the ball picks up the obstacle's motion.
+   */
+  positionObstacles(frame, seed) {
+    const t = (frame * this.timestep) / 1000;
+    const tPrev = ((frame - 1) * this.timestep) / 1000;
+
+    this.obstacles.forEach((obstacle, i) => {
+      const { body, base, baseVertices } = obstacle;
+      const phase = obstaclePhase(seed, i);
+      const pose = this.getObstaclePose(obstacle, t, phase);
+      const prev = this.getObstaclePose(obstacle, tPrev, phase);
+      const cos = Math.cos(pose.angle);
+      const sin = Math.sin(pose.angle);
+
+      body.vertices.forEach((vertex, j) => {
+        const dx = baseVertices[j].x - base.x;
+        const dy = baseVertices[j].y - base.y;
+        vertex.x = pose.x + dx * cos - dy * sin;
+        vertex.y = pose.y + dx * sin + dy * cos;
+      });
+
+      body.position.x = pose.x;
+      body.position.y = pose.y;
+      body.positionPrev.x = prev.x;
+      body.positionPrev.y = prev.y;
+      body.velocity.x = pose.x - prev.x;
+      body.velocity.y = pose.y - prev.y;
+      body.speed = Vector.magnitude(body.velocity);
+      body.angle = pose.angle;
+      body.anglePrev = prev.angle;
+      body.angularVelocity = pose.angle - prev.angle;
+      body.angularSpeed = Math.abs(body.angularVelocity);
+      body.axes = Axes.fromVertices(body.vertices);
+      Bounds.update(body.bounds, body.vertices, body.velocity);
+    });
+  }
+
   setupCollisions() {
     Events.on(this.engine, 'collisionStart', (event) => {
-      if (!this.ball) return;
+      if (this.balls.length === 0) return;
 
       event.pairs.forEach((pair) => {
-        const labels = [pair.bodyA.label, pair.bodyB.label];
+        const ballState = this.getBallState(pair.bodyA) || this.getBallState(pair.bodyB);
+        if (!ballState) return;
+
+        const otherBody = ballState.body === pair.bodyA ? pair.bodyB : pair.bodyA;
 
         // Peg hit
-        if (labels.includes('ball')) {
-          const otherBody = pair.bodyA.label === 'ball' ? pair.bodyB : pair.bodyA;
-          
-          if (otherBody.label.startsWith('peg-')) {
-            this.handlePegHit(otherBody);
-          }
-
-          if (otherBody.label.startsWith('bucket-')) {
-            this.handleBucketLand(otherBody);
-          }
+        if (otherBody.label.startsWith('peg-')) {
+          this.handlePegHit(otherBody, ballState);
+        }
+
+        if (otherBody.label.startsWith('bucket-')) {
+          this.handleBucketLand(otherBody, ballState);
         }
       });
     });
   }
 
-  handlePegHit(peg) {
+  // Map a physics body back to its in-play ball state (null for anything else)
+  getBallState(body) {
+    if (body.label !== 'ball') return null;
+    return this.balls.find((ballState) => ballState.body === body) || null;
+  }
+
+  handlePegHit(peg, ballState) {
+    ballState.pegHits++;
     this.pegHitCount++;
+
+    const effect = this.applyPegEffect(peg, ballState);
     
-    // Visual flash
+    // Visual flash (nothing to draw in headless mode)
+    if (!this.headless) {
+      this.flashPeg(peg);
+    }
+
+    if (ballState.recorder) {
+      ballState.recorder.pegHit(peg.label, ballState.pegHits);
+    }
+
+    // Callback (for Yellow Network simulation)
+    this.onPegHit(this.pegHitCount, peg.label, ballState.index, effect);
+  }
+
+  /**
+   * Apply a special peg's effect to the ball.
+   * Returns { type, bonus, multiplier } - the yield bonus and multiplier
+   * added by this hit (0 when the peg has nothing left to give).
+   */
+  applyPegEffect(peg, ballState) {
+    const effect = { type: peg.pegType, bonus: 0, multiplier: 0 };
+    const ball = ballState.body;
+
+    switch (peg.pegType) {
+      case 'bonus':
+        if (!this.usedBonusPegs.has(peg.label)) {
+          this.usedBonusPegs.add(peg.label);
+          effect.bonus = peg.pegDef.bonus;
+          ballState.bonusYield += effect.bonus;
+          peg.render.opacity = 0.35;
+          this.log(`%c⭐ Bonus peg: +$${effect.bonus}`, 'color: #ffd700;');
+        }
+        break;
+
+      case 'multiplier':
+        if (!ballState.multiplierPegs.has(peg.label)) {
+          ballState.multiplierPegs.add(peg.label);
+          effect.multiplier = peg.pegDef.multiplier;
+          ballState.multiplierBonus += effect.multiplier;
+          this.log(`%c✖️ Multiplier peg: +${effect.multiplier}x`, 'color: #00d395;');
+        }
+        break;
+
+      case 'bumper': {
+        // Kick the ball straight away from the bumper
+        const away = Vector.sub(ball.position, peg.position);
+        const distance = Vector.magnitude(away) || 1;
+        const speed = Math.max(Vector.magnitude(ball.velocity), PHYSICS_CONFIG.BUMPER_KICK_VELOCITY);
+        Body.setVelocity(ball, {
+          x: (away.x / distance) * speed,
+          y: (away.y / distance) * speed,
+        });
+        break;
+      }
+
+      case 'portal': {
+        // Exit just below the paired portal, keeping the ball's velocity
+        const exit = peg.portalExit;
+        if (!exit) break;
+        Body.setPosition(ball, {
+          x: exit.position.x,
+          y: exit.position.y + exit.circleRadius + (ball.circleRadius || 12) + 2,
+        });
+        Body.setVelocity(ball, { x: ball.velocity.x, y: Math.max(ball.velocity.y, 1) });
+        this.log(`%c🌀 Portal ${peg.pegDef.portal}: ${peg.label} → ${exit.label}`, 'color: #8b5cf6;');
+        break;
+      }
+
+      default:
+        break;
+    }
+
+    return effect;
+  }
+
+  flashPeg(peg) {
     const originalColor = peg.pegColor;
     peg.render.fillStyle = '#ffff00';
     peg.render.lineWidth = 5;
@@ -368,27 +633,78 @@ export class PachinkoEngine {
       peg.render.fillStyle = originalColor;
       peg.render.lineWidth = 2;
     }, 100);
-
-    // Callback (for Yellow Network simulation)
-    this.onPegHit(this.pegHitCount, peg.label);
   }
 
-  handleBucketLand(bucketSensor) {
-    if (!this.isPlaying) return;
-    
-    this.isPlaying = false;
+  handleBucketLand(bucketSensor, ballState) {
+    if (ballState.landing) return;
+
     const bucketData = bucketSensor.bucketData;
+    ballState.landing = {
+      bucket: bucketData,
+      bucketIndex: bucketSensor.bucketIndex,
+      // Multiplier pegs stack onto the bucket multiplier
+      multiplier: bucketData.multiplier + ballState.multiplierBonus,
+      multiplierBonus: ballState.multiplierBonus,
+      bonusYield: ballState.bonusYield,
+      pegHits: ballState.pegHits,
+      nudges: ballState.stuckDetection.nudgeCount,
+    };
+    this.lastLanding = ballState.landing;
+
+    if (ballState.recorder) {
+      ballState.recorder.bucketLand(bucketSensor.bucketIndex, ballState.pegHits);
+      ballState.replay = ballState.recorder.finish();
+      ballState.recorder = null;
+      this.lastReplay = ballState.replay;
+    }
     
-    console.log(`%c🎯 Landed in ${bucketData.label} (${bucketData.multiplier}x)!`, 
+    this.log(`%c🎯 Ball ${ballState.index + 1} landed in ${bucketData.label} (${bucketData.multiplier}x)!`, 
       'color: #22c55e; font-weight: bold;');
     
     // Remove ball
-    if (this.ball) {
-      Composite.remove(this.engine.world, this.ball);
-      this.ball = null;
+    Composite.remove(this.engine.world, ballState.body);
+    this.balls = this.balls.filter((b) => b !== ballState);
+
+    this.onBucketLand(bucketData, ballState.pegHits, ballState.replay, ballState.index);
+
+    if (this.balls.length === 0 && this.roundBalls.length >= this.ballsPerRound) {
+      this.completeRound();
+    }
+  }
+
+  /**
+   * Every ball of the round has landed: aggregate the results.
+   * The round multiplier is the average of the ball multipliers, since the
+   * principal was split evenly across the balls.
+   */
+  completeRound() {
+    const balls = this.roundBalls.map((ballState) => ({
+      index: ballState.index,
+      x: ballState.x,
+      seed: ballState.seed,
+      ...ballState.landing,
+      replay: ballState.replay,
+    }));
+    const multiplier = balls.reduce((sum, b) => sum + b.multiplier, 0) / balls.length;
+    const bonusYield = balls.reduce((sum, b) => sum + b.bonusYield, 0);
+
+    this.isPlaying = false;
+    this.roundBalls = [];
+    this.lastRound = { balls, pegHits: this.pegHitCount, multiplier, bonusYield };
+
+    if (balls.length > 1) {
+      this.log(`%c🏁 Round complete: ${balls.map((b) => b.bucket.label).join(' + ')} (avg ${multiplier.toFixed(2)}x)`,
+        'color: #22c55e; font-weight: bold;');
     }
 
-    this.onBucketLand(bucketData, this.pegHitCount);
+    this.onRoundComplete(this.lastRound);
+
+    // A board queued mid-round loads after this physics tick has finished
+    if (this.pendingBoard) {
+      queueMicrotask(() => {
+        if (this.pendingBoard && !this.isPlaying && this.engine) this.loadBoard(this.pendingBoard);
+      });
+    }
   }
 
   setupRendering() {
@@ -407,26 +723,41 @@ export class PachinkoEngine {
         gradient.addColorStop(1, peg.pegColor + '00');
         ctx.fillStyle = gradient;
         ctx.fill();
+
+        // Special peg markers
+        const glyph = PEG_GLYPHS[peg.pegType];
+        if (glyph) {
+          ctx.font = 'bold 9px monospace';
+          ctx.fillStyle = '#0a0a0f';
+          ctx.textAlign = 'center';
+          ctx.textBaseline = 'middle';
+          ctx.fillText(glyph, peg.position.x, peg.position.y + 0.5);
+          ctx.textBaseline = 'alphabetic';
+        }
       });
 
-      // Ball glow
-      if (this.ball) {
+      // Ball glow (live balls, or the ghost ball during replay playback)
+      const glowBalls = this.balls.map((ballState) => ballState.body);
+      if (this.replayPlayer?.ball) {
+        glowBalls.push(this.replayPlayer.ball);
+      }
+      glowBalls.forEach((glowBall) => {
+        const glowColor = glowBall.glowColor || this.ballConfig.color;
         ctx.beginPath();
-        ctx.arc(this.ball.position.x, this.ball.position.y, 30, 0, Math.PI * 2);
+        ctx.arc(glowBall.position.x, glowBall.position.y, 30, 0, Math.PI * 2);
         const ballGlow = ctx.createRadialGradient(
-          this.ball.position.x, this.ball.position.y, 0,
-          this.ball.position.x, this.ball.position.y, 35
+          glowBall.position.x, glowBall.position.y, 0,
+          glowBall.position.x, glowBall.position.y, 35
         );
-        ballGlow.addColorStop(0, this.ballConfig.color + '80');
-        ballGlow.addColorStop(1, this.ballConfig.color + '00');
+        ballGlow.addColorStop(0, glowColor + '80');
+        ballGlow.addColorStop(1, glowColor + '00');
         ctx.fillStyle = ballGlow;
         ctx.fill();
-      }
+      });
 
       // Bucket labels
-      const bucketWidth = this.width / BUCKETS.length;
-      BUCKETS.forEach((bucket, i) => {
-        const x = bucketWidth / 2 + i * bucketWidth;
+      this.board.buckets.forEach((bucket) => {
+        const x = bucket.centerX;
         const y = this.height - 55;
 
         // Background glow
@@ -448,12 +779,27 @@ export class PachinkoEngine {
         ctx.fillText(`${bucket.multiplier}x`, x, y + 18);
       });
 
+      // Aim cursor, guide line and power/spin meters
+      if (this.canDrop()) {
+        this.renderAim(ctx);
+      }
+
       // Drop zone hint
-      if (!this.isPlaying && !this.ball) {
+      const ballsLeft = this.ballsPerRound - this.roundBalls.length;
+      if (!this.replayPlayer && ballsLeft > 0) {
         ctx.font = 'bold 14px monospace';
         ctx.fillStyle = '#22c55e';
         ctx.textAlign = 'center';
-        ctx.fillText('👆 Click above to drop ball', this.width / 2, 40);
+        if (!this.isPlaying) {
+          const keys = this.input
+            ? `${this.input.keyLabel('left')}/${this.input.keyLabel('right')} + ${this.input.keyLabel('drop')}`
+            : '←/→ + Space';
+          ctx.fillText(this.ballsPerRound > 1
+            ? `👆 Click or ${keys} to drop ${this.ballsPerRound} balls`
+            : `👆 Click or ${keys} to drop`, this.width / 2, 64);
+        } else {
+          ctx.fillText(`👆 ${ballsLeft} ball${ballsLeft > 1 ? 's' : ''} left to drop`, this.width / 2, 64);
+        }
       }
     });
   }
@@ -461,187 +807,215 @@ export class PachinkoEngine {
   setupAntiStall() {
     // Comprehensive anti-stuck system with multiple detection strategies
     Events.on(this.engine, 'beforeUpdate', () => {
-      if (!this.ball || !this.isPlaying) {
-        this.resetStuckDetection();
-        return;
-      }
+      this.updateObstacles();
 
-      const pos = this.ball.position;
-      const vel = this.ball.velocity;
-      const speed = Vector.magnitude(vel);
-      const sd = this.stuckDetection;
-
-      // Skip if ball is near the bottom (about to land)
-      if (pos.y > this.height - 100) {
-        this.resetStuckDetection();
-        return;
-      }
+      if (!this.isPlaying) return;
+      this.balls.forEach((ballState) => this.updateStuckDetection(ballState));
+    });
 
-      // 1. JITTER DETECTION - Very low velocity oscillation
-      if (speed < PHYSICS_CONFIG.JITTER_VELOCITY_THRESHOLD && speed > 0.01) {
-        // Check if velocity is oscillating (sign changes)
-        const velChanged = (vel.x * sd.lastVelocity.x < 0) || (vel.y * sd.lastVelocity.y < 0);
-        if (velChanged) {
-          sd.jitterCount++;
-          if (sd.jitterCount > 8) {
-            this.applyJitterCorrection();
-            sd.jitterCount = 0;
-          }
+    // Replay sampling: one sample per ball per physics step
+    Events.on(this.engine, 'afterUpdate', () => {
+      this.balls.forEach((ballState) => {
+        if (ballState.recorder) {
+          ballState.recorder.sample(ballState.body);
         }
-      } else {
-        sd.jitterCount = Math.max(0, sd.jitterCount - 1);
-      }
+      });
+    });
 
-      // 2. GENERAL STUCK DETECTION - Low velocity for extended period
-      if (speed < PHYSICS_CONFIG.STUCK_VELOCITY_THRESHOLD) {
-        sd.stallFrames++;
-        
-        if (sd.stallFrames > PHYSICS_CONFIG.STUCK_FRAMES_THRESHOLD) {
-          this.applyAntiStuckNudge('general');
-          sd.stallFrames = 0;
+    // Collision-based position correction
+    Events.on(this.engine, 'collisionActive', (event) => {
+      if (this.balls.length === 0 || !this.isPlaying) return;
+      this.handleActiveCollisions(event);
+    });
+  }
+
+  // Advance kinematic obstacles one step (replay playback drives them instead)
+  updateObstacles() {
+    if (this.obstacles.length === 0 || this.replayPlayer) return;
+    this.positionObstacles(this.obstacleClock.frame, this.obstacleClock.seed);
+    this.obstacleClock.frame++;
+  }
+
+  /**
+   * Run the anti-stuck detectors for one ball
+   */
+  updateStuckDetection(ballState) {
+    const pos = ballState.body.position;
+    const vel = ballState.body.velocity;
+    const speed = Vector.magnitude(vel);
+    const sd = ballState.stuckDetection;
+
+    // Skip if ball is near the bottom (about to land)
+    if (pos.y > this.height - 100) {
+      this.resetStuckDetection(sd);
+      return;
+    }
+
+    // 1. JITTER DETECTION - Very low velocity oscillation
+    if (speed < PHYSICS_CONFIG.JITTER_VELOCITY_THRESHOLD && speed > 0.01) {
+      // Check if velocity is oscillating (sign changes)
+      const velChanged = (vel.x * sd.lastVelocity.x < 0) || (vel.y * sd.lastVelocity.y < 0);
+      if (velChanged) {
+        sd.jitterCount++;
+        if (sd.jitterCount > 8) {
+          this.applyJitterCorrection(ballState);
+          sd.jitterCount = 0;
         }
-      } else {
-        sd.stallFrames = Math.max(0, sd.stallFrames - 2); // Gradual recovery
       }
+    } else {
+      sd.jitterCount = Math.max(0, sd.jitterCount - 1);
+    }
 
-      // 3. CORNER STUCK DETECTION - Ball near walls with low velocity
-      const nearLeftWall = pos.x < PHYSICS_CONFIG.WALL_MARGIN;
-      const nearRightWall = pos.x > this.width - PHYSICS_CONFIG.WALL_MARGIN;
-      const nearCorner = (nearLeftWall || nearRightWall) && speed < PHYSICS_CONFIG.STUCK_VELOCITY_THRESHOLD * 1.5;
+    // 2. GENERAL STUCK DETECTION - Low velocity for extended period
+    if (speed < PHYSICS_CONFIG.STUCK_VELOCITY_THRESHOLD) {
+      sd.stallFrames++;
       
-      if (nearCorner) {
-        sd.cornerFrames++;
-        if (sd.cornerFrames > PHYSICS_CONFIG.STUCK_CORNER_THRESHOLD) {
-          this.applyCornerEscape(nearLeftWall);
-          sd.cornerFrames = 0;
-        }
-      } else {
-        sd.cornerFrames = Math.max(0, sd.cornerFrames - 1);
+      if (sd.stallFrames > PHYSICS_CONFIG.STUCK_FRAMES_THRESHOLD) {
+        this.applyAntiStuckNudge(ballState, 'general');
+        sd.stallFrames = 0;
       }
+    } else {
+      sd.stallFrames = Math.max(0, sd.stallFrames - 2); // Gradual recovery
+    }
 
-      // 4. PEG TRAP DETECTION - Ball stuck between pegs (position barely changing)
-      const posDelta = Vector.magnitude(Vector.sub(pos, sd.lastPosition));
-      if (posDelta < 0.5 && speed < PHYSICS_CONFIG.STUCK_VELOCITY_THRESHOLD) {
-        sd.stallFrames += 2; // Accelerate stuck detection when truly immobile
+    // 3. CORNER STUCK DETECTION - Ball near walls with low velocity
+    const nearLeftWall = pos.x < PHYSICS_CONFIG.WALL_MARGIN;
+    const nearRightWall = pos.x > this.width - PHYSICS_CONFIG.WALL_MARGIN;
+    const nearCorner = (nearLeftWall || nearRightWall) && speed < PHYSICS_CONFIG.STUCK_VELOCITY_THRESHOLD * 1.5;
+    
+    if (nearCorner) {
+      sd.cornerFrames++;
+      if (sd.cornerFrames > PHYSICS_CONFIG.STUCK_CORNER_THRESHOLD) {
+        this.applyCornerEscape(ballState, nearLeftWall);
+        sd.cornerFrames = 0;
       }
+    } else {
+      sd.cornerFrames = Math.max(0, sd.cornerFrames - 1);
+    }
 
-      // 5. BOUNDARY CORRECTION - Keep ball in valid play area
-      this.applyBoundaryCorrection();
+    // 4. PEG TRAP DETECTION - Ball stuck between pegs (position barely changing)
+    const posDelta = Vector.magnitude(Vector.sub(pos, sd.lastPosition));
+    if (posDelta < 0.5 && speed < PHYSICS_CONFIG.STUCK_VELOCITY_THRESHOLD) {
+      sd.stallFrames += 2; // Accelerate stuck detection when truly immobile
+    }
 
-      // Update tracking
-      sd.lastPosition = { x: pos.x, y: pos.y };
-      sd.lastVelocity = { x: vel.x, y: vel.y };
-    });
+    // 5. BOUNDARY CORRECTION - Keep ball in valid play area
+    this.applyBoundaryCorrection(ballState);
 
-    // Collision-based position correction
-    Events.on(this.engine, 'collisionActive', (event) => {
-      if (!this.ball || !this.isPlaying) return;
-      this.handleActiveCollisions(event);
-    });
+    // Update tracking
+    sd.lastPosition = { x: pos.x, y: pos.y };
+    sd.lastVelocity = { x: vel.x, y: vel.y };
   }
 
   /**
    * Generate deterministic but varied random value based on drop seed
    */
-  seededRandom(offset = 0) {
-    const seed = this.stuckDetection.dropSeed + offset;
+  seededRandom(ballState, offset = 0) {
+    const seed = ballState.stuckDetection.dropSeed + offset;
     const x = Math.sin(seed * PHYSICS_CONFIG.RANDOM_SEED_MULTIPLIER) * 10000;
     return x - Math.floor(x);
   }
 
+  /**
+   * Advance the nudge counter and return a seed offset for it.
+   * Replaces wall-clock offsets so nudges replay identically for a given seed.
+   */
+  nextNudgeOffset(ballState) {
+    const sd = ballState.stuckDetection;
+    sd.nudgeCount++;
+    return sd.nudgeCount * 101;
+  }
+
   /**
    * Apply gentle nudge to free stuck ball
    * STALL DETECTOR: Gives tiny horizontal nudge if velocity hits zero
    */
-  applyAntiStuckNudge(reason) {
-    if (!this.ball) return;
-    
-    const vel = this.ball.velocity;
+  applyAntiStuckNudge(ballState, reason) {
+    const ball = ballState.body;
+    const vel = ball.velocity;
     const speed = Vector.magnitude(vel);
     
     // If velocity is essentially zero, apply pure horizontal nudge
     if (speed < 0.1) {
-      const horizontalDirection = this.seededRandom(Date.now()) > 0.5 ? 1 : -1;
+      const horizontalDirection = this.seededRandom(ballState, this.nextNudgeOffset(ballState)) > 0.5 ? 1 : -1;
       const nudgeX = horizontalDirection * (PHYSICS_CONFIG.NUDGE_FORCE_MIN + 0.5);
       const nudgeY = PHYSICS_CONFIG.NUDGE_DOWNWARD_BIAS * 0.5;
       
-      Body.setVelocity(this.ball, {
+      Body.setVelocity(ball, {
         x: nudgeX,
         y: nudgeY,
       });
       
-      console.log(`%c⚡ Stall Detector: Horizontal nudge (velocity was ~0)`, 'color: #ff006e;');
+      this.log(`%c⚡ Stall Detector: Horizontal nudge (velocity was ~0)`, 'color: #ff006e;');
       return;
     }
     
     // Otherwise, normal anti-stuck nudge
     const nudgeStrength = PHYSICS_CONFIG.NUDGE_FORCE_MIN + 
-      this.seededRandom(this.stuckDetection.stallFrames) * 
+      this.seededRandom(ballState, ballState.stuckDetection.stallFrames) * 
       (PHYSICS_CONFIG.NUDGE_FORCE_MAX - PHYSICS_CONFIG.NUDGE_FORCE_MIN);
     
     // Deterministic but varied direction
-    const angle = (this.seededRandom(Date.now() % 1000) - 0.5) * Math.PI * 0.6; // -54° to +54°
+    const angle = (this.seededRandom(ballState, this.nextNudgeOffset(ballState)) - 0.5) * Math.PI * 0.6; // -54° to +54°
     const nudgeX = Math.sin(angle) * nudgeStrength;
     const nudgeY = Math.cos(angle) * nudgeStrength * PHYSICS_CONFIG.NUDGE_DOWNWARD_BIAS + 
                    PHYSICS_CONFIG.NUDGE_DOWNWARD_BIAS;
     
-    Body.setVelocity(this.ball, {
+    Body.setVelocity(ball, {
       x: vel.x + nudgeX,
       y: vel.y + nudgeY,
     });
 
-    console.log(`%c⚡ Anti-stuck nudge (${reason}): dx=${nudgeX.toFixed(2)}, dy=${nudgeY.toFixed(2)}`, 'color: #ffd700;');
+    this.log(`%c⚡ Anti-stuck nudge (${reason}): dx=${nudgeX.toFixed(2)}, dy=${nudgeY.toFixed(2)}`, 'color: #ffd700;');
   }
 
   /**
    * Apply correction for jittering ball (rapid oscillation)
    */
-  applyJitterCorrection() {
-    if (!this.ball) return;
-    
-    const vel = this.ball.velocity;
+  applyJitterCorrection(ballState) {
+    const ball = ballState.body;
+    const vel = ball.velocity;
     
     // Dampen current velocity and add small downward push
-    Body.setVelocity(this.ball, {
+    Body.setVelocity(ball, {
       x: vel.x * PHYSICS_CONFIG.JITTER_DAMPING,
       y: Math.max(vel.y * PHYSICS_CONFIG.JITTER_DAMPING, 0.8), // Ensure downward motion
     });
 
-    console.log('%c🔧 Jitter correction applied', 'color: #00f5ff;');
+    this.log('%c🔧 Jitter correction applied', 'color: #00f5ff;');
   }
 
   /**
    * Escape from wall corners with directed force
    */
-  applyCornerEscape(isLeftWall) {
-    if (!this.ball) return;
-    
+  applyCornerEscape(ballState, isLeftWall) {
+    const ball = ballState.body;
+
     const escapeX = isLeftWall ? PHYSICS_CONFIG.PEG_ESCAPE_VELOCITY : -PHYSICS_CONFIG.PEG_ESCAPE_VELOCITY;
     const escapeY = PHYSICS_CONFIG.PEG_ESCAPE_VELOCITY * 0.5;
     
-    Body.setVelocity(this.ball, {
+    Body.setVelocity(ball, {
       x: escapeX,
       y: escapeY,
     });
     
     // Also nudge position slightly away from wall
     const offsetX = isLeftWall ? PHYSICS_CONFIG.COLLISION_OFFSET * 2 : -PHYSICS_CONFIG.COLLISION_OFFSET * 2;
-    Body.setPosition(this.ball, {
-      x: this.ball.position.x + offsetX,
-      y: this.ball.position.y,
+    Body.setPosition(ball, {
+      x: ball.position.x + offsetX,
+      y: ball.position.y,
     });
 
-    console.log(`%c🚀 Corner escape (${isLeftWall ? 'left' : 'right'} wall)`, 'color: #ff006e;');
+    this.log(`%c🚀 Corner escape (${isLeftWall ? 'left' : 'right'} wall)`, 'color: #ff006e;');
   }
 
   /**
    * Keep ball within valid boundaries
    */
-  applyBoundaryCorrection() {
-    if (!this.ball) return;
-    
-    const pos = this.ball.position;
-    const radius = this.ball.circleRadius || 12;
+  applyBoundaryCorrection(ballState) {
+    const ball = ballState.body;
+    const pos = ball.position;
+    const radius = ball.circleRadius || 12;
     const margin = radius + 2;
     let corrected = false;
     let newX = pos.x;
@@ -664,7 +1038,7 @@ export class PachinkoEngine {
     }
     
     if (corrected) {
-      Body.setPosition(this.ball, { x: newX, y: newY });
+      Body.setPosition(ball, { x: newX, y: newY });
     }
   }
 
@@ -673,10 +1047,11 @@ export class PachinkoEngine {
    */
   handleActiveCollisions(event) {
     event.pairs.forEach((pair) => {
-      if (pair.bodyA.label !== 'ball' && pair.bodyB.label !== 'ball') return;
+      const ballState = this.getBallState(pair.bodyA) || this.getBallState(pair.bodyB);
+      if (!ballState) return;
       
-      const ball = pair.bodyA.label === 'ball' ? pair.bodyA : pair.bodyB;
-      const other = pair.bodyA.label === 'ball' ? pair.bodyB : pair.bodyA;
+      const ball = ballState.body;
+      const other = ball === pair.bodyA ? pair.bodyB : pair.bodyA;
       
       // Skip bucket sensors
       if (other.isSensor) return;
@@ -722,16 +1097,72 @@ export class PachinkoEngine {
   /**
    * Reset stuck detection state
    */
-  resetStuckDetection() {
-    this.stuckDetection.stallFrames = 0;
-    this.stuckDetection.cornerFrames = 0;
-    this.stuckDetection.jitterCount = 0;
-    this.stuckDetection.recentCollisions = [];
+  resetStuckDetection(sd) {
+    sd.stallFrames = 0;
+    sd.cornerFrames = 0;
+    sd.jitterCount = 0;
+    sd.recentCollisions = [];
+  }
+
+  // Bonus pegs refill at the start of every round
+  resetBonusPegs() {
+    this.usedBonusPegs.clear();
+    this.pegs.forEach((peg) => {
+      if (peg.pegType === 'bonus') {
+        peg.render.opacity = 1;
+      }
+    });
+  }
+
+  /**
+   * Fresh per-ball state: body, seed, peg hits, replay and anti-stuck tracking
+   */
+  createBallState(body, index, x, seed) {
+    return {
+      index,
+      body,
+      x,
+      seed,
+      pegHits: 0,
+      bonusYield: 0,              // From bonus pegs
+      multiplierBonus: 0,         // From multiplier pegs
+      multiplierPegs: new Set(),  // Multiplier pegs already collected by this ball
+      landing: null,
+      recorder: null,
+      replay: null,
+      // Anti-stuck tracking system
+      stuckDetection: {
+        stallFrames: 0,           // Frames with low velocity
+        cornerFrames: 0,          // Frames stuck near corners
+        lastPosition: { x: 0, y: 0 },
+        lastVelocity: { x: 0, y: 0 },
+        recentCollisions: [],     // Track recent collision points
+        jitterCount: 0,           // Consecutive jitter detections
+        dropSeed: seed,           // Deterministic randomness seed
+        nudgeCount: 0,            // Nudges applied this drop (also offsets the seed)
+      },
+    };
+  }
+
+  // True while the current round still has balls left to drop
+  canDrop() {
+    return !this.replayPlayer && this.roundBalls.length < this.ballsPerRound;
+  }
+
+  /**
+   * Split each round across n balls (1 to MAX_BALLS_PER_ROUND).
+   * Ignored while a round is in progress.
+   */
+  setBallsPerRound(n) {
+    if (this.isPlaying) return false;
+    const count = Math.floor(Number(n)) || 1;
+    this.ballsPerRound = Math.max(1, Math.min(PHYSICS_CONFIG.MAX_BALLS_PER_ROUND, count));
+    return true;
   }
 
   setupClickHandler() {
     this.handleClick = (e) => {
-      if (this.isPlaying || this.ball) return;
+      if (!this.canDrop()) return;
 
       const rect = this.render.canvas.getBoundingClientRect();
       const x = e.clientX - rect.left;
@@ -743,22 +1174,213 @@ export class PachinkoEngine {
       }
     };
 
+    // The aim cursor follows the mouse so the guide line matches the click
+    this.handleMouseMove = (e) => {
+      const rect = this.render.canvas.getBoundingClientRect();
+      this.setAim(e.clientX - rect.left);
+    };
+
     this.render.canvas.addEventListener('click', this.handleClick);
+    this.render.canvas.addEventListener('mousemove', this.handleMouseMove);
+  }
+
+  /**
+   * Keyboard + gamepad aiming (rebindable - see GameInput.js). Defaults:
+   * ←/→ or A/D move the drop cursor, ↑/↓ or W/S set spin,
+   * hold Space/Enter to charge the power meter and release to drop.
+   * Gamepad: left stick / D-pad aim, LB/RB spin, hold A to charge.
+   */
+  setupAimControls() {
+    this.input = new InputMap('pachinko', { deadzone: AIM_CONFIG.GAMEPAD_DEADZONE });
+
+    this.handleAimKeyDown = (e) => {
+      // Leave typing in form fields alone
+      if (e.target && ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+
+      const action = this.input.actionForKey(e.key);
+      if (!action) return;
+      e.preventDefault(); // Prevent page scroll
+
+      if (action === 'left' || action === 'right') {
+        this.aim.held[action] = true;
+      } else if (action === 'spinUp' && !e.repeat) {
+        this.adjustSpin(AIM_CONFIG.SPIN_STEP);
+      } else if (action === 'spinDown' && !e.repeat) {
+        this.adjustSpin(-AIM_CONFIG.SPIN_STEP);
+      } else if (action === 'drop' && !e.repeat) {
+        this.startCharge();
+      }
+    };
+
+    this.handleAimKeyUp = (e) => {
+      const action = this.input.actionForKey(e.key);
+      if (action === 'left' || action === 'right') this.aim.held[action] = false;
+      if (action === 'drop') this.releaseCharge();
+    };
+
+    window.addEventListener('keydown', this.handleAimKeyDown);
+    window.addEventListener('keyup', this.handleAimKeyUp);
+
+    // Cursor movement, charging and gamepad polling run once per physics step
+    Events.on(this.engine, 'beforeUpdate', () => this.updateAim());
+  }
+
+  updateAim() {
+    const aim = this.aim;
+    let direction = (aim.held.right ? 1 : 0) - (aim.held.left ? 1 : 0);
+
+    const pad = this.input.gamepad;
+    if (pad.poll()) {
+      // Analog stick gives a proportional cursor speed
+      const padDirection = pad.value('right') - pad.value('left');
+      if (padDirection !== 0) direction = padDirection;
+
+      if (pad.justPressed('spinUp')) this.adjustSpin(AIM_CONFIG.SPIN_STEP);
+      if (pad.justPressed('spinDown')) this.adjustSpin(-AIM_CONFIG.SPIN_STEP);
+      if (pad.justPressed('drop')) this.startCharge();
+    }
+    // Also fires when the pad disconnects mid-charge
+    if (pad.justReleased('drop')) this.releaseCharge();
+
+    if (direction !== 0) {
+      this.setAim(aim.x + direction * AIM_CONFIG.CURSOR_SPEED);
+    }
+
+    // Power meter ping-pongs between 0 and 1 while charging
+    if (aim.charging) {
+      aim.power += AIM_CONFIG.POWER_CHARGE_RATE * aim.chargeDirection;
+      if (aim.power >= 1 || aim.power <= 0) {
+        aim.power = Math.max(0, Math.min(1, aim.power));
+        aim.chargeDirection *= -1;
+      }
+    }
   }
 
-  dropBall(x) {
-    if (this.isPlaying || this.ball) return;
+  // Move the drop cursor, clamped to the board's drop zone
+  setAim(x) {
+    const { min, max } = this.board.dropZone;
+    this.aim.x = Math.max(min, Math.min(max, x));
+  }
+
+  adjustSpin(delta) {
+    this.aim.spin = Math.max(-1, Math.min(1, this.aim.spin + delta));
+  }
+
+  startCharge() {
+    if (!this.canDrop()) return;
+    this.aim.charging = true;
+    this.aim.chargeDirection = 1;
+    this.aim.power = 0;
+  }
+
+  // Release the power meter and drop at the cursor
+  releaseCharge() {
+    if (!this.aim.charging) return;
+    this.aim.charging = false;
+    this.dropBall(this.aim.x, { power: this.aim.power, spin: this.aim.spin });
+    this.aim.power = 0;
+  }
+
+  /**
+   * Initial velocity for a drop. power (0..1) scales the downward speed and
+   * spin (-1..1) adds sideways drift; both default to 0 (a plain click drop).
+   */
+  getLaunchVelocity(randomX, power = 0, spin = 0) {
+    // HIGH-VELOCITY: Apply strong initial downward velocity
+    // ENS Speed Multiplier: Degen class gets 1.2x speed boost!
+    const speedMultiplier = this.ballConfig.speedMultiplier || 1.0;
+    return {
+      x: randomX + spin * AIM_CONFIG.SPIN_VELOCITY_X,
+      y: 5 * speedMultiplier * (1 + power * AIM_CONFIG.POWER_BOOST), // Base 5, boosted for Degen
+    };
+  }
+
+  renderAim(ctx) {
+    const { x, power, spin, charging } = this.aim;
+    const radius = 12 * this.ballConfig.scale;
+    const color = this.ballConfig.color;
+
+    // Guide line: ballistic preview of the opening arc (ignores the seeded jitter)
+    const gravityPerStep = this.engine.gravity.y * this.engine.gravity.scale * this.timestep * this.timestep;
+    let velocity = this.getLaunchVelocity(0, power, spin);
+    let point = { x, y: 20 };
+    ctx.save();
+    ctx.setLineDash([4, 6]);
+    ctx.strokeStyle = color + '90';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(point.x, point.y);
+    for (let i = 0; i < AIM_CONFIG.PREVIEW_STEPS; i++) {
+      velocity = {
+        x: velocity.x * (1 - this.ballConfig.frictionAir),
+        y: (velocity.y + gravityPerStep) * (1 - this.ballConfig.frictionAir),
+      };
+      point = { x: point.x + velocity.x, y: point.y + velocity.y };
+      ctx.lineTo(point.x, point.y);
+    }
+    ctx.stroke();
+    ctx.restore();
+
+    // Drop cursor (ghost ball)
+    ctx.beginPath();
+    ctx.arc(x, 20, radius, 0, Math.PI * 2);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    // Power meter (only while charging) and spin indicator
+    if (charging) {
+      const meterWidth = 60;
+      ctx.fillStyle = 'rgba(255,255,255,0.15)';
+      ctx.fillRect(x - meterWidth / 2, 20 + radius + 6, meterWidth, 5);
+      ctx.fillStyle = power > 0.8 ? '#ff006e' : '#22c55e';
+      ctx.fillRect(x - meterWidth / 2, 20 + radius + 6, meterWidth * power, 5);
+    }
+    if (spin !== 0) {
+      ctx.font = 'bold 11px monospace';
+      ctx.fillStyle = '#fbbf24';
+      ctx.textAlign = 'left';
+      ctx.fillText(`${spin > 0 ? '↻' : '↺'} ${Math.abs(spin * 100)}%`, x + radius + 6, 24);
+    }
+  }
+
+  /**
+   * Drop the next ball of the round at x. Pass { seed } (or construct with
+   * options.seed) for a reproducible drop; otherwise the seed is derived from
+   * position and time. Session-seeded rounds use seed + ball index.
+   * Optional { power, spin } come from the aim controls.
+   * Returns the ball state, or null if the round has no balls left to drop.
+   */
+  dropBall(x, options = {}) {
+    if (!this.canDrop()) return null;
+
+    const index = this.roundBalls.length;
+    if (index === 0) {
+      this.pegHitCount = 0;
+      this.lastLanding = null;
+      this.lastReplay = null;
+      this.lastRound = null;
+      this.resetBonusPegs();
+    }
 
     // Clamp x to valid drop zone
-    const clampedX = Math.max(60, Math.min(this.width - 60, x));
+    const { min, max } = this.board.dropZone;
+    const clampedX = Math.max(min, Math.min(max, x));
     
     const baseRadius = 12;
     const radius = baseRadius * this.ballConfig.scale;
 
-    // Generate deterministic seed for this drop (based on position and time)
-    this.stuckDetection.dropSeed = (clampedX * 1000 + Date.now()) % 100000;
+    // Explicit seed wins, then session seed, then position + time
+    let seed;
+    if (Number.isFinite(options.seed)) {
+      seed = options.seed;
+    } else if (this.seed !== null) {
+      seed = this.seed + index;
+    } else {
+      seed = (clampedX * 1000 + Date.now()) % 100000;
+    }
 
-    this.ball = Bodies.circle(clampedX, 20, radius, {
+    const body = Bodies.circle(clampedX, 20, radius, {
       label: 'ball',
       restitution: this.ballConfig.restitution,
       friction: this.ballConfig.friction,
@@ -774,23 +1396,41 @@ export class PachinkoEngine {
         lineWidth: 2,
       },
     });
+    const ballState = this.createBallState(body, index, clampedX, seed);
 
-    Composite.add(this.engine.world, this.ball);
+    // Obstacles restart their seeded motion with each round
+    if (index === 0) {
+      this.obstacleClock = { frame: 0, seed };
+    }
+
+    Composite.add(this.engine.world, body);
     
-    // HIGH-VELOCITY: Apply strong initial downward velocity
-    // ENS Speed Multiplier: Degen class gets 1.2x speed boost!
-    const speedMultiplier = this.ballConfig.speedMultiplier || 1.0;
-    const initialNudgeX = (this.seededRandom(0) - 0.5) * 2; // Wider horizontal variance
-    const initialVelocityY = 5 * speedMultiplier; // Base 5, boosted for Degen
+    const power = Math.max(0, Math.min(1, options.power || 0));
+    const spin = Math.max(-1, Math.min(1, options.spin || 0));
+    const initialNudgeX = (this.seededRandom(ballState, 0) - 0.5) * 2; // Wider horizontal variance
     
-    Body.setVelocity(this.ball, { x: initialNudgeX, y: initialVelocityY });
+    Body.setVelocity(body, this.getLaunchVelocity(initialNudgeX, power, spin));
+    if (spin !== 0) {
+      Body.setAngularVelocity(body, spin * AIM_CONFIG.SPIN_ANGULAR_VELOCITY);
+    }
     
+    this.balls.push(ballState);
+    this.roundBalls.push(ballState);
     this.isPlaying = true;
-    this.pegHitCount = 0;
-    this.resetStuckDetection();
+
+    if (this.recordReplays) {
+      ballState.recorder = new ReplayRecorder({
+        x: clampedX,
+        seed,
+        ensClass: this.ensClass,
+        timestep: this.timestep,
+        board: this.board,
+      });
+    }
     
-    this.onBallDrop();
-    console.log(`%c🎱 Ball dropped! Speed: ${speedMultiplier}x, Seed: ${this.stuckDetection.dropSeed} (${this.ballConfig.label})`, 'color: #00f5ff;');
+    this.onBallDrop(index);
+    this.log(`%c🎱 Ball ${index + 1}/${this.ballsPerRound} dropped! Speed: ${this.speedMultiplier}x, Power: ${power.toFixed(2)}, Spin: ${spin}, Seed: ${seed} (${this.ballConfig.label})`, 'color: #00f5ff;');
+    return ballState;
   }
 
   // Update ENS class and reconfigure ball (including speed multiplier)
@@ -804,25 +1444,111 @@ export class PachinkoEngine {
       this.engine.gravity.scale = 0.002 * this.speedMultiplier;
     }
     
-    console.log(`%c🔗 ENS Class set to: ${ensClass} (Speed: ${this.speedMultiplier}x)`, 'color: #8b5cf6;');
+    this.log(`%c🔗 ENS Class set to: ${ensClass} (Speed: ${this.speedMultiplier}x)`, 'color: #8b5cf6;');
+  }
+
+  // Advance physics by one fixed step (headless mode drives the engine this way)
+  step(delta = this.timestep) {
+    if (!this.engine) return;
+    Engine.update(this.engine, delta);
+  }
+
+  /**
+   * Headless: drop a single ball at x and step until it lands.
+   * Returns { x, seed, bucket, bucketIndex, multiplier, bonusYield, pegHits,
+   * nudges, steps }, with a null bucket if the ball had not landed after maxSteps.
+   */
+  simulateDrop(x, options = {}) {
+    const maxSteps = options.maxSteps || PHYSICS_CONFIG.MAX_SIMULATION_STEPS;
+
+    this.reset();
+    const ballState = this.dropBall(x, options);
+    if (!ballState) return null;
+
+    let steps = 0;
+    while (!ballState.landing && steps < maxSteps) {
+      this.step();
+      steps++;
+    }
+
+    const landing = ballState.landing;
+    const result = {
+      x: ballState.x,
+      seed: ballState.seed,
+      bucket: landing ? landing.bucket : null,
+      bucketIndex: landing ? landing.bucketIndex : -1,
+      multiplier: landing ? landing.multiplier : 0,
+      bonusYield: ballState.bonusYield,
+      pegHits: ballState.pegHits,
+      nudges: ballState.stuckDetection.nudgeCount,
+      steps,
+    };
+
+    // Abandoned drop (or unfinished multi-ball round): clear the board
+    // so the engine is ready for the next one
+    if (this.isPlaying) {
+      this.reset();
+    }
+
+    return result;
+  }
+
+  /**
+   * Play a recorded drop on this engine's canvas (drops are blocked meanwhile).
+   * The engine's board is never swapped for a replay: one recorded on
+   * another board (or an edited layout of this one) throws instead.
+   * Returns the ReplayPlayer so callers can pause, seek and change speed.
+   */
+  playReplay(replay, options = {}) {
+    if (this.headless || this.isPlaying) return null;
+
+    this.stopReplay();
+    this.replayPlayer = new ReplayPlayer(this, replay, {
+      ...options,
+      ballConfig: BALL_CONFIGS[replay.ensClass] || BALL_CONFIGS.default,
+    });
+    return this.replayPlayer;
+  }
+
+  stopReplay() {
+    if (this.replayPlayer) {
+      this.replayPlayer.destroy();
+      this.replayPlayer = null;
+    }
+  }
+
+  // Console output is suppressed in headless mode unless options.logging is set
+  log(...args) {
+    if (this.logging) {
+      console.log(...args);
+    }
   }
 
   // Reset for new game
   reset() {
-    if (this.ball) {
-      Composite.remove(this.engine.world, this.ball);
-      this.ball = null;
-    }
+    this.stopReplay();
+    this.balls.forEach((ballState) => {
+      Composite.remove(this.engine.world, ballState.body);
+    });
+    this.balls = [];
+    this.roundBalls = [];
     this.isPlaying = false;
     this.pegHitCount = 0;
-    this.resetStuckDetection();
   }
 
   // Cleanup (THE CLEANUP - Stops the bugs and prevents memory leaks!)
   destroy() {
+    this.stopReplay();
+
     if (this.render?.canvas) {
       this.render.canvas.removeEventListener('click', this.handleClick);
+      this.render.canvas.removeEventListener('mousemove', this.handleMouseMove);
+    }
+    if (this.handleAimKeyDown) {
+      window.removeEventListener('keydown', this.handleAimKeyDown);
+      window.removeEventListener('keyup', this.handleAimKeyUp);
     }
+    this.input?.destroy();
 
     if (this.render) {
       Render.stop(this.render);
@@ -844,6 +1570,6 @@ export class PachinkoEngine {
     this.render = null;
     this.runner = null;
 
-    console.log('%c🧹 Pachinko Engine Destroyed', 'color: #ff006e;');
+    this.log('%c🧹 Pachinko Engine Destroyed', 'color: #ff006e;');
   }
 }
@@ -0,0 +1,139 @@
+/**
+ * YieldBall.eth - Monte Carlo Bucket Odds Analyzer
+ *
+ * Runs seeded headless drops across the board's drop zone for each ENS ball
+ * class and reports landing distribution, expected multiplier (including
+ * multiplier pegs), mean peg hits, bonus peg yield and anti-stuck nudge
+ * frequency. Output is plain JSON so it can be saved, diffed between board
+ * revisions or charted on the /test route.
+ */
+
+import { PachinkoEngine, BALL_CONFIGS } from './PachinkoEngine.js';
+import { DEFAULT_BOARD_ID } from './PachinkoBoards.js';
+
+export const ODDS_DEFAULTS = {
+  drops: 1000,
+  seed: 1,
+  maxSteps: 60 * 30,     // 30s of game time; anything slower counts as stuck
+  batchSize: 25,         // Drops per batch before yielding to the event loop
+};
+
+const round = (n, digits = 4) => Number(n.toFixed(digits));
+
+/**
+ * Simulate `drops` seeded drops for one ENS class.
+ * Drop positions are evenly stratified across the drop zone so results are
+ * reproducible for a given board, class and seed.
+ */
+export async function analyzeClass(ensClass, options = {}) {
+  const {
+    board = DEFAULT_BOARD_ID,
+    drops = ODDS_DEFAULTS.drops,
+    seed = ODDS_DEFAULTS.seed,
+    maxSteps = ODDS_DEFAULTS.maxSteps,
+    batchSize = ODDS_DEFAULTS.batchSize,
+    onProgress,
+  } = options;
+
+  const engine = new PachinkoEngine(null, { headless: true, ensClass, board });
+  const { min, max } = engine.board.dropZone;
+  const buckets = engine.board.buckets;
+  const counts = buckets.map(() => 0);
+
+  let landed = 0;
+  let stuck = 0;
+  let totalPegHits = 0;
+  let totalNudges = 0;
+  let dropsWithNudge = 0;
+  let multiplierSum = 0;
+  let totalBonusYield = 0;
+
+  try {
+    for (let i = 0; i < drops; i++) {
+      const x = min + ((i + 0.5) / drops) * (max - min);
+      const result = engine.simulateDrop(x, { seed: seed + i, maxSteps });
+
+      totalPegHits += result.pegHits;
+      totalNudges += result.nudges;
+      totalBonusYield += result.bonusYield;
+      if (result.nudges > 0) dropsWithNudge++;
+
+      if (result.bucket) {
+        landed++;
+        counts[result.bucketIndex]++;
+        multiplierSum += result.multiplier;
+      } else {
+        stuck++;
+      }
+
+      // Yield so a browser tab stays responsive during long runs
+      if ((i + 1) % batchSize === 0) {
+        onProgress?.(i + 1, drops);
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+    }
+  } finally {
+    engine.destroy();
+  }
+
+  if (drops % batchSize !== 0) {
+    onProgress?.(drops, drops);
+  }
+
+  return {
+    ensClass,
+    drops,
+    landed,
+    stuck,
+    stuckRate: round(stuck / drops),
+    buckets: buckets.map((bucket, i) => ({
+      label: bucket.label,
+      multiplier: bucket.multiplier,
+      count: counts[i],
+      probability: round(landed ? counts[i] / landed : 0),
+    })),
+    expectedMultiplier: round(landed ? multiplierSum / landed : 0),
+    meanPegHits: round(totalPegHits / drops, 2),
+    meanBonusYield: round(totalBonusYield / drops),
+    meanNudges: round(totalNudges / drops, 3),
+    nudgeRate: round(dropsWithNudge / drops),
+  };
+}
+
+/**
+ * Analyze every requested ENS class on a board.
+ * onProgress(done, total) reports drops completed across all classes.
+ */
+export async function analyzeBoard(options = {}) {
+  const {
+    board = DEFAULT_BOARD_ID,
+    classes = Object.keys(BALL_CONFIGS),
+    drops = ODDS_DEFAULTS.drops,
+    seed = ODDS_DEFAULTS.seed,
+    maxSteps = ODDS_DEFAULTS.maxSteps,
+    onProgress,
+  } = options;
+
+  const total = classes.length * drops;
+  const results = {};
+
+  for (let c = 0; c < classes.length; c++) {
+    const ensClass = classes[c];
+    results[ensClass] = await analyzeClass(ensClass, {
+      board,
+      drops,
+      seed,
+      maxSteps,
+      onProgress: (done) => onProgress?.(c * drops + done, total),
+    });
+  }
+
+  return {
+    board: typeof board === 'string' ? board : board.id || 'custom',
+    drops,
+    seed,
+    maxSteps,
+    generatedAt: new Date().toISOString(),
+    classes: results,
+  };
+}
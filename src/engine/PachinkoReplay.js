@@ -0,0 +1,254 @@
+/**
+ * YieldBall.eth - Pachinko Drop Replays
+ *
+ * Records a single drop (position, seed, ENS class, per-frame ball samples
+ * and peg/bucket events) into a compact JSON replay, and plays it back on an
+ * engine's existing canvas without running physics.
+ *
+ * Replay format (v2):
+ * {
+ *   v: 2,
+ *   x, seed, ensClass, timestep,
+ *   board, boardHash,                        // board id + layout fingerprint
+ *   f: [x, y, vx, vy, x, y, vx, vy, ...],   // one 4-tuple per physics step
+ *   e: [[frame, 'p', pegLabel, hitCount], [frame, 'b', bucketIndex, pegHits]],
+ *   t: createdAt,
+ * }
+ *
+ * Because the seed is included, a replay can also be re-simulated with a
+ * headless PachinkoEngine to check it matches the recorded landing.
+ *
+ * A replay only lines up with the board it was recorded on, so playback
+ * refuses a board whose id or layout hash (see boardHash) differs.
+ */
+
+import Matter from 'matter-js';
+import { boardHash } from './PachinkoBoards.js';
+
+const { Bodies, Body, Composite } = Matter;
+
+export const REPLAY_VERSION = 2;
+export const REPLAY_SPEEDS = [0.5, 1, 2];
+
+const SAMPLE_STRIDE = 4;
+
+// Two decimals is plenty for re-rendering and keeps shared replays small
+const round = (n) => Math.round(n * 100) / 100;
+
+export class ReplayRecorder {
+  constructor({ x, seed, ensClass, timestep, board }) {
+    this.replay = {
+      v: REPLAY_VERSION,
+      x: round(x),
+      seed,
+      ensClass,
+      timestep,
+      board: board.id,
+      boardHash: boardHash(board),
+      f: [],
+      e: [],
+      t: Date.now(),
+    };
+  }
+
+  get frameCount() {
+    return this.replay.f.length / SAMPLE_STRIDE;
+  }
+
+  // Capture ball position/velocity for the current physics step
+  sample(ball) {
+    const { position, velocity } = ball;
+    this.replay.f.push(round(position.x), round(position.y), round(velocity.x), round(velocity.y));
+  }
+
+  pegHit(pegLabel, hitCount) {
+    this.replay.e.push([this.frameCount, 'p', pegLabel, hitCount]);
+  }
+
+  // The ball is removed on landing, so pin the event to the last sampled frame
+  bucketLand(bucketIndex, pegHits) {
+    this.replay.e.push([Math.max(0, this.frameCount - 1), 'b', bucketIndex, pegHits]);
+  }
+
+  finish() {
+    return this.replay;
+  }
+}
+
+/**
+ * Serialise a replay to a compact JSON string
+ */
+export function serializeReplay(replay) {
+  return JSON.stringify(replay);
+}
+
+/**
+ * Parse and validate a replay (JSON string or object)
+ */
+export function parseReplay(input) {
+  const replay = typeof input === 'string' ? JSON.parse(input) : input;
+
+  if (!replay || replay.v !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version: ${replay?.v}`);
+  }
+  if (!Array.isArray(replay.f) || replay.f.length % SAMPLE_STRIDE !== 0) {
+    throw new Error('Replay frames are malformed');
+  }
+  if (!Array.isArray(replay.e)) {
+    throw new Error('Replay events are malformed');
+  }
+  if (typeof replay.board !== 'string' || typeof replay.boardHash !== 'string') {
+    throw new Error('Replay does not say which board it was recorded on');
+  }
+
+  return replay;
+}
+
+/**
+ * Read the ball sample for a frame
+ */
+export function getReplayFrame(replay, frame) {
+  const i = frame * SAMPLE_STRIDE;
+  return {
+    x: replay.f[i],
+    y: replay.f[i + 1],
+    vx: replay.f[i + 2],
+    vy: replay.f[i + 3],
+  };
+}
+
+export function getReplayFrameCount(replay) {
+  return replay.f.length / SAMPLE_STRIDE;
+}
+
+/**
+ * Plays a replay on a PachinkoEngine's canvas.
+ * Drives a static, sensor-only ghost ball so no physics or callbacks fire.
+ * options.ballConfig supplies the recorded class's size and colour.
+ * Throws if the engine's board is not the one the replay was recorded on.
+ */
+export class ReplayPlayer {
+  constructor(engine, replay, options = {}) {
+    this.engine = engine;
+    this.replay = parseReplay(replay);
+    if (this.replay.board !== engine.board.id) {
+      throw new Error(`Replay was recorded on board "${this.replay.board}", not "${engine.board.id}"`);
+    }
+    if (this.replay.boardHash !== boardHash(engine.board)) {
+      throw new Error(`Replay was recorded on a different layout of board "${this.replay.board}"`);
+    }
+    this.frameCount = getReplayFrameCount(this.replay);
+    this.speed = options.speed || 1;
+    this.onFrame = options.onFrame || (() => {});
+    this.onEvent = options.onEvent || (() => {});
+    this.onEnd = options.onEnd || (() => {});
+
+    this.frame = 0;
+    this.isPlaying = false;
+    this.animationFrame = null;
+    this.lastTimestamp = null;
+    this.handleTick = (timestamp) => this.tick(timestamp);
+
+    const ballConfig = options.ballConfig;
+    this.ball = Bodies.circle(this.replay.x, 20, 12 * ballConfig.scale, {
+      label: 'replay-ball',
+      isStatic: true,
+      isSensor: true,
+      render: {
+        fillStyle: ballConfig.color,
+        strokeStyle: '#fff',
+        lineWidth: 2,
+      },
+    });
+    this.ball.glowColor = ballConfig.color;
+    Composite.add(engine.engine.world, this.ball);
+
+    this.seek(0);
+  }
+
+  play() {
+    if (this.isPlaying) return;
+    if (this.frame >= this.frameCount - 1) {
+      this.seek(0);
+    }
+
+    this.isPlaying = true;
+    this.lastTimestamp = null;
+    this.animationFrame = requestAnimationFrame(this.handleTick);
+  }
+
+  pause() {
+    this.isPlaying = false;
+    if (this.animationFrame) {
+      cancelAnimationFrame(this.animationFrame);
+      this.animationFrame = null;
+    }
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+
+  // Jump to a frame without replaying the events in between (scrubbing)
+  seek(frame) {
+    this.frame = Math.max(0, Math.min(this.frameCount - 1, frame));
+    this.applyFrame(Math.floor(this.frame));
+  }
+
+  tick(timestamp) {
+    if (!this.isPlaying) return;
+
+    const elapsed = this.lastTimestamp === null ? 0 : timestamp - this.lastTimestamp;
+    this.lastTimestamp = timestamp;
+
+    const previous = Math.floor(this.frame);
+    this.frame = Math.min(this.frameCount - 1, this.frame + (elapsed / this.replay.timestep) * this.speed);
+    const current = Math.floor(this.frame);
+
+    if (current !== previous) {
+      this.emitEvents(previous, current);
+      this.applyFrame(current);
+    }
+
+    if (current >= this.frameCount - 1) {
+      this.pause();
+      this.onEnd();
+      return;
+    }
+
+    this.animationFrame = requestAnimationFrame(this.handleTick);
+  }
+
+  applyFrame(frame) {
+    if (this.frameCount === 0) return;
+
+    const sample = getReplayFrame(this.replay, frame);
+    Body.setPosition(this.ball, { x: sample.x, y: sample.y });
+    // Moving obstacles follow the recorded round clock
+    this.engine.positionObstacles(frame, this.replay.seed);
+    this.onFrame(frame, sample);
+  }
+
+  // Fire events recorded in (from, to] so pegs flash as the ghost ball passes
+  emitEvents(from, to) {
+    this.replay.e.forEach((event) => {
+      const [frame, type, id] = event;
+      if (frame <= from || frame > to) return;
+
+      if (type === 'p') {
+        const peg = this.engine.pegs.find((p) => p.label === id);
+        if (peg) {
+          this.engine.flashPeg(peg);
+        }
+      }
+      this.onEvent(event);
+    });
+  }
+
+  destroy() {
+    this.pause();
+    if (this.engine.engine) {
+      Composite.remove(this.engine.engine.world, this.ball);
+    }
+  }
+}
@@ -7,9 +7,22 @@
  * 3. Spring constraints to pull flippers down
  * 4. 100px thick walls to prevent tunneling
  * 5. bullet: true for ball CCD
+ * 6. Every ball in play carries its own state (multiball-safe)
  */
 
 import Matter from 'matter-js';
+import {
+  TABLE_SCORING,
+  DROP_TARGET_BANKS,
+  ROLLOVER_LANES,
+  SPINNERS,
+  SKILL_SHOT,
+  PINBALL_MISSIONS,
+  createMissionState,
+  advanceMission,
+  getMissionProgress,
+} from './PinballTable.js';
+import { InputMap } from './GameInput.js';
 
 const { Engine, Render, Runner, Bodies, Body, Composite, Constraint, Events, Vector } = Matter;
 
@@ -35,6 +48,40 @@ const PINBALL_PHYSICS = {
   COLLISION_OFFSET: 1.0,
 };
 
+// =============================================================================
+// SESSION RULES - balls per session, ball save and multiball
+// =============================================================================
+export const PINBALL_RULES = {
+  BALLS_PER_SESSION: 3,        // Drains allowed before the session settles
+  BALL_SAVE_MS: 5000,          // A drain this soon after launch returns the ball
+  MULTIBALL_RAMP_HITS: 3,      // Flash Loan ramp hits that start multiball
+  MULTIBALL_EXTRA_BALLS: 2,    // Balls added when multiball starts
+  NUDGE_VELOCITY: 2.5,         // Velocity kick a nudge gives each ball in play
+  NUDGE_COOLDOWN_MS: 250,      // Held keys don't machine-gun the table
+  TILT_PER_NUDGE: 0.35,        // Tilt meter (0..1) added per nudge
+  TILT_DECAY_PER_SECOND: 0.2,  // Tilt meter recovery
+  TILT_WARNING: 0.65,          // Meter level that flashes DANGER
+};
+
+// =============================================================================
+// PLUNGER - hold to charge, release to launch
+// =============================================================================
+export const PLUNGER_CONFIG = {
+  MIN_SPEED: 18,               // Launch speed at zero charge (falls back down the tube)
+  MAX_SPEED: 34,               // Launch speed at full charge
+  CHARGE_PER_SECOND: 0.5,      // Charge rate, scaled by the class ballSpeed
+  QUICK_POWER: 0.5,            // Tap launches and multiball kick-outs
+};
+
+const NUDGE_DIRECTIONS = {
+  left: { x: -1, y: -0.3 },
+  right: { x: 1, y: -0.3 },
+  up: { x: 0, y: -1 },
+};
+
+// Input map action -> nudge direction
+const NUDGE_ACTIONS = { nudgeLeft: 'left', nudgeRight: 'right', nudgeUp: 'up' };
+
 // Player class settings for ENS integration
 export const PLAYER_CLASSES = {
   whale: {
@@ -80,33 +127,46 @@ export class PinballEngine {
     this.onFlashLoanRamp = options.onFlashLoanRamp || (() => {});
     this.onDrain = options.onDrain || (() => {});
     this.onScoreUpdate = options.onScoreUpdate || (() => {});
+    this.onBallLost = options.onBallLost || (() => {});
+    this.onBallSaved = options.onBallSaved || (() => {});
+    this.onMultiball = options.onMultiball || (() => {});
+    this.onMissionProgress = options.onMissionProgress || (() => {});
+    this.onMissionComplete = options.onMissionComplete || (() => {});
+    this.onTiltWarning = options.onTiltWarning || (() => {});
+    this.onTilt = options.onTilt || (() => {});
+    this.onSkillShot = options.onSkillShot || (() => {});
+
+    // Session rules
+    this.ballsPerSession = options.ballsPerSession || PINBALL_RULES.BALLS_PER_SESSION;
+    this.ballSaveMs = options.ballSaveMs ?? PINBALL_RULES.BALL_SAVE_MS;
     
     // Game state (NOT React state!)
     this.score = 0;
     this.isGameOver = false;
-    this.ballLaunched = false;
     this.gameActive = false;
-    
-    // Anti-stuck tracking
-    this.stuckDetection = {
-      stallFrames: 0,
-      cornerFrames: 0,
-      lastPosition: { x: 0, y: 0 },
-      lastVelocity: { x: 0, y: 0 },
-      jitterCount: 0,
-    };
+    this.ballsRemaining = this.ballsPerSession; // Includes the ball in play
+    this.rampHits = 0;                          // Toward the next multiball
+    this.missionIndex = 0;
+    this.mission = createMissionState(PINBALL_MISSIONS[0]);
+    this.ballBonus = 0;                         // Paid when the ball drains
+    this.tiltMeter = 0;                         // 0..1, TILT at 1
+    this.tilted = false;                        // Flippers + scoring off until the ball drains
+    this.lastNudgeAt = -Infinity;
+    this.plunger = { charging: false, power: 0 };
     
     // Physics references
     this.engine = null;
     this.render = null;
     this.runner = null;
-    this.ball = null;
+    this.balls = [];           // Ball states: { body, launched, saveUntil, trail, stuckDetection }
     this.leftFlipper = null;
     this.rightFlipper = null;
     this.leftSpring = null;
     this.rightSpring = null;
     this.bumpers = [];
-    this.ballTrail = [];
+    this.dropTargets = [];     // Static bars; .dropped while knocked down
+    this.lanes = [];           // Rollover sensors; .lit once crossed
+    this.spinners = [];        // Sensor gates; .spin drives the animation
     
     // Input state
     this.leftPressed = false;
@@ -139,8 +199,9 @@ export class PinballEngine {
     this.createWalls();
     this.createFlippersWithPhysicalStoppers();
     this.createBumpers();
+    this.createTableFeatures();
     this.createLaunchTube();
-    this.createBall();
+    this.serveBall();
     this.createDrainSensor();
     this.setupCollisions();
     this.setupRendering();
@@ -178,21 +239,21 @@ export class PinballEngine {
         ...wallOptions,
         label: 'leftWall',
       }),
-      // Right wall (partial - leaves gap for launch tube)
-      Bodies.rectangle(this.width + wallThickness / 2 - 50, this.height / 2 - 100, wallThickness, this.height - 150, {
+      // Right wall (outside the launch tube - the tube's left wall splits the lane off)
+      Bodies.rectangle(this.width + wallThickness / 2 - 3, this.height / 2, wallThickness, this.height + 200, {
         ...wallOptions,
         label: 'rightWall',
       }),
     ];
 
-    // Bottom slopes to guide ball to center
-    const leftSlope = Bodies.rectangle(80, this.height - 60, 120, 15, {
+    // Bottom slopes (inlanes) - run from the walls onto the flipper tops
+    const leftSlope = Bodies.rectangle(51, this.height - 108, 106, 15, {
       isStatic: true,
       angle: Math.PI * 0.15,
       render: { fillStyle: '#1e293b', strokeStyle: '#8b5cf6', lineWidth: 2 },
     });
 
-    const rightSlope = Bodies.rectangle(this.width - 120, this.height - 60, 120, 15, {
+    const rightSlope = Bodies.rectangle(this.width - 72, this.height - 98, 60, 15, {
       isStatic: true,
       angle: -Math.PI * 0.15,
       render: { fillStyle: '#1e293b', strokeStyle: '#8b5cf6', lineWidth: 2 },
@@ -413,6 +474,53 @@ export class PinballEngine {
     Composite.add(this.engine.world, this.bumpers);
   }
 
+  // ========== DROP TARGETS, ROLLOVER LANES & SPINNERS ==========
+  createTableFeatures() {
+    this.dropTargets = DROP_TARGET_BANKS.flatMap((bank) =>
+      bank.targets.map((t) => {
+        const target = Bodies.rectangle(t.x, t.y, 8, 28, {
+          isStatic: true,
+          restitution: 0.8,
+          label: `target-${t.id}`,
+          render: { fillStyle: t.color, strokeStyle: '#fff', lineWidth: 2 },
+        });
+        target.targetId = t.id;
+        target.targetLabel = t.label;
+        target.bankId = bank.id;
+        target.targetColor = t.color;
+        target.dropped = false;
+        return target;
+      })
+    );
+
+    this.lanes = ROLLOVER_LANES.map((l, i) => {
+      const lane = Bodies.rectangle(l.x, l.y, 30, 14, {
+        isStatic: true,
+        isSensor: true,
+        label: `lane-${i}`,
+        render: { visible: false },
+      });
+      lane.laneIndex = i;
+      lane.lit = false;
+      return lane;
+    });
+
+    this.spinners = SPINNERS.map((s) => {
+      const spinner = Bodies.rectangle(s.x, s.y, s.width, 6, {
+        isStatic: true,
+        isSensor: true,
+        label: s.id,
+        render: { visible: false },
+      });
+      spinner.spinnerWidth = s.width;
+      spinner.spin = 0;
+      spinner.spinAngle = 0;
+      return spinner;
+    });
+
+    Composite.add(this.engine.world, [...this.dropTargets, ...this.lanes, ...this.spinners]);
+  }
+
   createLaunchTube() {
     const tubeX = this.width - 25;
     const tubeOptions = {
@@ -427,20 +535,27 @@ export class PinballEngine {
       render: { ...tubeOptions.render, strokeStyle: '#8b5cf6' },
     });
 
-    // Curved guide at top
-    const tubeGuide = Bodies.rectangle(tubeX - 25, 85, 50, 12, {
+    // Plunger floor - the served ball rests here until launch
+    const tubeFloor = Bodies.rectangle(tubeX, this.height - 25, 36, 10, tubeOptions);
+
+    // Corner guide at top - turns the launched ball onto the playfield
+    const tubeGuide = Bodies.rectangle(tubeX + 3, 35, 60, 12, {
       ...tubeOptions,
-      angle: Math.PI * 0.2,
+      angle: Math.PI * 0.25,
     });
 
-    Composite.add(this.engine.world, [tubeLeft, tubeRight, tubeGuide]);
+    Composite.add(this.engine.world, [tubeLeft, tubeRight, tubeFloor, tubeGuide]);
   }
 
-  createBall() {
+  /**
+   * Put a new ball in the launch tube. autoLaunch fires it straight away
+   * (multiball and ball-save returns during multiball).
+   */
+  serveBall({ autoLaunch = false } = {}) {
     const ballX = this.width - 25;
     const ballY = this.height - 60;
 
-    this.ball = Bodies.circle(ballX, ballY, 12, {
+    const body = Bodies.circle(ballX, ballY, 12, {
       label: 'ball',
       restitution: 0.58,       // Slightly asymmetric to prevent perfect bounces
       friction: 0.002,         // Low friction for smooth rolling
@@ -453,7 +568,34 @@ export class PinballEngine {
       render: { fillStyle: '#ff006e', strokeStyle: '#00f5ff', lineWidth: 3 },
     });
 
-    Composite.add(this.engine.world, this.ball);
+    const ballState = {
+      body,
+      launched: false,
+      saveUntil: 0,
+      skillShotUntil: 0,     // Set on a plunger launch until the skill shot is judged
+      trail: [],
+      // Anti-stuck tracking
+      stuckDetection: {
+        stallFrames: 0,
+        cornerFrames: 0,
+        lastPosition: { x: 0, y: 0 },
+        lastVelocity: { x: 0, y: 0 },
+        jitterCount: 0,
+      },
+    };
+    this.balls.push(ballState);
+    Composite.add(this.engine.world, body);
+
+    if (autoLaunch) {
+      this.launchBallState(ballState, { ballSave: false, power: PLUNGER_CONFIG.QUICK_POWER });
+    }
+    return ballState;
+  }
+
+  // Map a physics body back to its ball state
+  getBallState(body) {
+    if (body.label !== 'ball') return null;
+    return this.balls.find((ballState) => ballState.body === body) || null;
   }
 
   createDrainSensor() {
@@ -474,62 +616,158 @@ export class PinballEngine {
 
     Events.on(this.engine, 'collisionStart', (event) => {
       event.pairs.forEach((pair) => {
-        const labels = [pair.bodyA.label, pair.bodyB.label];
+        const ballState = this.getBallState(pair.bodyA) || this.getBallState(pair.bodyB);
+        if (!ballState) return;
+
+        const other = ballState.body === pair.bodyA ? pair.bodyB : pair.bodyA;
         
         // Ball hit bumper
-        this.bumpers.forEach((bumper) => {
-          if (labels.includes(bumper.label) && labels.includes('ball')) {
-            this.handleBumperHit(bumper);
-          }
-        });
+        if (this.bumpers.includes(other)) {
+          this.handleBumperHit(other);
+        }
+
+        // Table features
+        if (this.dropTargets.includes(other)) {
+          this.handleTargetHit(other);
+        } else if (this.lanes.includes(other)) {
+          this.handleLaneRollover(other);
+        } else if (this.spinners.includes(other)) {
+          this.handleSpinnerPass(other, ballState.body);
+        }
 
         // Ball hit drain
-        if (labels.includes('drain') && labels.includes('ball')) {
-          if (this.drainEnabled && this.ballLaunched && !this.isGameOver) {
-            this.handleGameOver();
-          }
+        if (other.label === 'drain' && this.drainEnabled && ballState.launched && !this.isGameOver) {
+          this.handleBallDrain(ballState);
         }
       });
     });
 
     // Ball trail + fallback drain check + anti-stuck system
     Events.on(this.engine, 'afterUpdate', () => {
-      if (!this.ball || this.isGameOver) return;
-      
-      this.ballTrail.push({ x: this.ball.position.x, y: this.ball.position.y });
-      if (this.ballTrail.length > 12) this.ballTrail.shift();
+      if (this.isGameOver) return;
 
-      // Fallback drain check
-      if (this.drainEnabled && this.ballLaunched && this.ball.position.y > this.height + 50) {
-        this.handleGameOver();
-        return;
+      // Plunger charge
+      if (this.plunger.charging) {
+        const seconds = this.engine.timing.lastDelta / 1000;
+        const rate = PLUNGER_CONFIG.CHARGE_PER_SECOND * this.settings.ballSpeed;
+        this.plunger.power = Math.min(1, this.plunger.power + rate * seconds);
       }
 
-      // Anti-stuck system (only when ball is launched and in play)
-      if (this.ballLaunched && !this.isGameOver) {
-        this.checkAndFixStuck();
+      // Tilt meter recovers while the player leaves the table alone
+      if (this.tiltMeter > 0 && !this.tilted) {
+        const seconds = this.engine.timing.lastDelta / 1000;
+        this.tiltMeter = Math.max(0, this.tiltMeter - PINBALL_RULES.TILT_DECAY_PER_SECOND * seconds);
       }
+
+      // Copy - draining removes balls from this.balls
+      [...this.balls].forEach((ballState) => {
+        const pos = ballState.body.position;
+        ballState.trail.push({ x: pos.x, y: pos.y });
+        if (ballState.trail.length > 12) ballState.trail.shift();
+
+        // Fallback drain check
+        if (this.drainEnabled && ballState.launched && pos.y > this.height + 50) {
+          this.handleBallDrain(ballState);
+          return;
+        }
+
+        // A ball that falls back down the tube goes back on the plunger
+        if (ballState.launched && pos.x > this.width - 50 && pos.y > this.height - 80 &&
+            Vector.magnitude(ballState.body.velocity) < PINBALL_PHYSICS.STUCK_VELOCITY_THRESHOLD) {
+          ballState.launched = false;
+          return;
+        }
+
+        if (ballState.skillShotUntil) {
+          this.checkSkillShot(ballState);
+        }
+
+        // Anti-stuck system (only when ball is launched and in play)
+        if (ballState.launched && !this.isGameOver) {
+          this.checkAndFixStuck(ballState);
+        }
+      });
     });
 
     // Handle active collisions for position correction
     Events.on(this.engine, 'collisionActive', (event) => {
-      if (!this.ball || this.isGameOver) return;
+      if (this.balls.length === 0 || this.isGameOver) return;
       this.handleActiveCollisionsPinball(event);
     });
   }
 
+  /**
+   * A ball reached the drain. Ball save returns it; otherwise the session
+   * only loses a ball once the last ball in play is gone.
+   */
+  handleBallDrain(ballState) {
+    if (!this.balls.includes(ballState)) return;
+
+    Composite.remove(this.engine.world, ballState.body);
+    this.balls = this.balls.filter((b) => b !== ballState);
+
+    // Ball save: drained too soon after launch - give it back (not when tilted)
+    if (!this.tilted && this.engine.timing.timestamp < ballState.saveUntil) {
+      console.log('%c🛟 Ball saved!', 'color: #22c55e; font-weight: bold;');
+      this.serveBall({ autoLaunch: this.balls.length > 0 });
+      this.onBallSaved();
+      return;
+    }
+
+    // Multiball: keep playing while any ball is still up
+    if (this.balls.length > 0) {
+      console.log(`%c🎱 Ball drained - ${this.balls.length} still in play`, 'color: #fbbf24;');
+      return;
+    }
+
+    // End-of-ball bonus - forfeited on a tilt
+    const bonus = this.tilted ? 0 : this.ballBonus * this.settings.yieldMultiplier;
+    const tilted = this.tilted;
+    if (bonus > 0) {
+      this.score += bonus;
+      this.onScoreUpdate(this.score);
+    }
+    this.ballBonus = 0;
+    this.tilted = false;
+    this.tiltMeter = 0;
+
+    this.ballsRemaining--;
+    this.onBallLost(this.ballsRemaining, { bonus, tilted });
+
+    if (this.ballsRemaining > 0) {
+      console.log(`%c🎱 Ball lost - ${this.ballsRemaining} left (bonus ${bonus})`, 'color: #fbbf24; font-weight: bold;');
+      this.serveBall();
+      return;
+    }
+
+    this.handleGameOver();
+  }
+
+  // Flash Loan ramp hits build toward multiball
+  startMultiball() {
+    console.log('%c🎉 MULTIBALL!', 'color: #22c55e; font-weight: bold; font-size: 14px;');
+    for (let i = 0; i < PINBALL_RULES.MULTIBALL_EXTRA_BALLS; i++) {
+      // Stagger launches so the balls don't stack in the tube
+      setTimeout(() => {
+        if (!this.engine || this.isGameOver) return;
+        this.serveBall({ autoLaunch: true });
+      }, i * 400);
+    }
+    this.onMultiball(this.balls.length + PINBALL_RULES.MULTIBALL_EXTRA_BALLS);
+  }
+
   /**
    * Comprehensive anti-stuck detection and correction for pinball
    */
-  checkAndFixStuck() {
-    const pos = this.ball.position;
-    const vel = this.ball.velocity;
+  checkAndFixStuck(ballState) {
+    const pos = ballState.body.position;
+    const vel = ballState.body.velocity;
     const speed = Vector.magnitude(vel);
-    const sd = this.stuckDetection;
+    const sd = ballState.stuckDetection;
 
     // Skip if ball is in launch tube or near drain
     if (pos.x > this.width - 50 || pos.y > this.height - 80) {
-      this.resetPinballStuckDetection();
+      this.resetPinballStuckDetection(sd);
       return;
     }
 
@@ -539,7 +777,7 @@ export class PinballEngine {
       if (velFlipped) {
         sd.jitterCount++;
         if (sd.jitterCount > 10) {
-          this.applyPinballJitterFix();
+          this.applyPinballJitterFix(ballState.body);
           sd.jitterCount = 0;
         }
       }
@@ -551,7 +789,7 @@ export class PinballEngine {
     if (speed < PINBALL_PHYSICS.STUCK_VELOCITY_THRESHOLD) {
       sd.stallFrames++;
       if (sd.stallFrames > PINBALL_PHYSICS.STUCK_FRAMES_THRESHOLD) {
-        this.applyPinballNudge();
+        this.applyPinballNudge(ballState.body);
         sd.stallFrames = 0;
       }
     } else {
@@ -566,7 +804,7 @@ export class PinballEngine {
     if (nearCorner) {
       sd.cornerFrames++;
       if (sd.cornerFrames > PINBALL_PHYSICS.CORNER_FRAMES_THRESHOLD) {
-        this.applyPinballCornerEscape(nearLeftWall);
+        this.applyPinballCornerEscape(ballState.body, nearLeftWall);
         sd.cornerFrames = 0;
       }
     } else {
@@ -578,39 +816,36 @@ export class PinballEngine {
     sd.lastVelocity = { x: vel.x, y: vel.y };
   }
 
-  applyPinballJitterFix() {
-    if (!this.ball) return;
-    const vel = this.ball.velocity;
-    Body.setVelocity(this.ball, {
+  applyPinballJitterFix(ball) {
+    const vel = ball.velocity;
+    Body.setVelocity(ball, {
       x: vel.x * PINBALL_PHYSICS.JITTER_DAMPING,
       y: Math.max(vel.y * PINBALL_PHYSICS.JITTER_DAMPING, 1.0),
     });
     console.log('%c🔧 Pinball jitter fix applied', 'color: #00f5ff;');
   }
 
-  applyPinballNudge() {
-    if (!this.ball) return;
-    const vel = this.ball.velocity;
+  applyPinballNudge(ball) {
+    const vel = ball.velocity;
     const nudgeStrength = PINBALL_PHYSICS.NUDGE_FORCE_MIN + 
       Math.random() * (PINBALL_PHYSICS.NUDGE_FORCE_MAX - PINBALL_PHYSICS.NUDGE_FORCE_MIN);
     const angle = (Math.random() - 0.5) * Math.PI * 0.5;
     
-    Body.setVelocity(this.ball, {
+    Body.setVelocity(ball, {
       x: vel.x + Math.sin(angle) * nudgeStrength,
       y: vel.y + Math.cos(angle) * nudgeStrength * 0.5 + 0.5,
     });
     console.log('%c⚡ Pinball anti-stuck nudge', 'color: #ffd700;');
   }
 
-  applyPinballCornerEscape(isLeftWall) {
-    if (!this.ball) return;
+  applyPinballCornerEscape(ball, isLeftWall) {
     const escapeX = isLeftWall ? 2.5 : -2.5;
-    Body.setVelocity(this.ball, { x: escapeX, y: 1.5 });
+    Body.setVelocity(ball, { x: escapeX, y: 1.5 });
     
     const offsetX = isLeftWall ? PINBALL_PHYSICS.COLLISION_OFFSET * 2 : -PINBALL_PHYSICS.COLLISION_OFFSET * 2;
-    Body.setPosition(this.ball, {
-      x: this.ball.position.x + offsetX,
-      y: this.ball.position.y,
+    Body.setPosition(ball, {
+      x: ball.position.x + offsetX,
+      y: ball.position.y,
     });
     console.log(`%c🚀 Pinball corner escape (${isLeftWall ? 'left' : 'right'})`, 'color: #ff006e;');
   }
@@ -647,13 +882,15 @@ export class PinballEngine {
     });
   }
 
-  resetPinballStuckDetection() {
-    this.stuckDetection.stallFrames = 0;
-    this.stuckDetection.cornerFrames = 0;
-    this.stuckDetection.jitterCount = 0;
+  resetPinballStuckDetection(sd) {
+    sd.stallFrames = 0;
+    sd.cornerFrames = 0;
+    sd.jitterCount = 0;
   }
 
   handleBumperHit(bumper) {
+    if (this.tilted) return;
+
     const isFlashLoan = bumper.label === 'flashLoanRamp';
     const points = isFlashLoan ? 500 : 100;
     const multipliedPoints = points * this.settings.yieldMultiplier;
@@ -672,12 +909,130 @@ export class PinballEngine {
     // Callbacks
     if (isFlashLoan) {
       this.onFlashLoanRamp(multipliedPoints);
+      this.recordTableEvent('ramp');
+
+      this.rampHits++;
+      if (this.rampHits >= PINBALL_RULES.MULTIBALL_RAMP_HITS) {
+        this.rampHits = 0;
+        this.startMultiball();
+      }
     } else {
       this.onBumperHit(bumper.bumperIndex, multipliedPoints, this.settings.yieldMultiplier);
+      this.recordTableEvent('bumper');
+    }
+    this.onScoreUpdate(this.score);
+  }
+
+  handleTargetHit(target) {
+    if (target.dropped || this.tilted) return;
+
+    // Drop the target - it stops colliding until the bank resets
+    target.dropped = true;
+    target.collisionFilter.mask = 0;
+    target.render.opacity = 0.15;
+    this.addPoints(TABLE_SCORING.TARGET);
+    this.recordTableEvent(`target:${target.targetId}`);
+
+    const bank = this.dropTargets.filter((t) => t.bankId === target.bankId);
+    if (bank.every((t) => t.dropped)) {
+      console.log(`%c🎯 Target bank cleared: ${target.bankId}`, 'color: #22c55e; font-weight: bold;');
+      this.addPoints(TABLE_SCORING.BANK_COMPLETE);
+      this.recordTableEvent(`bank:${target.bankId}`);
+      setTimeout(() => {
+        if (!this.engine) return;
+        bank.forEach((t) => this.raiseTarget(t));
+      }, TABLE_SCORING.BANK_RESET_MS);
+    }
+  }
+
+  raiseTarget(target) {
+    target.dropped = false;
+    target.collisionFilter.mask = 0xFFFFFFFF;
+    target.render.opacity = 1;
+  }
+
+  handleLaneRollover(lane) {
+    if (lane.lit || this.tilted) return;
+    lane.lit = true;
+    this.addPoints(TABLE_SCORING.LANE);
+    this.recordTableEvent(`lane:${lane.laneIndex}`);
+
+    if (this.lanes.every((l) => l.lit)) {
+      this.addPoints(TABLE_SCORING.LANES_COMPLETE);
+      this.recordTableEvent('lanes');
+      this.lanes.forEach((l) => { l.lit = false; });
+    }
+  }
+
+  // Faster balls spin the gate more times
+  handleSpinnerPass(spinner, ball) {
+    if (this.tilted) return;
+
+    const spins = Math.min(
+      TABLE_SCORING.MAX_SPINS_PER_PASS,
+      Math.max(1, Math.round(Vector.magnitude(ball.velocity) * 1.5))
+    );
+    spinner.spin = spins;
+    this.addPoints(TABLE_SCORING.SPIN * spins);
+    this.recordTableEvent('spinner', spins);
+  }
+
+  // Judged once, where the plunged ball first drops back through the skill shot line
+  checkSkillShot(ballState) {
+    const { position, velocity } = ballState.body;
+    if (this.engine.timing.timestamp > ballState.skillShotUntil) {
+      ballState.skillShotUntil = 0;
+      return;
     }
+    if (position.x > this.width - 50 || velocity.y <= 0 || position.y < SKILL_SHOT.y) return;
+
+    ballState.skillShotUntil = 0;
+    if (this.tilted || Math.abs(position.x - SKILL_SHOT.x) > SKILL_SHOT.halfWidth) return;
+
+    const points = SKILL_SHOT.points * this.settings.yieldMultiplier;
+    console.log(`%c🎯 SKILL SHOT! +${points}`, 'color: #22c55e; font-weight: bold; font-size: 14px;');
+    this.addPoints(SKILL_SHOT.points);
+    this.recordTableEvent('skillshot');
+    this.onSkillShot(points);
+  }
+
+  addPoints(points) {
+    this.score += points * this.settings.yieldMultiplier;
     this.onScoreUpdate(this.score);
   }
 
+  /**
+   * Feed a table event into the active mission. Completing it awards the
+   * mission points + yield bonus and moves on to the next mission.
+   */
+  recordTableEvent(event, amount = 1) {
+    this.ballBonus += TABLE_SCORING.BONUS_PER_EVENT;
+    if (!advanceMission(this.mission, event, amount)) return;
+
+    const progress = getMissionProgress(this.mission);
+    this.onMissionProgress(progress);
+    if (!progress.completed) return;
+
+    const { mission } = this.mission;
+    const reward = {
+      points: mission.points * this.settings.yieldMultiplier,
+      yieldBonus: mission.yieldBonus * this.settings.yieldMultiplier,
+    };
+    console.log(`%c🏆 Mission complete: ${mission.name} (+$${reward.yieldBonus.toFixed(4)})`,
+      'color: #fbbf24; font-weight: bold; font-size: 14px;');
+    this.addPoints(mission.points);
+    this.ballBonus += TABLE_SCORING.BONUS_PER_MISSION;
+    this.onMissionComplete(mission, reward);
+
+    this.missionIndex = (this.missionIndex + 1) % PINBALL_MISSIONS.length;
+    this.mission = createMissionState(PINBALL_MISSIONS[this.missionIndex]);
+    this.onMissionProgress(getMissionProgress(this.mission));
+  }
+
+  getMissionProgress() {
+    return getMissionProgress(this.mission);
+  }
+
   handleGameOver() {
     if (this.isGameOver) return;
     this.isGameOver = true;
@@ -690,30 +1045,30 @@ export class PinballEngine {
     Events.on(this.render, 'afterRender', () => {
       const ctx = this.render.context;
 
-      // Ball glow trail
-      for (let i = 0; i < this.ballTrail.length; i++) {
-        const p = this.ballTrail[i];
-        const alpha = (i / this.ballTrail.length) * 0.4;
-        const r = 4 + (i / this.ballTrail.length) * 6;
-        ctx.beginPath();
-        ctx.arc(p.x, p.y, r, 0, Math.PI * 2);
-        ctx.fillStyle = `rgba(255, 0, 110, ${alpha})`;
-        ctx.fill();
-      }
+      this.balls.forEach(({ body, trail }) => {
+        // Ball glow trail
+        for (let i = 0; i < trail.length; i++) {
+          const p = trail[i];
+          const alpha = (i / trail.length) * 0.4;
+          const r = 4 + (i / trail.length) * 6;
+          ctx.beginPath();
+          ctx.arc(p.x, p.y, r, 0, Math.PI * 2);
+          ctx.fillStyle = `rgba(255, 0, 110, ${alpha})`;
+          ctx.fill();
+        }
 
-      // Ball glow
-      if (this.ball) {
+        // Ball glow
         ctx.beginPath();
-        ctx.arc(this.ball.position.x, this.ball.position.y, 28, 0, Math.PI * 2);
+        ctx.arc(body.position.x, body.position.y, 28, 0, Math.PI * 2);
         const glow = ctx.createRadialGradient(
-          this.ball.position.x, this.ball.position.y, 0,
-          this.ball.position.x, this.ball.position.y, 35
+          body.position.x, body.position.y, 0,
+          body.position.x, body.position.y, 35
         );
         glow.addColorStop(0, 'rgba(255, 0, 110, 0.5)');
         glow.addColorStop(1, 'rgba(139, 92, 246, 0)');
         ctx.fillStyle = glow;
         ctx.fill();
-      }
+      });
 
       // Bumper glows
       this.bumpers.forEach((b) => {
@@ -729,76 +1084,275 @@ export class PinballEngine {
         ctx.fill();
       });
 
+      // Drop target labels
+      ctx.font = 'bold 9px monospace';
+      ctx.textAlign = 'left';
+      this.dropTargets.forEach((t) => {
+        ctx.fillStyle = t.dropped ? '#475569' : t.targetColor;
+        ctx.fillText(t.targetLabel, t.position.x + 9, t.position.y + 3);
+      });
+
+      // Rollover lanes
+      this.lanes.forEach((l) => {
+        ctx.beginPath();
+        ctx.arc(l.position.x, l.position.y, 6, 0, Math.PI * 2);
+        ctx.fillStyle = l.lit ? '#fbbf24' : '#1e293b';
+        ctx.fill();
+        ctx.strokeStyle = '#fbbf24';
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+      });
+
+      // Spinners - the bar turns while spins are left
+      this.spinners.forEach((s) => {
+        if (s.spin > 0) {
+          s.spinAngle += 0.5;
+          if (s.spinAngle >= Math.PI) {
+            s.spinAngle -= Math.PI;
+            s.spin--;
+          }
+        }
+        const half = (s.spinnerWidth / 2) * Math.cos(s.spinAngle);
+        ctx.beginPath();
+        ctx.moveTo(s.position.x - half, s.position.y);
+        ctx.lineTo(s.position.x + half, s.position.y);
+        ctx.strokeStyle = '#00f5ff';
+        ctx.lineWidth = 4;
+        ctx.stroke();
+      });
+
+      // Skill shot window - lit while a plunged ball can still score it
+      const skillShotLive = this.balls.some((b) => b.skillShotUntil || !b.launched);
+      ctx.beginPath();
+      ctx.moveTo(SKILL_SHOT.x - SKILL_SHOT.halfWidth, SKILL_SHOT.y);
+      ctx.lineTo(SKILL_SHOT.x + SKILL_SHOT.halfWidth, SKILL_SHOT.y);
+      ctx.strokeStyle = skillShotLive ? '#22c55e' : '#334155';
+      ctx.lineWidth = 3;
+      ctx.setLineDash([6, 4]);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      if (skillShotLive) {
+        ctx.font = 'bold 9px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#22c55e';
+        ctx.fillText('SKILL SHOT', SKILL_SHOT.x, SKILL_SHOT.y - 6);
+      }
+
+      // Plunger power gauge inside the launch tube
+      if (this.plunger.charging) {
+        const gaugeX = this.width - 31;
+        const gaugeBottom = this.height - 80;
+        const gaugeHeight = 120;
+        ctx.fillStyle = '#1e293b';
+        ctx.fillRect(gaugeX, gaugeBottom - gaugeHeight, 12, gaugeHeight);
+        const fill = gaugeHeight * this.plunger.power;
+        const gauge = ctx.createLinearGradient(0, gaugeBottom, 0, gaugeBottom - gaugeHeight);
+        gauge.addColorStop(0, '#22c55e');
+        gauge.addColorStop(0.6, '#fbbf24');
+        gauge.addColorStop(1, '#ff006e');
+        ctx.fillStyle = gauge;
+        ctx.fillRect(gaugeX, gaugeBottom - fill, 12, fill);
+      }
+
       // Launch hint
-      if (!this.ballLaunched) {
+      if (!this.plunger.charging && this.balls.some((b) => !b.launched)) {
         ctx.font = 'bold 12px monospace';
         ctx.fillStyle = '#22c55e';
         ctx.textAlign = 'center';
-        ctx.fillText('SPACE', this.width - 25, this.height - 100);
+        ctx.fillText('HOLD', this.width - 25, this.height - 115);
+        ctx.fillText(this.input.keyLabel('launch').toUpperCase(), this.width - 25, this.height - 100);
         ctx.fillText('to launch', this.width - 25, this.height - 85);
       }
+
+      // Tilt meter (bottom right, above the slope) + TILT banner
+      if (this.tiltMeter > 0) {
+        const meterX = this.width - 120;
+        const meterY = this.height - 20;
+        ctx.fillStyle = '#1e293b';
+        ctx.fillRect(meterX, meterY, 60, 6);
+        ctx.fillStyle = this.tiltMeter >= PINBALL_RULES.TILT_WARNING ? '#ff006e' : '#fbbf24';
+        ctx.fillRect(meterX, meterY, 60 * this.tiltMeter, 6);
+      }
+      if (this.tilted) {
+        ctx.font = 'bold 48px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = 'rgba(255, 0, 110, 0.8)';
+        ctx.fillText('TILT', this.width / 2 - 25, this.height / 2);
+      }
+
+      // Balls left + ball save / multiball status
+      ctx.font = 'bold 11px monospace';
+      ctx.textAlign = 'left';
+      ctx.fillStyle = '#8b5cf6';
+      ctx.fillText(`BALL ${this.ballsPerSession - this.ballsRemaining + 1}/${this.ballsPerSession}`, 12, this.height - 12);
+      if (this.balls.some((b) => this.engine.timing.timestamp < b.saveUntil)) {
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#22c55e';
+        ctx.fillText('🛟 BALL SAVE', this.width / 2 - 25, this.height - 12);
+      } else if (this.balls.length > 1) {
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#fbbf24';
+        ctx.fillText(`🎉 MULTIBALL x${this.balls.length}`, this.width / 2 - 25, this.height - 12);
+      }
     });
   }
 
   // ========== INPUT: Angular velocity on keydown/keyup ==========
+  // Keys and gamepad come from the player's input map (rebindable - see GameInput.js)
   setupControls() {
+    this.input = new InputMap('pinball');
+
     this.handleKeyDown = (e) => {
       if (this.isGameOver) return;
 
-      // Prevent page scroll
-      if (['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', ' ', 'a', 'A', 'd', 'D'].includes(e.key)) {
-        e.preventDefault();
-      }
+      const action = this.input.actionForKey(e.key);
+      if (!action) return;
+      e.preventDefault(); // Prevent page scroll
 
-      // Left flipper - massive angular velocity UP
-      if ((e.key === 'a' || e.key === 'A' || e.key === 'ArrowLeft') && !this.leftPressed) {
-        this.leftPressed = true;
-        Body.setAngularVelocity(this.leftFlipper, -0.3);
-      }
-
-      // Right flipper - massive angular velocity UP
-      if ((e.key === 'd' || e.key === 'D' || e.key === 'ArrowRight') && !this.rightPressed) {
-        this.rightPressed = true;
-        Body.setAngularVelocity(this.rightFlipper, 0.3);
-      }
+      if (action === 'flipLeft') this.pressFlipper('left');
+      if (action === 'flipRight') this.pressFlipper('right');
+      if (e.repeat) return;
 
-      // Launch ball
-      if (e.key === ' ') {
-        this.launchBall();
-      }
+      // Plunger - hold to charge
+      if (action === 'launch') this.startPlunger();
+      if (NUDGE_ACTIONS[action]) this.nudge(NUDGE_ACTIONS[action]);
     };
 
     this.handleKeyUp = (e) => {
-      // Left flipper - snap back down (spring + velocity)
-      if (e.key === 'a' || e.key === 'A' || e.key === 'ArrowLeft') {
-        this.leftPressed = false;
-        Body.setAngularVelocity(this.leftFlipper, 0.15);
-      }
+      const action = this.input.actionForKey(e.key);
 
-      // Right flipper - snap back down
-      if (e.key === 'd' || e.key === 'D' || e.key === 'ArrowRight') {
-        this.rightPressed = false;
-        Body.setAngularVelocity(this.rightFlipper, -0.15);
-      }
+      // Plunger - release to launch
+      if (action === 'launch') this.releasePlunger();
+      if (action === 'flipLeft') this.releaseFlipper('left');
+      if (action === 'flipRight') this.releaseFlipper('right');
     };
 
     window.addEventListener('keydown', this.handleKeyDown);
     window.addEventListener('keyup', this.handleKeyUp);
+
+    // Gamepad, polled once per physics step
+    Events.on(this.engine, 'beforeUpdate', () => this.updateGamepad());
   }
 
-  launchBall() {
-    if (!this.ball || this.isGameOver || this.ballLaunched) return;
+  updateGamepad() {
+    const pad = this.input.gamepad;
+    if (pad.poll() && !this.isGameOver) {
+      if (pad.justPressed('flipLeft')) this.pressFlipper('left');
+      if (pad.justPressed('flipRight')) this.pressFlipper('right');
+      if (pad.justPressed('launch')) this.startPlunger();
+      if (pad.justPressed('nudgeLeft')) this.nudge('left');
+      if (pad.justPressed('nudgeRight')) this.nudge('right');
+      if (pad.justPressed('nudgeUp')) this.nudge('up');
+    }
+    // Releases also fire when the pad disconnects mid-press
+    if (pad.justReleased('flipLeft')) this.releaseFlipper('left');
+    if (pad.justReleased('flipRight')) this.releaseFlipper('right');
+    if (pad.justReleased('launch')) this.releasePlunger();
+  }
 
-    this.ballLaunched = true;
-    const launchPower = 22 * this.settings.ballSpeed;
-    Body.setVelocity(this.ball, { x: -3, y: -launchPower });
-    
-    console.log('%c🚀 Ball Launched!', 'color: #22c55e; font-weight: bold;');
+  // Flipper up - massive angular velocity (dead while tilted)
+  pressFlipper(side) {
+    if (this.isGameOver || this.tilted) return;
+    if (side === 'left' && !this.leftPressed) {
+      this.leftPressed = true;
+      Body.setAngularVelocity(this.leftFlipper, -0.3);
+    }
+    if (side === 'right' && !this.rightPressed) {
+      this.rightPressed = true;
+      Body.setAngularVelocity(this.rightFlipper, 0.3);
+    }
+  }
+
+  // Flipper down - snap back (spring + velocity)
+  releaseFlipper(side) {
+    if (side === 'left') {
+      this.leftPressed = false;
+      Body.setAngularVelocity(this.leftFlipper, 0.15);
+    }
+    if (side === 'right') {
+      this.rightPressed = false;
+      Body.setAngularVelocity(this.rightFlipper, -0.15);
+    }
+  }
+
+  // Start charging the plunger (only with a ball waiting in the tube)
+  startPlunger() {
+    if (this.isGameOver || !this.balls.some((b) => !b.launched)) return;
+    this.plunger = { charging: true, power: 0 };
+  }
+
+  releasePlunger() {
+    if (!this.plunger.charging) return;
+    const { power } = this.plunger;
+    this.plunger = { charging: false, power: 0 };
+    this.launchBall(power);
+  }
+
+  /**
+   * Launch the ball waiting in the tube (if any). power is the plunger
+   * charge, 0..1 - too little and the ball rolls back onto the plunger.
+   */
+  launchBall(power = PLUNGER_CONFIG.QUICK_POWER) {
+    if (this.isGameOver) return;
+    const ballState = this.balls.find((b) => !b.launched);
+    if (!ballState) return;
+
+    this.launchBallState(ballState, { ballSave: true, power });
+    ballState.skillShotUntil = this.engine.timing.timestamp + SKILL_SHOT.windowMs;
+    console.log(`%c🚀 Ball Launched! (${Math.round(power * 100)}% power)`, 'color: #22c55e; font-weight: bold;');
+  }
+
+  launchBallState(ballState, { ballSave, power }) {
+    ballState.launched = true;
+    ballState.saveUntil = ballSave ? this.engine.timing.timestamp + this.ballSaveMs : 0;
+    const speed = PLUNGER_CONFIG.MIN_SPEED + power * (PLUNGER_CONFIG.MAX_SPEED - PLUNGER_CONFIG.MIN_SPEED);
+    Body.setVelocity(ballState.body, { x: -3, y: -speed });
+  }
+
+  /**
+   * Nudge the table: kick every ball on the playfield and build the tilt
+   * meter. Filling the meter tilts the table for the rest of the ball.
+   */
+  nudge(direction = 'up') {
+    if (this.isGameOver || this.tilted) return;
+    const now = this.engine.timing.timestamp;
+    if (now - this.lastNudgeAt < PINBALL_RULES.NUDGE_COOLDOWN_MS) return;
+    this.lastNudgeAt = now;
+
+    const dir = NUDGE_DIRECTIONS[direction] || NUDGE_DIRECTIONS.up;
+    this.balls.forEach(({ body, launched }) => {
+      // Balls still in the launch lane aren't on the table yet
+      if (!launched || body.position.x > this.width - 50) return;
+      Body.setVelocity(body, {
+        x: body.velocity.x + dir.x * PINBALL_RULES.NUDGE_VELOCITY,
+        y: body.velocity.y + dir.y * PINBALL_RULES.NUDGE_VELOCITY,
+      });
+    });
+
+    const before = this.tiltMeter;
+    this.tiltMeter = Math.min(1, this.tiltMeter + PINBALL_RULES.TILT_PER_NUDGE);
+    console.log(`%c🫸 Nudge ${direction} (tilt ${(this.tiltMeter * 100).toFixed(0)}%)`, 'color: #00f5ff;');
+
+    if (this.tiltMeter >= 1) {
+      this.tilt();
+    } else if (before < PINBALL_RULES.TILT_WARNING && this.tiltMeter >= PINBALL_RULES.TILT_WARNING) {
+      this.onTiltWarning(this.tiltMeter);
+    }
+  }
+
+  tilt() {
+    this.tilted = true;
+    this.leftPressed = false;
+    this.rightPressed = false;
+    Body.setAngularVelocity(this.leftFlipper, 0.15);
+    Body.setAngularVelocity(this.rightFlipper, -0.15);
+    console.log('%c🚫 TILT! Flippers off, bonus forfeited', 'color: #ff006e; font-weight: bold; font-size: 14px;');
+    this.onTilt();
   }
 
   // Mobile controls
   flipLeft() {
-    if (this.isGameOver) return;
+    if (this.isGameOver || this.tilted) return;
     Body.setAngularVelocity(this.leftFlipper, -0.3);
     setTimeout(() => {
       if (!this.leftPressed) {
@@ -808,7 +1362,7 @@ export class PinballEngine {
   }
 
   flipRight() {
-    if (this.isGameOver) return;
+    if (this.isGameOver || this.tilted) return;
     Body.setAngularVelocity(this.rightFlipper, 0.3);
     setTimeout(() => {
       if (!this.rightPressed) {
@@ -819,21 +1373,27 @@ export class PinballEngine {
 
   reset() {
     this.isGameOver = false;
-    this.ballLaunched = false;
     this.gameActive = true;
     this.score = 0;
-    this.ballTrail = [];
     this.drainEnabled = false;
     this.leftPressed = false;
     this.rightPressed = false;
-    
-    // Reset anti-stuck tracking
-    this.resetPinballStuckDetection();
-
-    // Reset ball position
-    Body.setPosition(this.ball, { x: this.width - 25, y: this.height - 60 });
-    Body.setVelocity(this.ball, { x: 0, y: 0 });
-    Body.setAngularVelocity(this.ball, 0);
+    this.ballsRemaining = this.ballsPerSession;
+    this.rampHits = 0;
+    this.missionIndex = 0;
+    this.mission = createMissionState(PINBALL_MISSIONS[0]);
+    this.dropTargets.forEach((t) => this.raiseTarget(t));
+    this.lanes.forEach((l) => { l.lit = false; });
+    this.onMissionProgress(getMissionProgress(this.mission));
+    this.ballBonus = 0;
+    this.tiltMeter = 0;
+    this.tilted = false;
+    this.plunger = { charging: false, power: 0 };
+
+    // Fresh ball in the launch tube
+    this.balls.forEach(({ body }) => Composite.remove(this.engine.world, body));
+    this.balls = [];
+    this.serveBall();
 
     // Reset flippers
     Body.setAngle(this.leftFlipper, 0.3);
@@ -850,6 +1410,7 @@ export class PinballEngine {
     // Remove event listeners
     window.removeEventListener('keydown', this.handleKeyDown);
     window.removeEventListener('keyup', this.handleKeyUp);
+    this.input?.destroy();
 
     // Stop everything
     if (this.render) {
@@ -872,7 +1433,7 @@ export class PinballEngine {
     this.engine = null;
     this.render = null;
     this.runner = null;
-    this.ball = null;
+    this.balls = [];
     this.leftFlipper = null;
     this.rightFlipper = null;
 
@@ -0,0 +1,156 @@
+/**
+ * YieldBall.eth - Pinball Table Features & Missions
+ *
+ * Playfield features beyond the round bumpers, in canvas pixels on the
+ * 400x600 table:
+ * - Drop targets: static bars that drop when hit; clearing a bank scores a
+ *   bonus and raises the bank again.
+ * - Rollover lanes: sensors along the top that light up when crossed.
+ * - Spinners: sensor gates that spin for every pass, faster balls spin more.
+ * - Skill shot: a window on the top arc, judged where a freshly plunged ball
+ *   first comes back down - so it rewards launching with the right power.
+ *
+ * Every feature reports a table event ("target:aave", "lane:1", "spinner",
+ * "bank:protocols", "lanes", "ramp", "bumper", "skillshot"). Missions are lists of those
+ * events; one mission is active at a time and completing it awards points
+ * plus a yield bonus (USDC, scaled by the player class multiplier).
+ * Table events and missions also build the end-of-ball bonus, paid when the
+ * ball drains unless the table was tilted.
+ */
+
+export const TABLE_SCORING = {
+  TARGET: 250,
+  BANK_COMPLETE: 1000,
+  LANE: 100,
+  LANES_COMPLETE: 500,
+  SPIN: 10,
+  MAX_SPINS_PER_PASS: 20,
+  BANK_RESET_MS: 1500,
+  BONUS_PER_EVENT: 50,      // End-of-ball bonus per table event
+  BONUS_PER_MISSION: 1000,  // End-of-ball bonus per mission completed
+};
+
+export const DROP_TARGET_BANKS = [
+  {
+    id: 'protocols',
+    targets: [
+      { id: 'aave', label: 'Aave', x: 20, y: 140, color: '#b6509e' },
+      { id: 'gho', label: 'GHO', x: 20, y: 180, color: '#c4b5fd' },
+      { id: 'uniswap', label: 'Uniswap', x: 20, y: 220, color: '#ff007a' },
+    ],
+  },
+];
+
+export const ROLLOVER_LANES = [
+  { x: 110, y: 45 },
+  { x: 200, y: 45 },
+  { x: 290, y: 45 },
+];
+
+export const SPINNERS = [
+  { id: 'spinner', x: 200, y: 215, width: 36 },
+];
+
+// The launched ball's first drop back through y lands inside x ± halfWidth
+// only for a narrow band of plunger power
+export const SKILL_SHOT = { x: 275, y: 80, halfWidth: 20, points: 5000, windowMs: 2000 };
+
+/**
+ * Missions run in this order and cycle. A step is { event, count }.
+ * Ordered missions need their steps in sequence; hitting one of the
+ * mission's events out of turn starts it over.
+ */
+export const PINBALL_MISSIONS = [
+  {
+    id: 'protocol-run',
+    name: 'Protocol Run',
+    description: 'Hit Aave, GHO and Uniswap targets in order',
+    ordered: true,
+    steps: [{ event: 'target:aave' }, { event: 'target:gho' }, { event: 'target:uniswap' }],
+    points: 2500,
+    yieldBonus: 0.01,
+  },
+  {
+    id: 'lane-sweep',
+    name: 'Lane Sweep',
+    description: 'Light all three rollover lanes',
+    ordered: false,
+    steps: [{ event: 'lane:0' }, { event: 'lane:1' }, { event: 'lane:2' }],
+    points: 1000,
+    yieldBonus: 0.005,
+  },
+  {
+    id: 'spin-cycle',
+    name: 'Spin Cycle',
+    description: 'Spin the spinner 15 times',
+    ordered: false,
+    steps: [{ event: 'spinner', count: 15 }],
+    points: 1500,
+    yieldBonus: 0.0075,
+  },
+  {
+    id: 'flash-loop',
+    name: 'Flash Loan Loop',
+    description: 'Hit the Flash Loan ramp twice and clear the target bank',
+    ordered: false,
+    steps: [{ event: 'ramp', count: 2 }, { event: 'bank:protocols' }],
+    points: 3000,
+    yieldBonus: 0.015,
+  },
+];
+
+export function createMissionState(mission) {
+  return {
+    mission,
+    counts: mission.steps.map(() => 0),
+    completed: false,
+  };
+}
+
+const stepNeed = (step) => step.count || 1;
+
+/**
+ * Feed a table event into a mission. Returns true when progress changed.
+ */
+export function advanceMission(state, event, amount = 1) {
+  const { mission, counts } = state;
+  if (state.completed) return false;
+
+  if (mission.ordered) {
+    const current = counts.findIndex((count, i) => count < stepNeed(mission.steps[i]));
+    if (mission.steps[current].event === event) {
+      counts[current] = Math.min(counts[current] + amount, stepNeed(mission.steps[current]));
+    } else if (mission.steps.some((step) => step.event === event)) {
+      // Out of order - start over (the hit may still open the sequence)
+      counts.fill(0);
+      if (mission.steps[0].event === event) counts[0] = Math.min(amount, stepNeed(mission.steps[0]));
+    } else {
+      return false;
+    }
+  } else {
+    let changed = false;
+    mission.steps.forEach((step, i) => {
+      if (step.event === event && counts[i] < stepNeed(step)) {
+        counts[i] = Math.min(counts[i] + amount, stepNeed(step));
+        changed = true;
+      }
+    });
+    if (!changed) return false;
+  }
+
+  state.completed = counts.every((count, i) => count >= stepNeed(mission.steps[i]));
+  return true;
+}
+
+// Plain snapshot for callbacks / HUD
+export function getMissionProgress(state) {
+  const { mission, counts } = state;
+  return {
+    id: mission.id,
+    name: mission.name,
+    description: mission.description,
+    progress: counts.reduce((sum, count) => sum + count, 0),
+    total: mission.steps.reduce((sum, step) => sum + stepNeed(step), 0),
+    completed: state.completed,
+  };
+}
@@ -0,0 +1,36 @@
+import { useState, useEffect } from 'react';
+
+const byNonce = (a, b) => a.nonce - b.nonce;
+
+/**
+ * Full activity log of a YellowSession: every signed update (sorted by
+ * nonce) and every failure it reported, kept in sync with session events.
+ */
+export function useChannelActivity(session) {
+  const [activity, setActivity] = useState({ updates: [], failures: [] });
+
+  useEffect(() => {
+    if (!session) {
+      setActivity({ updates: [], failures: [] });
+      return;
+    }
+
+    const syncUpdates = () => setActivity((prev) => ({ ...prev, updates: [...session.updates].sort(byNonce) }));
+    const addFailure = ({ stage, error }) => setActivity((prev) => ({
+      ...prev,
+      failures: [...prev.failures, { stage, message: error?.message || String(error), at: Date.now() }],
+    }));
+
+    setActivity({ updates: [...session.updates].sort(byNonce), failures: [] });
+    const unsubscribers = [
+      session.on('updated', syncUpdates),
+      session.on('closed', syncUpdates),
+      session.on('failed', addFailure),
+    ];
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, [session]);
+
+  return activity;
+}
+
+export default useChannelActivity;
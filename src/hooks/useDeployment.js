@@ -0,0 +1,15 @@
+import { useMemo } from 'react';
+import { useAccount } from 'wagmi';
+import { getDeployment, resolveTargetChainId } from '../config/deployments.js';
+
+/**
+ * Deployment (contract addresses, explorer) for the chain the app should
+ * transact on: the connected chain when YieldBall is deployed there,
+ * otherwise the default chain. Switching network in RainbowKit switches it.
+ */
+export function useDeployment() {
+  const { chainId } = useAccount();
+  return useMemo(() => getDeployment(resolveTargetChainId(chainId)), [chainId]);
+}
+
+export default useDeployment;
@@ -15,6 +15,7 @@ export function useGameState() {
     score: 0,
     bumperHits: 0,
     flashLoanHits: 0,
+    missionsCompleted: 0,
     playerClass: 'default',
     yieldMultiplier: 1,
     sessionStartTime: null,
@@ -95,6 +96,7 @@ export function useGameState() {
       score: 0,
       bumperHits: 0,
       flashLoanHits: 0,
+      missionsCompleted: 0,
       playerClass,
       yieldMultiplier: classSettings.yieldMultiplier,
       sessionStartTime: Date.now(),
@@ -134,6 +136,16 @@ export function useGameState() {
     }));
   }, [gameState.yieldMultiplier]);
 
+  const recordMissionBonus = useCallback((yieldBonus) => {
+    // Mission rewards are already scaled by the player class
+    setGameState(prev => ({
+      ...prev,
+      missionsCompleted: prev.missionsCompleted + 1,
+      yieldEarned: prev.yieldEarned + yieldBonus,
+      liveYield: prev.liveYield + yieldBonus,
+    }));
+  }, []);
+
   const recordStateUpdate = useCallback((stateUpdate) => {
     setGameState(prev => ({
       ...prev,
@@ -173,6 +185,7 @@ export function useGameState() {
       score: 0,
       bumperHits: 0,
       flashLoanHits: 0,
+      missionsCompleted: 0,
       playerClass: 'default',
       yieldMultiplier: 1,
       sessionStartTime: null,
@@ -187,6 +200,7 @@ export function useGameState() {
     updateScore,
     recordBumperHit,
     recordFlashLoanHit,
+    recordMissionBonus,
     recordStateUpdate,
     endGame,
     withdraw,
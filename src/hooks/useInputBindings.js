@@ -0,0 +1,32 @@
+import { useState, useEffect } from 'react';
+import { useAccount } from 'wagmi';
+import { loadInputBindings, setInputProfile, subscribeInputBindings } from '../engine/GameInput.js';
+
+/**
+ * Keeps the input profile on the connected wallet so engines pick up that
+ * player's saved bindings. Mount once near the root.
+ */
+export function useInputProfile() {
+  const { address } = useAccount();
+
+  useEffect(() => {
+    setInputProfile(address);
+  }, [address]);
+}
+
+/**
+ * Current keyboard + gamepad bindings for a game; re-renders on rebinds
+ * and wallet switches.
+ */
+export function useInputBindings(game) {
+  const [bindings, setBindings] = useState(() => loadInputBindings(game));
+
+  useEffect(() => {
+    setBindings(loadInputBindings(game));
+    return subscribeInputBindings((changed) => {
+      if (!changed || changed === game) setBindings(loadInputBindings(game));
+    });
+  }, [game]);
+
+  return bindings;
+}
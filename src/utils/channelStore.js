@@ -0,0 +1,78 @@
+/**
+ * Yellow Network Channel Store (IndexedDB)
+ *
+ * Open channels are saved after every signed update so a page reload does
+ * not strand the deposit: on the next load App offers to finish settlement
+ * or cooperatively close the stale channel.
+ *
+ * Records are YellowSession snapshots keyed "<address>:<chainId>:<channelId>"
+ * (address lower-cased), so one wallet can hold channels on several chains.
+ * Every function resolves quietly when IndexedDB is unavailable.
+ */
+
+const DB_NAME = 'yieldball';
+const DB_VERSION = 1;
+const STORE = 'openChannels';
+
+let dbPromise = null;
+
+function openDb() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('Could not open channel store:', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+// Run one request against the store; resolves with its result (or null)
+async function withStore(mode, run) {
+  const db = await openDb();
+  if (!db) return null;
+
+  return new Promise((resolve) => {
+    const tx = db.transaction(STORE, mode);
+    const request = run(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request.result ?? null);
+    tx.onerror = () => {
+      console.warn('Channel store request failed:', tx.error);
+      resolve(null);
+    };
+  });
+}
+
+const ownerPrefix = (address, chainId) => `${address.toLowerCase()}:${chainId}:`;
+
+export function channelKey(address, chainId, channelId) {
+  return `${ownerPrefix(address, chainId)}${channelId}`;
+}
+
+export function saveOpenChannel(snapshot) {
+  if (!snapshot?.player || !snapshot.channel?.channelId) return Promise.resolve(null);
+  const key = channelKey(snapshot.player, snapshot.chainId, snapshot.channel.channelId);
+  return withStore('readwrite', (store) => store.put({ ...snapshot, savedAt: Date.now() }, key));
+}
+
+/**
+ * Every open channel saved for a wallet on a chain, most recent first
+ */
+export async function loadOpenChannels(address, chainId) {
+  if (!address) return [];
+  const prefix = ownerPrefix(address, chainId);
+  const records = await withStore('readonly', (store) => store.getAll(IDBKeyRange.bound(prefix, `${prefix}\uffff`)));
+  return (records || []).sort((a, b) => b.savedAt - a.savedAt);
+}
+
+export function clearOpenChannel(address, chainId, channelId) {
+  if (!address || !channelId) return Promise.resolve(null);
+  return withStore('readwrite', (store) => store.delete(channelKey(address, chainId, channelId)));
+}
@@ -0,0 +1,122 @@
+/**
+ * Clearnode WebSocket Client
+ *
+ * Drop-in for the NitroliteClient methods YellowSession calls
+ * (createChannel, updateChannelState, closeChannel, challengeChannel),
+ * speaking the JSON message format of the local mock clearnode
+ * (scripts/mock-clearnode.js). Enabled by VITE_YELLOW_CLEARNODE_URL.
+ *
+ * Requests that get no reply within `timeout` ms reject, so a session
+ * falls back exactly as it would on an SDK error.
+ */
+
+const DEFAULT_TIMEOUT = 10000;
+
+export class ClearnodeClient {
+  constructor({ url, timeout = DEFAULT_TIMEOUT, WebSocket: Socket = globalThis.WebSocket } = {}) {
+    this.url = url;
+    this.timeout = timeout;
+    this.Socket = Socket;
+    this.socket = null;
+    this.connecting = null;
+    this.nextId = 1;
+    this.requests = new Map(); // id -> { resolve, reject, timer }
+  }
+
+  connect() {
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      if (!this.Socket) {
+        reject(new Error('WebSocket is not available'));
+        return;
+      }
+      const socket = new this.Socket(this.url);
+      socket.onopen = () => {
+        this.socket = socket;
+        console.log(`%c🔌 Clearnode connected: ${this.url}`, 'color: #fbbf24;');
+        resolve(socket);
+      };
+      socket.onerror = () => reject(new Error(`Could not reach clearnode at ${this.url}`));
+      socket.onclose = () => this.handleClose();
+      socket.onmessage = (event) => this.handleMessage(event.data);
+    });
+
+    // Let the next request retry after a failed connect
+    this.connecting.catch(() => {
+      this.connecting = null;
+    });
+    return this.connecting;
+  }
+
+  handleMessage(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch {
+      console.warn('⚠️ Clearnode sent invalid JSON:', raw);
+      return;
+    }
+
+    const request = this.requests.get(message.id);
+    if (!request) return;
+    this.requests.delete(message.id);
+    clearTimeout(request.timer);
+
+    if (message.error) {
+      const error = new Error(message.error.message);
+      error.code = message.error.code;
+      request.reject(error);
+    } else {
+      request.resolve(message.result);
+    }
+  }
+
+  handleClose() {
+    this.socket = null;
+    this.connecting = null;
+    for (const [id, request] of this.requests) {
+      clearTimeout(request.timer);
+      request.reject(new Error('Clearnode connection closed'));
+      this.requests.delete(id);
+    }
+  }
+
+  async request(method, params) {
+    const socket = await this.connect();
+    const id = this.nextId++;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.requests.delete(id);
+        reject(new Error(`Clearnode ${method} timed out after ${this.timeout}ms`));
+      }, this.timeout);
+      this.requests.set(id, { resolve, reject, timer });
+      socket.send(JSON.stringify({ id, method, params }));
+    });
+  }
+
+  createChannel(params) {
+    return this.request('create_channel', params);
+  }
+
+  updateChannelState(channelId, state) {
+    return this.request('update_state', { channelId, state });
+  }
+
+  // cooperativeClose: false finalizes a challenged channel
+  closeChannel(channelId, params = {}) {
+    const method = params.cooperativeClose === false ? 'finalize_channel' : 'close_channel';
+    return this.request(method, { channelId, ...params });
+  }
+
+  challengeChannel({ channelId, candidateState }) {
+    return this.request('challenge_channel', { channelId, state: candidateState });
+  }
+
+  disconnect() {
+    this.socket?.close();
+  }
+}
+
+export default ClearnodeClient;
@@ -0,0 +1,159 @@
+/**
+ * Yellow Network Ledger Verifier
+ *
+ * Checks the signed update log of a closed channel (the channelState
+ * returned by YellowSession.close()) before it is settled on-chain:
+ * - the player's wallet authorized the session key, and every update was
+ *   signed before that authorization expired
+ * - every update is signed by that session key
+ * - nonces run consecutively from 0 (no update missing or reordered)
+ * - exactly one SESSION_START, and it comes first
+ * - exactly one final BUCKET_LAND, and it comes last
+ * - the yieldDelta values add up to the finalYield being settled, and each
+ *   peg hit checkpoint's yieldDelta is the sum of the hits it carries
+ *
+ * The player and the EIP-712 domain are supplied by the caller (the
+ * connected wallet and the deployment being settled on), never read from the
+ * channelState - a ledger that names its own signer proves nothing.
+ *
+ * Pure JS - no React, no wallet. Amounts are compared in USDC base units.
+ */
+
+import { verifyStateUpdate, verifySessionAuthorization, toUsdcUnits, fromUsdcUnits } from './yellowTypedData.js';
+
+const check = (id, label, passed, detail) => ({ id, label, passed, detail });
+
+/**
+ * Verify a channel's ledger. options.player is the address that must have
+ * authorized the session key and options.domain the expected state domain;
+ * options.finalYield is the amount about to be settled (defaults to
+ * channelState.finalYield).
+ *
+ * Returns { valid, checks: [{ id, label, passed, detail }], totals }.
+ */
+export async function verifyLedger(channelState, options = {}) {
+  if (!channelState?.signedUpdates?.length) {
+    return {
+      valid: false,
+      checks: [check('ledger', 'Signed ledger', false, 'No signed updates for this session')],
+      totals: { updates: 0, signedYield: 0, finalYield: options.finalYield ?? channelState?.finalYield ?? 0 },
+    };
+  }
+
+  const { signedUpdates: updates, authorization, channelId } = channelState;
+  const { player, domain } = options;
+  const finalYield = options.finalYield ?? channelState.finalYield;
+  const checks = [];
+
+  // 0. Authorization - the player's wallet signed for the session key, and
+  // it still covered every update (one key serves several rounds)
+  const authorized = !!player && !!domain && !!authorization
+    && await verifySessionAuthorization(authorization, domain, player);
+  const sessionKey = authorized ? authorization.sessionKey : null;
+  const expired = authorized ? updates.filter((update) => !(update.data.timestamp <= authorization.expiresAt)) : [];
+  checks.push(check(
+    'authorization',
+    'Player authorized session key',
+    authorized && expired.length === 0,
+    !player || !domain
+      ? 'No player or domain to verify against'
+      : !authorization
+        ? 'Ledger has no session key authorization'
+        : !authorized
+          ? `Session key was not authorized by ${player} on this chain`
+          : expired.length
+            ? `Nonce ${expired.map((update) => update.nonce).join(', ')} signed after the authorization expired`
+            : `Session key ${sessionKey} authorized by ${player}`
+  ));
+
+  // 1. Signatures - recovered signer is the authorized session key, on this channel
+  const signatures = await Promise.all(
+    updates.map((update) => (sessionKey && update.signature ? verifyStateUpdate(update, domain, sessionKey) : false))
+  );
+  const badSignatures = updates.filter((update, i) => !signatures[i]).map((update) => update.nonce);
+  const foreign = updates.filter((update) => channelId && update.channelId !== channelId).map((update) => update.nonce);
+  checks.push(check(
+    'signatures',
+    'Session key signatures',
+    badSignatures.length === 0 && foreign.length === 0,
+    badSignatures.length
+      ? `Invalid signature on nonce ${badSignatures.join(', ')}`
+      : foreign.length
+        ? `Nonce ${foreign.join(', ')} signed for another channel`
+        : `${updates.length} updates signed by ${sessionKey}`
+  ));
+
+  // 2. Nonces - 0, 1, 2... in log order, so nothing was dropped or reordered
+  const misplaced = updates.findIndex((update, i) => update.nonce !== i);
+  checks.push(check(
+    'nonces',
+    'Consecutive nonces',
+    misplaced === -1,
+    misplaced === -1
+      ? `Nonces 0..${updates.length - 1}`
+      : misplaced === 0
+        ? `Ledger starts at nonce ${updates[0].nonce}`
+        : `Nonce ${updates[misplaced].nonce} follows ${updates[misplaced - 1].nonce}`
+  ));
+
+  // 3. A single SESSION_START, opening the log
+  const starts = updates.filter((update) => update.data.type === 'SESSION_START');
+  checks.push(check(
+    'sessionStart',
+    'Single session start',
+    starts.length === 1 && updates[0].data.type === 'SESSION_START',
+    starts.length === 1
+      ? (updates[0] === starts[0] ? 'Opens the ledger' : 'SESSION_START is not the first update')
+      : `Found ${starts.length} SESSION_START updates`
+  ));
+
+  // 4. Exactly one final BUCKET_LAND, closing the log
+  const finals = updates.filter((update) => update.data.type === 'BUCKET_LAND' && update.data.isFinal);
+  const last = updates[updates.length - 1];
+  checks.push(check(
+    'finalState',
+    'Single final state',
+    finals.length === 1 && last === finals[0],
+    finals.length === 1
+      ? (last === finals[0] ? `Final state at nonce ${last.nonce}` : 'Updates were signed after the final state')
+      : `Found ${finals.length} final BUCKET_LAND updates`
+  ));
+
+  // 5. Checkpoints - batch totals match their per-hit detail
+  const badBatches = updates
+    .filter((update) => update.data.type === 'PEG_HIT_BATCH')
+    .filter((update) => {
+      const hitUnits = update.data.hits.reduce((sum, hit) => sum + toUsdcUnits(hit.yieldDelta), 0n);
+      return hitUnits !== toUsdcUnits(update.data.yieldDelta);
+    })
+    .map((update) => update.nonce);
+  checks.push(check(
+    'checkpoints',
+    'Checkpoint totals',
+    badBatches.length === 0,
+    badBatches.length ? `Checkpoint ${badBatches.join(', ')} disagrees with its hits` : 'Every checkpoint matches its hits'
+  ));
+
+  // 6. Signed yield adds up to what is being settled
+  const signedUnits = updates.reduce((sum, update) => sum + toUsdcUnits(update.data.yieldDelta || 0), 0n);
+  const finalUnits = toUsdcUnits(finalYield);
+  const totalsAgree = finals.length !== 1 || toUsdcUnits(finals[0].data.totalYield) === signedUnits;
+  checks.push(check(
+    'yieldSum',
+    'Yield matches ledger',
+    signedUnits === finalUnits && totalsAgree,
+    signedUnits === finalUnits
+      ? (totalsAgree ? `${fromUsdcUnits(signedUnits).toFixed(6)} USDC` : 'Final state totalYield disagrees with its deltas')
+      : `Ledger sums to ${fromUsdcUnits(signedUnits).toFixed(6)} USDC, settling ${fromUsdcUnits(finalUnits).toFixed(6)}`
+  ));
+
+  return {
+    valid: checks.every((c) => c.passed),
+    checks,
+    totals: {
+      updates: updates.length,
+      signedYield: fromUsdcUnits(signedUnits),
+      finalYield: fromUsdcUnits(finalUnits),
+    },
+  };
+}
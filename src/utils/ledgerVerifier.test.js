@@ -0,0 +1,162 @@
+/**
+ * Ledger verifier tests (node --test)
+ *
+ * Builds a round's ledger the way YellowSession does - wallet-authorized
+ * session key, SESSION_START, a peg hit checkpoint, the final BUCKET_LAND -
+ * and checks that only the authorized key passes for the expected player.
+ * Tampered ledgers are signed with the authorized key, so each one fails on
+ * the check it targets and nowhere else.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWalletClient, http } from 'viem';
+import { privateKeyToAccount, generatePrivateKey } from 'viem/accounts';
+import { baseSepolia } from 'viem/chains';
+import { verifyLedger } from './ledgerVerifier.js';
+import { createSessionKey, signStateUpdate, signSessionAuthorization, getStateDomain, SESSION_KEY_TTL_MS } from './yellowTypedData.js';
+
+const domain = getStateDomain(84532, '0x7c7ccbc98469190849BCC6c926307794fDfB11F2');
+const CHANNEL_ID = 'yellow-test-channel';
+
+// Local-account wallet client - signs without touching the transport
+const walletFor = (account) => createWalletClient({ account, chain: baseSepolia, transport: http('http://127.0.0.1:1') });
+
+const start = () => ({ type: 'SESSION_START', ensClass: 'default', principal: 100, timestamp: 1 });
+const batch = (yieldDelta, hits = [{ pegId: 'peg-0-1', hitCount: 1, yieldDelta, timestamp: 2 }]) => ({
+  type: 'PEG_HIT_BATCH',
+  hits,
+  yieldDelta,
+  timestamp: 2,
+});
+const land = (yieldDelta, totalYield) => ({
+  type: 'BUCKET_LAND',
+  bucket: 'GHO',
+  multiplier: 2,
+  yieldDelta,
+  totalYield,
+  isFinal: true,
+  timestamp: 3,
+});
+
+// Updates without a nonce get their position in the log
+async function buildLedger({
+  wallet,
+  player,
+  sessionKey = createSessionKey(),
+  updates = [start(), batch(0.005), land(0.005, 0.01)],
+  finalYield = 0.01,
+}) {
+  const authorization = await signSessionAuthorization(wallet, domain, {
+    player: player.address,
+    sessionKey: sessionKey.address,
+  });
+
+  return {
+    channelId: CHANNEL_ID,
+    finalYield,
+    sessionKey: sessionKey.address,
+    authorization,
+    domain,
+    signedUpdates: await Promise.all(
+      updates.map((update, i) => signStateUpdate(sessionKey, domain, CHANNEL_ID, { nonce: i, ...update }))
+    ),
+  };
+}
+
+// Swap every signature for one by another key, as a forging client would
+async function resign(channelState, sessionKey) {
+  return {
+    ...channelState,
+    sessionKey: sessionKey.address,
+    signedUpdates: await Promise.all(
+      channelState.signedUpdates.map((update) => signStateUpdate(sessionKey, domain, CHANNEL_ID, update.data))
+    ),
+  };
+}
+
+const failed = (report) => report.checks.filter((c) => !c.passed).map((c) => c.id);
+
+test('accepts a ledger signed by the key the player authorized', async () => {
+  const player = privateKeyToAccount(generatePrivateKey());
+  const ledger = await buildLedger({ wallet: walletFor(player), player });
+
+  const report = await verifyLedger(ledger, { player: player.address, domain });
+  assert.equal(report.valid, true, JSON.stringify(report.checks));
+});
+
+test('rejects a ledger re-signed with a different session key', async () => {
+  const player = privateKeyToAccount(generatePrivateKey());
+  const ledger = await resign(await buildLedger({ wallet: walletFor(player), player }), createSessionKey());
+
+  const report = await verifyLedger(ledger, { player: player.address, domain });
+  assert.equal(report.valid, false);
+  assert.deepEqual(failed(report), ['signatures']);
+});
+
+test('rejects a session key authorized by another wallet', async () => {
+  const player = privateKeyToAccount(generatePrivateKey());
+  const attacker = privateKeyToAccount(generatePrivateKey());
+  const ledger = await buildLedger({ wallet: walletFor(attacker), player: attacker });
+
+  const report = await verifyLedger(ledger, { player: player.address, domain });
+  assert.equal(report.valid, false);
+  assert.deepEqual(failed(report), ['authorization', 'signatures']);
+});
+
+test('ignores the domain a ledger carries', async () => {
+  const player = privateKeyToAccount(generatePrivateKey());
+  const ledger = await buildLedger({ wallet: walletFor(player), player });
+
+  const otherChain = getStateDomain(1, domain.verifyingContract);
+  assert.equal((await verifyLedger(ledger, { player: player.address, domain: otherChain })).valid, false);
+  assert.equal((await verifyLedger(ledger, { player: player.address })).valid, false);
+});
+
+// Sign `updates` with the player's authorized key and expect only `checkId` to fail
+async function assertTampered(checkId, options) {
+  const player = privateKeyToAccount(generatePrivateKey());
+  const ledger = await buildLedger({ wallet: walletFor(player), player, ...options });
+
+  const report = await verifyLedger(ledger, { player: player.address, domain, finalYield: options.settling });
+  assert.equal(report.valid, false);
+  assert.equal(report.checks.find((c) => c.id === checkId).passed, false);
+  assert.deepEqual(failed(report), [checkId]);
+}
+
+test('rejects a nonce regression', () =>
+  assertTampered('nonces', { updates: [{ ...start(), nonce: 0 }, { ...batch(0.005), nonce: 2 }, { ...land(0.005, 0.01), nonce: 1 }] }));
+
+test('rejects a nonce gap', () =>
+  assertTampered('nonces', { updates: [start(), batch(0.005), { ...land(0.005, 0.01), nonce: 3 }] }));
+
+test('rejects a ledger without SESSION_START', () =>
+  assertTampered('sessionStart', { updates: [batch(0.005), land(0.005, 0.01)] }));
+
+test('rejects a duplicate SESSION_START', () =>
+  assertTampered('sessionStart', { updates: [start(), start(), batch(0.005), land(0.005, 0.01)] }));
+
+test('rejects a SESSION_START that is not first', () =>
+  assertTampered('sessionStart', { updates: [batch(0.005), start(), land(0.005, 0.01)] }));
+
+test('rejects updates signed after the final state', () =>
+  assertTampered('finalState', { updates: [start(), batch(0.005), land(0.005, 0.01), batch(0, [])] }));
+
+test('rejects more than one final state', () =>
+  assertTampered('finalState', { updates: [start(), batch(0.005), land(0.005, 0.01), land(0, 0.01)] }));
+
+test('rejects a checkpoint whose total disagrees with its hits', () =>
+  assertTampered('checkpoints', {
+    updates: [start(), { ...batch(0.005), yieldDelta: 0.01 }, land(0, 0.01)],
+  }));
+
+test('rejects settling more than the ledger signed', () =>
+  assertTampered('yieldSum', { settling: 0.02 }));
+
+test('rejects a final totalYield that disagrees with the deltas', () =>
+  assertTampered('yieldSum', { updates: [start(), batch(0.005), land(0.005, 0.02)] }));
+
+test('rejects updates signed after the authorization expired', () =>
+  assertTampered('authorization', {
+    updates: [start(), batch(0.005), { ...land(0.005, 0.01), timestamp: Date.now() + 2 * SESSION_KEY_TTL_MS }],
+  }));
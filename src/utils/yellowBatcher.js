@@ -0,0 +1,87 @@
+/**
+ * Yellow Network Update Batcher
+ *
+ * Coalesces high-rate updates (peg hits) into checkpoints so a drop with a
+ * bouncy Degen ball signs a handful of states instead of hundreds. A batch
+ * flushes when it reaches maxHits or maxWaitMs after its first hit,
+ * whichever comes first; { maxHits: 1 } signs every hit on its own.
+ */
+
+export const DEFAULT_BATCH_POLICY = {
+  maxHits: 20,       // Flush after this many hits
+  maxWaitMs: 750,    // ...or this long after the first hit of a batch
+};
+
+export function resolveBatchPolicy(policy = {}) {
+  const maxHits = Math.max(1, Math.floor(policy.maxHits ?? DEFAULT_BATCH_POLICY.maxHits));
+  const maxWaitMs = Math.max(0, policy.maxWaitMs ?? DEFAULT_BATCH_POLICY.maxWaitMs);
+  return { maxHits, maxWaitMs };
+}
+
+/**
+ * Collects items and hands each batch to onFlush(items). add() returns a
+ * promise for whatever onFlush returned for the batch holding that item.
+ */
+export class UpdateBatcher {
+  constructor(onFlush, policy) {
+    this.onFlush = onFlush;
+    this.policy = resolveBatchPolicy(policy);
+    this.items = [];
+    this.waiters = [];
+    this.timer = null;
+  }
+
+  setPolicy(policy) {
+    this.policy = resolveBatchPolicy(policy);
+    if (this.items.length >= this.policy.maxHits) this.flush();
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  add(item) {
+    const result = new Promise((resolve, reject) => this.waiters.push({ resolve, reject }));
+    this.items.push(item);
+
+    if (this.items.length >= this.policy.maxHits) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.policy.maxWaitMs);
+    }
+    return result;
+  }
+
+  /**
+   * Hand the pending batch to onFlush now. onFlush runs synchronously (so a
+   * checkpoint's nonce is taken before any update that follows the flush).
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.items.length === 0) return null;
+
+    const items = this.items;
+    const waiters = this.waiters;
+    this.items = [];
+    this.waiters = [];
+
+    let result;
+    try {
+      result = Promise.resolve(this.onFlush(items));
+    } catch (error) {
+      result = Promise.reject(error);
+    }
+    result.then(
+      (value) => waiters.forEach((w) => w.resolve(value)),
+      (error) => waiters.forEach((w) => w.reject(error))
+    );
+    return result;
+  }
+
+  // Drop the timer without flushing (the owner is going away)
+  cancel() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
@@ -1,46 +1,125 @@
 /**
  * Yellow Network State Channel Integration (Nitrolite SDK)
- * 
+ *
  * Real implementation using @erc7824/nitrolite for the Yellow Network prize
- * 
+ *
  * Integration Strategy:
  * - Imports and initializes the real Nitrolite SDK with Yellow Network testnet contracts
  * - Attempts to call actual SDK methods (createChannel, updateChannelState, closeChannel)
  * - Falls back to simulation mode if SDK API methods are unavailable or fail
  * - All game functionality remains operational regardless of SDK method availability
- * 
- * Every peg hit triggers a signed state update attempt through Yellow Network
+ *
+ * Every peg hit triggers a signed state update attempt through Yellow Network.
+ * Updates are always EIP-712 signed by the channel's session key (see
+ * yellowTypedData.js), whether or not the SDK accepts them.
+ *
+ * Setting VITE_YELLOW_CLEARNODE_URL (e.g. ws://localhost:8547) swaps the SDK
+ * for a ClearnodeClient talking to the local mock clearnode
+ * (npm run clearnode), so real message flows and failures can be exercised
+ * offline.
+ *
+ * Each game round is one YellowSession: its own channel, nonce and update
+ * log, so rounds (and tests) never share state. Sessions emit
+ * lifecycle events: opened, updated, closing, challenged, closed, failed.
+ * Once the channel opens, the player's wallet signs an authorization for
+ * the session key, which ties the round's ledger to the player. The
+ * authorized key is kept per player and chain and reused by later rounds
+ * (Pachinko opens a channel per drop), so the wallet is asked once per
+ * authorization lifetime rather than once per round.
+ *
+ * If a live cooperative close fails or times out, the session disputes the
+ * channel instead: the latest signed state goes to the adjudicator, and the
+ * player can finalize once the challenge period has expired.
  */
 
 import { NitroliteClient } from '@erc7824/nitrolite';
 import { parseUnits } from 'viem';
+import { createSessionKey, generateSessionPrivateKey, signStateUpdate, signSessionAuthorization, getStateDomain, toUsdcUnits, fromUsdcUnits } from './yellowTypedData.js';
+import { UpdateBatcher } from './yellowBatcher.js';
+import { saveOpenChannel, clearOpenChannel } from './channelStore.js';
+import { ClearnodeClient } from './clearnodeClient.js';
+import { getDeployment, resolveTargetChainId, DEFAULT_CHAIN_ID } from '../config/deployments.js';
+
+// Local mock clearnode (scripts/mock-clearnode.js) - unset uses the Nitrolite SDK
+export const CLEARNODE_URL = import.meta.env?.VITE_YELLOW_CLEARNODE_URL || null;
+
+export const SESSION_EVENTS = ['opened', 'updated', 'closing', 'challenged', 'closed', 'failed'];
+
+export const CHALLENGE_DURATION = 3600; // Seconds a challenged state can be disputed
+const COOPERATIVE_CLOSE_TIMEOUT_MS = 15000;
+
+// Reject if the promise has not settled within ms
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Authorized session keys, `player:chainId` -> { privateKey, authorization }.
+// In memory only - a reload asks the wallet again.
+const authorizedKeys = new Map();
+const KEY_REUSE_MARGIN_MS = 60 * 60 * 1000; // A new round needs this long left on the authorization
+
+const authorizedKeyId = (player, chainId) => `${player.toLowerCase()}:${chainId}`;
 
-// Yellow Network contract addresses
-const YELLOW_ADDRESSES = {
-  custody: "0x019B65A265EB3363822f2752141b3dF16131b262",
-  adjudicator: "0x7c7ccbc98469190849BCC6c926307794fDfB11F2"
-};
+// SDK calls resolve with a tx hash, the mock clearnode with { txHash, ... }
+const txHashOf = (result) => (typeof result === 'string' ? result : result?.txHash || null);
 
-// Nitrolite client instance
+// Shared Nitrolite client and player wallet - sessions default to them
 let nitroliteClient = null;
-let currentSession = null;
-let stateNonce = 0;
+let playerWallet = null;
+let clientChainId = DEFAULT_CHAIN_ID;
 
 /**
- * Initialize Nitrolite client (call once on app load)
+ * EIP-712 domain state updates on a chain are signed under (bound to the
+ * chain's Yellow adjudicator) - also what the SettlementModal verifies a
+ * ledger against
+ */
+export function getChannelDomain(chainId) {
+  return getStateDomain(chainId, getDeployment(chainId)?.adjudicator);
+}
+
+/**
+ * Initialize Nitrolite client (call on wallet connect and chain switch).
+ * Sessions run on the chain the app transacts on - the wallet's chain
+ * resolved like useDeployment() - so they sign with the same domain the
+ * settlement modal verifies against.
  */
 export async function initializeYellowNetwork(walletClient, publicClient, chainId) {
+  clientChainId = resolveTargetChainId(chainId);
+  playerWallet = walletClient || null;
+  nitroliteClient?.disconnect?.(); // Mock clearnode socket from a previous chain
+  nitroliteClient = null;
+
+  if (CLEARNODE_URL) {
+    nitroliteClient = new ClearnodeClient({ url: CLEARNODE_URL });
+    console.log(
+      `%c🟡 Yellow Network: using mock clearnode at ${CLEARNODE_URL}`,
+      'color: #fbbf24; font-weight: bold; background: #1a1a1a; padding: 4px 8px;'
+    );
+    return nitroliteClient;
+  }
+
+  // Yellow contracts for this chain (deployments.json / VITE_YELLOW_*_<chainId>)
+  const { custody, adjudicator } = getDeployment(clientChainId) || {};
+  if (!custody || !adjudicator) {
+    console.log(`%c⚠️ Yellow Network: no custody/adjudicator on chain ${clientChainId}, running in simulation mode`, 'color: #fbbf24;');
+    return null;
+  }
+
   try {
     // Initialize Nitrolite client for testnet
     nitroliteClient = new NitroliteClient({
       network: 'testnet', // Yellow Network testnet
-      chainId: chainId || 84532, // Base Sepolia
+      chainId: clientChainId,
       walletClient,
       publicClient,
-      challengeDuration: 3600, // 1 hour challenge period for disputes
+      challengeDuration: CHALLENGE_DURATION, // 1 hour challenge period for disputes
       addresses: {
-        custody: YELLOW_ADDRESSES.custody,
-        adjudicator: YELLOW_ADDRESSES.adjudicator,
+        custody,
+        adjudicator,
       },
     });
 
@@ -59,253 +138,604 @@ export async function initializeYellowNetwork(walletClient, publicClient, chainI
 }
 
 /**
- * Create a new game session (state channel)
+ * Check if the Yellow Network client is initialized
  */
-export async function createGameSession(playerAddress, depositAmount = 100) {
-  stateNonce = 0;
-  
-  try {
-    if (nitroliteClient) {
-      // TRY REAL SDK: Attempt to create actual state channel
-      const depositWei = parseUnits(depositAmount.toString(), 6); // USDC = 6 decimals
-      
-      // Attempt to call SDK method if it exists
-      if (typeof nitroliteClient.createChannel === 'function') {
-        currentSession = await nitroliteClient.createChannel({
-          participant: playerAddress,
-          asset: '0x036CbD53842c5426634e7929541eC2318f3dCF7e', // USDC on Base Sepolia
-          amount: depositWei.toString(),
-          timeout: 3600,
-        });
-
-        console.log(
-          '%c🎮 [Yellow Network] REAL State Channel Created',
-          'color: #22c55e; font-weight: bold; background: #1a1a1a; padding: 4px 8px; font-size: 12px;',
-          '\n📡 Channel ID:', currentSession.channelId,
-          '\n💰 Deposit:', depositAmount, 'USDC (REAL SDK)',
-          '\n👤 Player:', playerAddress?.slice(0, 10) + '...'
-        );
-
-        return currentSession;
-      }
-    }
-  } catch (error) {
-    console.warn('⚠️ Real SDK createChannel failed, using simulation:', error.message);
-  }
-
-  // FALLBACK: Simulation mode if SDK method doesn't exist or fails
-  currentSession = {
-    channelId: `yellow-${Date.now()}-${Math.random().toString(36).substring(7)}`,
-    participant: playerAddress,
-    balance: depositAmount,
-    nonce: 0,
-    asset: '0x036CbD53842c5426634e7929541eC2318f3dCF7e', // USDC
-    _simulated: true,
-  };
-
-  console.log(
-    '%c🎮 [Yellow Network] State Channel Created',
-    'color: #22c55e; font-weight: bold; background: #1a1a1a; padding: 4px 8px; font-size: 12px;',
-    '\n📡 Channel ID:', currentSession.channelId,
-    '\n💰 Deposit:', depositAmount, 'USDC',
-    '\n👤 Player:', playerAddress?.slice(0, 10) + '...',
-    '\n⚠️ Mode: Simulation (SDK API compatibility)'
-  );
-
-  return currentSession;
+export function isYellowConnected() {
+  return nitroliteClient !== null;
 }
 
 /**
- * Sign a peg hit event (off-chain state update)
+ * One state channel: open → SESSION_START → PEG_HIT… → BUCKET_LAND → close.
+ *
+ * Update methods assign their nonce synchronously, so calling them right
+ * after open() (without awaiting) keeps nonces in call order; signing waits
+ * for the channel to open.
+ *
+ * Peg hits are coalesced into PEG_HIT_BATCH checkpoints according to
+ * options.batchPolicy ({ maxHits, maxWaitMs } - see yellowBatcher.js).
+ *
+ * With options.persist the session is saved to the channel store as soon as
+ * its channel exists (before the wallet authorizes the key), again after
+ * every signed update, and removed once closed; YellowSession.restore()
+ * picks a saved snapshot back up after a reload.
  */
-export async function signPegHit(pegId, hitCount, yieldAmount) {
-  stateNonce++;
-
-  const stateUpdate = {
-    type: 'PEG_HIT',
-    pegId,
-    hitCount,
-    yieldDelta: yieldAmount,
-    nonce: stateNonce,
-    timestamp: Date.now(),
-  };
+export class YellowSession {
+  constructor(options = {}) {
+    this.client = options.client !== undefined ? options.client : nitroliteClient;
+    this.wallet = options.wallet !== undefined ? options.wallet : playerWallet;
+    this.chainId = options.chainId || clientChainId;
+    this.deployment = getDeployment(this.chainId); // USDC + Yellow contracts on this chain
+    this.domain = getChannelDomain(this.chainId);
+    this.asset = this.deployment?.usdc || null; // Channel asset (USDC on this chain)
+    this.mode = options.mode || 'pachinko';
+    this.ensClass = null; // Set by signSessionStart
+    this.closeTimeoutMs = options.closeTimeoutMs ?? COOPERATIVE_CLOSE_TIMEOUT_MS;
+
+    this.status = 'idle'; // idle | opening | open | closing | disputed | closed
+    this.channel = null;
+    this.player = null;
+    this.startedAt = Date.now();
+    this.nonce = -1; // SESSION_START takes nonce 0
+    this.updates = []; // Signed updates, in completion order
+    this.reusesKey = !options.sessionPrivateKey; // Restored sessions keep the key they signed with
+    this.sessionPrivateKey = options.sessionPrivateKey || generateSessionPrivateKey();
+    this.sessionKey = createSessionKey(this.sessionPrivateKey);
+    this.authorization = null; // Player's wallet signature over the session key
+    this.signedYieldUnits = 0n; // Sum of yieldDelta signed so far
+    this.pegHits = 0;
+    this.pending = new Set();
+    this.forwarding = Promise.resolve(); // Last update sent to the channel
+    this.opening = null;
+    this.closing = null;
+    this.dispute = null; // { status: challenged | failed | finalized, state, expiresAt, ... }
+    this.listeners = new Map();
+    this.batcher = new UpdateBatcher((hits) => this.signCheckpoint(hits), options.batchPolicy);
+
+    this.persist = !!options.persist;
+    if (this.persist) {
+      this.on('opened', () => this.save());
+      this.on('updated', () => this.save());
+      this.on('challenged', () => this.save());
+      this.on('closed', () => clearOpenChannel(this.player, this.chainId, this.channel.channelId));
+    }
+  }
 
-  try {
-    if (nitroliteClient && currentSession?.channelId && !currentSession._simulated) {
-      // TRY REAL SDK: Attempt to update channel state
-      if (typeof nitroliteClient.updateChannelState === 'function') {
-        const signature = await nitroliteClient.updateChannelState(
-          currentSession.channelId,
-          {
-            data: stateUpdate,
-            nonce: stateNonce,
-          }
-        );
+  // ========== PERSISTENCE ==========
+
+  /**
+   * Plain, storable copy of the session - includes the session private key
+   */
+  snapshot() {
+    return {
+      version: 1,
+      mode: this.mode,
+      player: this.player,
+      chainId: this.chainId,
+      channel: this.channel,
+      ensClass: this.ensClass,
+      nonce: this.nonce,
+      startedAt: this.startedAt,
+      sessionPrivateKey: this.sessionPrivateKey,
+      authorization: this.authorization,
+      updates: [...this.updates].sort((a, b) => a.nonce - b.nonce),
+      dispute: this.dispute,
+    };
+  }
 
-        console.log(
-          `%c📡 [Yellow Network] REAL State Update #${stateNonce}: ${signature.hash?.slice(0, 18)}...`,
-          'color: #fbbf24; font-weight: bold;'
-        );
+  save() {
+    return saveOpenChannel(this.snapshot());
+  }
 
-        return signature;
-      }
+  /**
+   * Rebuild a session from a snapshot. Yield and peg hits are recounted from
+   * the signed log, up to its first missing nonce - updates (and batched
+   * hits) still being signed at reload time are lost.
+   */
+  static restore(snapshot, options = {}) {
+    const session = new YellowSession({
+      ...options,
+      chainId: snapshot.chainId,
+      mode: snapshot.mode,
+      sessionPrivateKey: snapshot.sessionPrivateKey,
+    });
+
+    session.player = snapshot.player;
+    session.channel = snapshot.channel;
+    session.ensClass = snapshot.ensClass ?? null;
+    session.authorization = snapshot.authorization || null;
+    session.opening = Promise.resolve(snapshot.channel);
+    session.status = 'open';
+    session.startedAt = snapshot.startedAt;
+    const updates = [...snapshot.updates].sort((a, b) => a.nonce - b.nonce);
+    const gap = updates.findIndex((update, i) => update.nonce !== i);
+    session.updates = gap === -1 ? updates : updates.slice(0, gap);
+    session.nonce = session.updates.length - 1;
+
+    for (const { data } of session.updates) {
+      session.signedYieldUnits += toUsdcUnits(data.yieldDelta || 0);
+      if (data.type === 'PEG_HIT') session.pegHits++;
+      if (data.type === 'PEG_HIT_BATCH') session.pegHits += data.hits.length;
     }
-  } catch (error) {
-    // SDK method failed, fall through to simulation
-  }
-
-  // FALLBACK: Generate simulated signature
-  const mockHash = `0x${Math.random().toString(16).substring(2, 66)}`;
-  
-  console.log(
-    `%c📡 [Yellow Network] State Update #${stateNonce}: ${mockHash.slice(0, 18)}...`,
-    'color: #fbbf24; font-weight: bold;'
-  );
-
-  return {
-    hash: mockHash,
-    nonce: stateNonce,
-    timestamp: stateUpdate.timestamp,
-    data: stateUpdate,
-  };
-}
 
-/**
- * Sign a ball drop event (session start marker)
- */
-export async function signBallDrop(ensClass) {
-  stateNonce = 0;
+    // A disputed channel takes no more updates - it can only be finalized
+    if (snapshot.dispute) {
+      session.dispute = snapshot.dispute;
+      session.status = 'disputed';
+      session.closing = session.disputedState();
+    }
+    return session;
+  }
 
-  const stateUpdate = {
-    type: 'SESSION_START',
-    ensClass,
-    principal: 100,
-    nonce: 0,
-    timestamp: Date.now(),
-  };
+  // Final BUCKET_LAND already in the log, if any
+  get finalState() {
+    const last = [...this.updates].sort((a, b) => a.nonce - b.nonce).pop();
+    return last?.data.type === 'BUCKET_LAND' && last.data.isFinal ? last : null;
+  }
 
-  try {
-    if (nitroliteClient && currentSession?.channelId && !currentSession._simulated) {
-      // TRY REAL SDK: Attempt to sign session start
-      if (typeof nitroliteClient.updateChannelState === 'function') {
-        const signature = await nitroliteClient.updateChannelState(
-          currentSession.channelId,
-          { data: stateUpdate, nonce: 0 }
-        );
+  /**
+   * Close a restored session for the yield it had signed: sign a final
+   * state (unless it was signed before the reload), then close. Sessions
+   * saved before their key was authorized ask the wallet again first, and
+   * sign the session start if the reload came before it.
+   * Throws for a live channel without a Yellow client - closing it in
+   * simulation would leave the real channel open.
+   */
+  async finishRestored() {
+    if (!this.channel._simulated && !this.client) {
+      throw new Error('Yellow Network client is not connected - cannot close a live channel');
+    }
+    if (!this.authorization && !this.closing) {
+      this.authorization = await this.authorize();
+    }
+    if (this.nonce === -1) this.signSessionStart(this.ensClass || 'default');
+    const final = this.finalState;
+    const finalYield = final ? final.data.totalYield : fromUsdcUnits(this.signedYieldUnits);
+    if (!final) this.signBucketLand('Resumed', 1, finalYield);
+    return this.close(finalYield);
+  }
 
-        console.log(
-          '%c⚡ [Yellow Network] Session STARTED (REAL SDK)',
-          'color: #00f5ff; font-weight: bold; font-size: 12px;',
-          `\n🎮 ENS Class: ${ensClass}`,
-          `\n💰 Deposit: 100 USDC`,
-          `\n📝 Signature: ${signature.hash?.slice(0, 18)}...`
-        );
+  setBatchPolicy(policy) {
+    this.batcher.setPolicy(policy);
+  }
 
-        return signature;
+  // ========== EVENTS ==========
+
+  on(event, listener) {
+    if (!SESSION_EVENTS.includes(event)) throw new Error(`Unknown session event "${event}"`);
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  off(event, listener) {
+    this.listeners.get(event)?.delete(listener);
+  }
+
+  emit(event, payload) {
+    this.listeners.get(event)?.forEach((listener) => {
+      try {
+        listener(payload, this);
+      } catch (error) {
+        console.error(`❌ Yellow session "${event}" listener failed:`, error);
       }
+    });
+  }
+
+  fail(stage, error) {
+    this.emit('failed', { stage, error });
+  }
+
+  get isSimulated() {
+    return !this.channel || !!this.channel._simulated;
+  }
+
+  // Real SDK channel that still takes updates
+  get isLive() {
+    return !!this.client && !!this.channel?.channelId && !this.channel._simulated;
+  }
+
+  // ========== LIFECYCLE ==========
+
+  /**
+   * Create the state channel (real SDK when available, else simulated)
+   */
+  open(playerAddress, depositAmount = 100) {
+    if (this.opening) return this.opening;
+    this.status = 'opening';
+    this.player = playerAddress || null;
+    this.adoptAuthorizedKey();
+    this.opening = this.createChannel(playerAddress, depositAmount).then(async (channel) => {
+      this.channel = { ...channel, sessionKey: this.sessionKey.address };
+      if (this.persist) this.save(); // Before the wallet prompt - a reload there must not lose the channel
+      if (!this.authorization) this.authorization = await this.authorize();
+      this.status = 'open';
+      this.emit('opened', this.channel);
+      return this.channel;
+    });
+    return this.opening;
+  }
+
+  async createChannel(playerAddress, depositAmount) {
+    try {
+      if (this.client) {
+        // TRY REAL SDK: Attempt to create actual state channel
+        const depositWei = parseUnits(depositAmount.toString(), 6); // USDC = 6 decimals
+
+        // Attempt to call SDK method if it exists
+        if (typeof this.client.createChannel === 'function') {
+          const channel = await this.client.createChannel({
+            participant: playerAddress,
+            asset: this.asset,
+            amount: depositWei.toString(),
+            timeout: CHALLENGE_DURATION,
+            sessionKey: this.sessionKey.address,
+            domain: this.domain,
+          });
+
+          console.log(
+            '%c🎮 [Yellow Network] REAL State Channel Created',
+            'color: #22c55e; font-weight: bold; background: #1a1a1a; padding: 4px 8px; font-size: 12px;',
+            '\n📡 Channel ID:', channel.channelId,
+            '\n💰 Deposit:', depositAmount, 'USDC (REAL SDK)',
+            '\n👤 Player:', playerAddress?.slice(0, 10) + '...',
+            '\n🔑 Session key:', this.sessionKey.address
+          );
+
+          return channel;
+        }
+      }
+    } catch (error) {
+      console.warn('⚠️ Real SDK createChannel failed, using simulation:', error.message);
+      this.fail('open', error);
     }
-  } catch (error) {
-    // SDK method failed, fall through to simulation
-  }
-
-  // FALLBACK: Simulation
-  console.log(
-    '%c⚡ [Yellow Network] Session STARTED',
-    'color: #00f5ff; font-weight: bold; font-size: 12px;',
-    `\n🎮 ENS Class: ${ensClass}`,
-    `\n💰 Deposit: 100 USDC`
-  );
-
-  return { 
-    hash: `0x${Math.random().toString(16).substring(2, 66)}`, 
-    nonce: 0,
-    data: stateUpdate 
-  };
-}
 
-/**
- * Sign a bucket landing event
- */
-export async function signBucketLand(bucketLabel, multiplier, finalYield) {
-  stateNonce++;
-
-  const stateUpdate = {
-    type: 'BUCKET_LAND',
-    bucket: bucketLabel,
-    multiplier,
-    yieldDelta: finalYield,
-    isFinal: true,
-    nonce: stateNonce,
-    timestamp: Date.now(),
-  };
+    // FALLBACK: Simulation mode if SDK method doesn't exist or fails
+    const channel = {
+      channelId: `yellow-${Date.now()}-${Math.random().toString(36).substring(7)}`,
+      participant: playerAddress,
+      balance: depositAmount,
+      nonce: 0,
+      asset: this.asset,
+      _simulated: true,
+    };
 
-  try {
-    if (nitroliteClient && currentSession?.channelId && !currentSession._simulated) {
-      // TRY REAL SDK: Attempt to sign bucket landing
-      if (typeof nitroliteClient.updateChannelState === 'function') {
-        const signature = await nitroliteClient.updateChannelState(
-          currentSession.channelId,
-          { data: stateUpdate, nonce: stateNonce }
-        );
+    console.log(
+      '%c🎮 [Yellow Network] State Channel Created',
+      'color: #22c55e; font-weight: bold; background: #1a1a1a; padding: 4px 8px; font-size: 12px;',
+      '\n📡 Channel ID:', channel.channelId,
+      '\n💰 Deposit:', depositAmount, 'USDC',
+      '\n👤 Player:', playerAddress?.slice(0, 10) + '...',
+      '\n🔑 Session key:', this.sessionKey.address,
+      '\n⚠️ Mode: Simulation (SDK API compatibility)'
+    );
 
-        console.log(
-          '%c🎯 [Yellow Network] Ball Landed (REAL SDK)',
-          'color: #ff006e; font-weight: bold; font-size: 12px;',
-          `\n🎰 Bucket: ${bucketLabel}`,
-          `\n📈 Multiplier: ${multiplier}x`,
-          `\n📝 Signature: ${signature.hash?.slice(0, 18)}...`
-        );
+    return channel;
+  }
+
+  // Sign with the key this player already authorized on this chain, if its
+  // authorization outlasts the round
+  adoptAuthorizedKey() {
+    if (!this.reusesKey || !this.player) return;
+    const cached = authorizedKeys.get(authorizedKeyId(this.player, this.chainId));
+    if (!cached || Date.now() > cached.authorization.expiresAt - KEY_REUSE_MARGIN_MS) return;
+
+    this.sessionPrivateKey = cached.privateKey;
+    this.sessionKey = createSessionKey(cached.privateKey);
+    this.authorization = cached.authorization;
+    console.log('%c🔏 [Yellow Network] Reusing authorized session key', 'color: #00f5ff;', this.sessionKey.address);
+  }
+
+  /**
+   * Ask the player's wallet to authorize the session key. Without it the
+   * ledger fails verification, so a refusal is reported as a failure.
+   */
+  async authorize() {
+    try {
+      if (!this.wallet || !this.player) {
+        throw new Error('No player wallet to authorize the session key');
+      }
+      const authorization = await signSessionAuthorization(this.wallet, this.domain, {
+        player: this.player,
+        sessionKey: this.sessionKey.address,
+      });
+      if (this.reusesKey) {
+        authorizedKeys.set(authorizedKeyId(this.player, this.chainId), {
+          privateKey: this.sessionPrivateKey,
+          authorization,
+        });
+      }
+
+      console.log(
+        '%c🔏 [Yellow Network] Session key authorized by player',
+        'color: #00f5ff; font-weight: bold;',
+        `\n🔑 Session key: ${authorization.sessionKey}`,
+        `\n👤 Player: ${authorization.player.slice(0, 10)}...`
+      );
+      return authorization;
+    } catch (error) {
+      console.warn('⚠️ Session key authorization failed:', error.message);
+      this.fail('authorize', error);
+      return null;
+    }
+  }
 
-        return signature;
+  // ========== STATE UPDATES ==========
+
+  /**
+   * Sign an update with the session key, add it to the log and forward it
+   * to the channel when the SDK is live. A signing failure is logged and
+   * returns the update unsigned.
+   *
+   * Updates are forwarded one at a time in the order record() was called
+   * (nonce order), so the counterparty never sees a nonce go backwards.
+   * latencyMs on the result runs from record() to the update being accepted.
+   */
+  record(stateUpdate) {
+    const requestedAt = Date.now();
+    const signing = (async () => {
+      await this.opening;
+      return signStateUpdate(this.sessionKey, this.domain, this.channel?.channelId, stateUpdate);
+    })();
+    this.pending.add(signing);
+    const previous = this.forwarding;
+
+    const recorded = (async () => {
+      let signed;
+      try {
+        signed = await signing;
+        this.updates.push(signed);
+      } catch (error) {
+        console.error(`❌ Failed to sign ${stateUpdate.type} #${stateUpdate.nonce}:`, error);
+        this.fail('sign', error);
+        return { hash: null, signature: null, nonce: stateUpdate.nonce, timestamp: stateUpdate.timestamp, data: stateUpdate };
+      } finally {
+        this.pending.delete(signing);
       }
+
+      await previous;
+      signed.live = false;
+      try {
+        if (this.isLive && typeof this.client.updateChannelState === 'function') {
+          await this.client.updateChannelState(
+            this.channel.channelId,
+            { data: stateUpdate, nonce: stateUpdate.nonce, signature: signed.signature }
+          );
+          signed.live = true;
+        }
+      } catch (error) {
+        // SDK method failed - the update stays signed locally (simulation)
+        this.fail('update', error);
+      }
+
+      signed.latencyMs = Date.now() - requestedAt;
+      this.emit('updated', signed);
+      return signed;
+    })();
+
+    this.forwarding = recorded.catch(() => {});
+    return recorded;
+  }
+
+  // Once closing, updates are refused (and reported as a failure)
+  isClosedFor(type) {
+    if (!this.closing) return false;
+    const error = new Error(`Cannot sign ${type}: Yellow session is already closed`);
+    console.warn(`⚠️ ${error.message}`);
+    this.fail('update', error);
+    return true;
+  }
+
+  nextNonce(type) {
+    if (this.isClosedFor(type)) return null;
+    this.nonce++;
+    return this.nonce;
+  }
+
+  /**
+   * Sign the session start (ball drop / table start) - must be the first update
+   */
+  async signSessionStart(ensClass) {
+    if (this.nonce !== -1) {
+      const error = new Error('Yellow session already started');
+      console.warn(`⚠️ ${error.message}`);
+      this.fail('update', error);
+      return null;
     }
-  } catch (error) {
-    // SDK method failed, fall through to simulation
-  }
-
-  // FALLBACK: Simulation
-  console.log(
-    '%c🎯 [Yellow Network] Ball Landed',
-    'color: #ff006e; font-weight: bold; font-size: 12px;',
-    `\n🎰 Bucket: ${bucketLabel}`,
-    `\n📈 Multiplier: ${multiplier}x`
-  );
-
-  return { 
-    hash: `0x${Math.random().toString(16).substring(2, 66)}`, 
-    nonce: stateNonce,
-    data: stateUpdate 
-  };
-}
+    const nonce = this.nextNonce('SESSION_START');
+    if (nonce === null) return null;
+    this.ensClass = ensClass;
 
-/**
- * Close the session and settle on-chain
- */
-export async function closeChannel(finalYield) {
-  if (!currentSession) {
-    console.log('%c⚠️ No active Yellow session to close', 'color: #fbbf24;');
-    return null;
+    const stateUpdate = {
+      type: 'SESSION_START',
+      ensClass,
+      principal: 100,
+      nonce,
+      timestamp: Date.now(),
+    };
+
+    const signed = await this.record(stateUpdate);
+
+    console.log(
+      `%c⚡ [Yellow Network] Session STARTED${signed.live ? ' (REAL SDK)' : ''}`,
+      'color: #00f5ff; font-weight: bold; font-size: 12px;',
+      `\n🎮 ENS Class: ${ensClass}`,
+      `\n💰 Deposit: 100 USDC`,
+      `\n📝 Signature: ${signed.hash?.slice(0, 18)}...`
+    );
+
+    return signed;
   }
 
-  const channelId = currentSession.channelId;
-  const totalUpdates = stateNonce;
-  let settlementTx = null;
+  /**
+   * Sign a peg hit event (off-chain state update)
+   */
+  async signPegHit(pegId, hitCount, yieldAmount) {
+    if (this.isClosedFor('PEG_HIT')) return null;
 
-  try {
-    if (nitroliteClient && currentSession?.channelId && !currentSession._simulated) {
-      // TRY REAL SDK: Attempt to close channel and settle on-chain
-      const finalBalance = parseUnits((100 + finalYield).toFixed(6), 6);
-      
-      if (typeof nitroliteClient.closeChannel === 'function') {
-        const settlement = await nitroliteClient.closeChannel(
-          currentSession.channelId,
-          {
-            finalBalance: finalBalance.toString(),
-            cooperativeClose: true,
-          }
+    this.pegHits++;
+    this.signedYieldUnits += toUsdcUnits(yieldAmount);
+    return this.batcher.add({ pegId, hitCount, yieldDelta: yieldAmount, timestamp: Date.now() });
+  }
+
+  /**
+   * Sign a checkpoint covering a batch of peg hits (called by the batcher)
+   */
+  async signCheckpoint(hits) {
+    const nonce = this.nextNonce('PEG_HIT_BATCH');
+    if (nonce === null) return null;
+
+    const yieldUnits = hits.reduce((sum, hit) => sum + toUsdcUnits(hit.yieldDelta), 0n);
+    const stateUpdate = {
+      type: 'PEG_HIT_BATCH',
+      hits,
+      yieldDelta: fromUsdcUnits(yieldUnits),
+      nonce,
+      timestamp: Date.now(),
+    };
+
+    const signed = await this.record(stateUpdate);
+
+    console.log(
+      `%c📡 [Yellow Network] ${signed.live ? 'REAL ' : ''}State Update #${nonce}: ${hits.length} peg hit${hits.length > 1 ? 's' : ''} → ${signed.hash?.slice(0, 18)}...`,
+      'color: #fbbf24; font-weight: bold;'
+    );
+
+    return signed;
+  }
+
+  /**
+   * Sign a bucket landing event - the final state. Its yieldDelta is whatever
+   * the bucket multiplier (and unsigned yield accrual) added on top of the
+   * signed peg hits, so the session's deltas sum to finalYield.
+   */
+  async signBucketLand(bucketLabel, multiplier, finalYield) {
+    this.batcher.flush(); // Pending peg hits checkpoint first
+    const nonce = this.nextNonce('BUCKET_LAND');
+    if (nonce === null) return null;
+
+    const yieldDelta = toUsdcUnits(finalYield) - this.signedYieldUnits;
+    this.signedYieldUnits += yieldDelta;
+
+    const stateUpdate = {
+      type: 'BUCKET_LAND',
+      bucket: bucketLabel,
+      multiplier,
+      yieldDelta: fromUsdcUnits(yieldDelta),
+      totalYield: finalYield,
+      isFinal: true,
+      nonce,
+      timestamp: Date.now(),
+    };
+
+    const signed = await this.record(stateUpdate);
+
+    console.log(
+      `%c🎯 [Yellow Network] Ball Landed${signed.live ? ' (REAL SDK)' : ''}`,
+      'color: #ff006e; font-weight: bold; font-size: 12px;',
+      `\n🎰 Bucket: ${bucketLabel}`,
+      `\n📈 Multiplier: ${multiplier}x`,
+      `\n📝 Signature: ${signed.hash?.slice(0, 18)}...`
+    );
+
+    return signed;
+  }
+
+  // Resolve in-flight signatures, then return the log in nonce order
+  async getSignedUpdates() {
+    await Promise.allSettled([...this.pending]);
+    return [...this.updates].sort((a, b) => a.nonce - b.nonce);
+  }
+
+  // ========== CLOSE ==========
+
+  /**
+   * End a round: sign the final state, then close the channel. Never
+   * rejects - resolves with what the SettlementModal needs:
+   * { channelStatus: settled | disputed | failed, channelState, channelError }.
+   * If the final state cannot be signed the channel stays open (and, with
+   * persist, is offered again by the resume prompt).
+   */
+  async settleRound(bucketLabel, multiplier, finalYield) {
+    try {
+      const signed = await this.signBucketLand(bucketLabel, multiplier, finalYield);
+      if (!signed?.signature) throw new Error('Final state could not be signed');
+
+      const channelState = await this.close(finalYield);
+      if (!channelState) throw new Error('Channel could not be closed');
+
+      const channelStatus = channelState.dispute && channelState.dispute.status !== 'finalized' ? 'disputed' : 'settled';
+      return { channelStatus, channelState, channelError: null };
+    } catch (error) {
+      console.error('❌ Channel settlement failed:', error);
+      this.fail('settle', error);
+      return { channelStatus: 'failed', channelState: null, channelError: error.message };
+    }
+  }
+
+  /**
+   * End a round left without a result (the table was closed mid-game) for
+   * the yield signed so far, like settleRound(). Once the round is closing
+   * this only returns that close. Resolves null if the channel never opened.
+   */
+  abandon() {
+    if (this.closing) return this.closing;
+    if (!this.opening) return Promise.resolve(null);
+    return this.settleRound('Abandoned', 1, fromUsdcUnits(this.signedYieldUnits));
+  }
+
+  /**
+   * Close the session and settle on-chain. Closing twice returns the same
+   * channel state.
+   */
+  close(finalYield) {
+    if (!this.closing) {
+      this.batcher.flush();
+      this.closing = this.settle(finalYield);
+    }
+    return this.closing;
+  }
+
+  async settle(finalYield) {
+    if (!this.opening) {
+      console.log('%c⚠️ No active Yellow session to close', 'color: #fbbf24;');
+      return null;
+    }
+
+    await this.opening;
+    this.status = 'closing';
+    this.emit('closing', { channelId: this.channel.channelId, finalYield });
+
+    const channelId = this.channel.channelId;
+    const totalUpdates = Math.max(0, this.nonce);
+    let settlementTx = null;
+
+    const receipt = await this.receipt();
+    await this.forwarding; // Channel has every update before it is closed
+
+    try {
+      if (this.isLive) {
+        // A live channel that cannot be closed cooperatively must be disputed,
+        // not reported as settled
+        if (typeof this.client.closeChannel !== 'function') {
+          throw new Error('Yellow client does not support cooperative close');
+        }
+
+        // TRY REAL SDK: Attempt to close channel and settle on-chain
+        const finalBalance = parseUnits((100 + finalYield).toFixed(6), 6);
+
+        const settlement = await withTimeout(
+          this.client.closeChannel(
+            channelId,
+            {
+              finalBalance: finalBalance.toString(),
+              cooperativeClose: true,
+            }
+          ),
+          this.closeTimeoutMs,
+          'Cooperative close'
         );
 
-        settlementTx = settlement.txHash;
+        settlementTx = txHashOf(settlement);
 
         console.log(
           '%c💰 [Yellow Network] Channel Closed & Settled (REAL SDK)',
@@ -317,57 +747,168 @@ export async function closeChannel(finalYield) {
           `\n✅ On-chain settlement confirmed`
         );
 
-        const channelState = {
+        return this.finish({
           channelId: channelId,
           finalYield,
-          totalPegHits: totalUpdates,
+          totalPegHits: this.pegHits,
           settlementTx,
           closedAt: Date.now(),
-        };
+          ...receipt,
+        });
+      }
+    } catch (error) {
+      console.warn('⚠️ Cooperative close failed, challenging on-chain:', error.message);
+      this.fail('close', error);
+      // The counterparty is unresponsive - dispute with the latest signed state
+      return this.challenge(finalYield);
+    }
 
-        currentSession = null;
-        stateNonce = 0;
+    // FALLBACK: Simulation mode
+    console.log(
+      '%c💰 [Yellow Network] Channel Closed & Settled',
+      'color: #22c55e; font-weight: bold; background: #1a1a1a; padding: 4px 8px; font-size: 12px;',
+      `\n📊 Channel ID: ${channelId}`,
+      `\n🎯 State Updates: ${totalUpdates}`,
+      `\n💵 Final Yield: ${finalYield.toFixed(6)} USDC`,
+      `\n⚡ Settlement: On-chain (simulated)`
+    );
 
-        return channelState;
+    return this.finish({
+      channelId: channelId,
+      finalYield,
+      totalPegHits: this.pegHits,
+      closedAt: Date.now(),
+      ...receipt,
+    });
+  }
+
+  // Session key, its authorization and every signed update, so the receipt
+  // can be verified against the player
+  async receipt() {
+    return {
+      sessionKey: this.sessionKey.address,
+      authorization: this.authorization,
+      domain: this.domain,
+      signedUpdates: await this.getSignedUpdates(),
+    };
+  }
+
+  // ========== DISPUTES ==========
+
+  /**
+   * Submit the latest signed state to the adjudicator, starting the
+   * challenge period. Also used to retry a submission that failed.
+   * Resolves with a channelState whose `dispute` describes the challenge.
+   */
+  async challenge(finalYield = this.dispute?.finalYield) {
+    const channelId = this.channel.channelId;
+    const signedUpdates = await this.getSignedUpdates();
+    const state = signedUpdates[signedUpdates.length - 1];
+    this.status = 'disputed';
+
+    try {
+      if (typeof this.client?.challengeChannel !== 'function') {
+        throw new Error('Yellow client cannot submit challenges');
       }
+      const result = await this.client.challengeChannel({ channelId, candidateState: state, proofStates: [] });
+      const submittedAt = Date.now();
+
+      this.dispute = {
+        status: 'challenged',
+        channelId,
+        finalYield,
+        state,
+        challengeTx: txHashOf(result),
+        adjudicator: this.deployment?.adjudicator || null,
+        submittedAt,
+        expiresAt: result?.challengeExpiresAt || submittedAt + CHALLENGE_DURATION * 1000,
+      };
+
+      console.log(
+        '%c⚖️ [Yellow Network] Channel Challenged',
+        'color: #fbbf24; font-weight: bold; background: #1a1a1a; padding: 4px 8px; font-size: 12px;',
+        `\n📊 Channel ID: ${channelId}`,
+        `\n📝 Latest state: nonce ${state?.nonce}`,
+        `\n⛓️ Challenge Tx: ${this.dispute.challengeTx?.slice(0, 18)}...`,
+        `\n⏳ Finalizable: ${new Date(this.dispute.expiresAt).toLocaleString()}`
+      );
+    } catch (error) {
+      console.error('❌ Challenge submission failed:', error);
+      this.dispute = { status: 'failed', channelId, finalYield, state, error: error.message };
+      this.fail('challenge', error);
     }
-  } catch (error) {
-    console.warn('⚠️ Real SDK closeChannel failed, using simulation:', error.message);
-  }
-
-  // FALLBACK: Simulation mode
-  console.log(
-    '%c💰 [Yellow Network] Channel Closed & Settled',
-    'color: #22c55e; font-weight: bold; background: #1a1a1a; padding: 4px 8px; font-size: 12px;',
-    `\n📊 Channel ID: ${channelId}`,
-    `\n🎯 State Updates: ${totalUpdates}`,
-    `\n💵 Final Yield: ${finalYield.toFixed(6)} USDC`,
-    `\n⚡ Settlement: On-chain (simulated)`
-  );
-
-  const channelState = {
-    channelId: channelId,
-    finalYield,
-    totalPegHits: totalUpdates,
-    closedAt: Date.now(),
-  };
-
-  currentSession = null;
-  stateNonce = 0;
-
-  return channelState;
-}
 
-/**
- * Get current session info
- */
-export function getCurrentSession() {
-  return currentSession;
-}
+    this.emit('challenged', this.dispute);
+    return this.disputedState();
+  }
 
-/**
- * Check if Yellow Network is connected
- */
-export function isYellowConnected() {
-  return nitroliteClient !== null && currentSession !== null;
+  // Milliseconds until a challenged channel can be finalized (null if not challenged)
+  get challengeRemainingMs() {
+    if (this.dispute?.status !== 'challenged') return null;
+    return Math.max(0, this.dispute.expiresAt - Date.now());
+  }
+
+  /**
+   * Close a challenged channel on the challenged state once the challenge
+   * period has expired. Resolves with the final channelState, or null if
+   * the channel cannot be finalized yet.
+   */
+  async finalizeChallenge() {
+    const remaining = this.challengeRemainingMs;
+    if (remaining === null || remaining > 0) {
+      const error = new Error(remaining === null
+        ? 'No challenge to finalize'
+        : `Challenge period still running (${Math.ceil(remaining / 1000)}s left)`);
+      console.warn(`⚠️ ${error.message}`);
+      this.fail('finalize', error);
+      return null;
+    }
+
+    const { channelId, finalYield, state } = this.dispute;
+    try {
+      const finalBalance = parseUnits((100 + finalYield).toFixed(6), 6);
+      const result = await this.client.closeChannel(
+        channelId,
+        {
+          finalBalance: finalBalance.toString(),
+          cooperativeClose: false,
+          finalState: state,
+        }
+      );
+      const settlementTx = txHashOf(result);
+      this.dispute = { ...this.dispute, status: 'finalized', finalizeTx: settlementTx, finalizedAt: Date.now() };
+
+      console.log(
+        '%c💰 [Yellow Network] Challenged Channel Finalized',
+        'color: #22c55e; font-weight: bold; background: #1a1a1a; padding: 4px 8px; font-size: 12px;',
+        `\n📊 Channel ID: ${channelId}`,
+        `\n💵 Final Yield: ${finalYield.toFixed(6)} USDC`,
+        `\n⛓️ Settlement Tx: ${settlementTx?.slice(0, 18)}...`
+      );
+
+      return this.finish({ ...(await this.disputedState()), settlementTx, closedAt: this.dispute.finalizedAt });
+    } catch (error) {
+      console.error('❌ Failed to finalize challenged channel:', error);
+      this.fail('finalize', error);
+      return null;
+    }
+  }
+
+  async disputedState() {
+    return {
+      channelId: this.channel.channelId,
+      finalYield: this.dispute.finalYield,
+      totalPegHits: this.pegHits,
+      closedAt: null,
+      dispute: this.dispute,
+      ...(await this.receipt()),
+    };
+  }
+
+  finish(channelState) {
+    this.status = 'closed';
+    this.channelState = channelState;
+    this.emit('closed', channelState);
+    return channelState;
+  }
 }
@@ -0,0 +1,243 @@
+/**
+ * Yellow Network State Update Signing (EIP-712)
+ *
+ * Every off-chain state update (SESSION_START, PEG_HIT, BUCKET_LAND) is an
+ * EIP-712 typed message signed by an ephemeral session key created when the
+ * channel opens. The session key only leaves memory for the browser's own
+ * channel store (to resume after a reload).
+ *
+ * The key is tied to the player by a SessionKeyAuthorization the player's
+ * wallet signs for a chain's domain, valid until expiresAt - later rounds on
+ * the same chain reuse the key instead of asking the wallet again. Updates
+ * bind their own channelId, so one authorization can cover several
+ * channels. The settlement receipt carries the authorization, so a verifier
+ * that knows the player can recover the wallet signature, learn the session
+ * key from it and check every update against it - in simulation mode too.
+ *
+ * Amounts are USDC base units (6 decimals), multipliers are basis points.
+ * yieldDelta is the change since the previous update, so the deltas of a
+ * session add up to the BUCKET_LAND totalYield. A PEG_HIT_BATCH checkpoint
+ * carries every hit it covers; its yieldDelta is the sum of theirs.
+ */
+
+import { hashTypedData, recoverTypedDataAddress, parseUnits, formatUnits, isAddressEqual } from 'viem';
+import { generatePrivateKey, privateKeyToAccount } from 'viem/accounts';
+
+export const USDC_DECIMALS = 6;
+
+// Typed-data schema - one struct per update type
+export const STATE_UPDATE_TYPES = {
+  SessionStart: [
+    { name: 'channelId', type: 'string' },
+    { name: 'ensClass', type: 'string' },
+    { name: 'principal', type: 'uint256' },
+    { name: 'nonce', type: 'uint64' },
+    { name: 'timestamp', type: 'uint64' },
+  ],
+  PegHit: [
+    { name: 'channelId', type: 'string' },
+    { name: 'pegId', type: 'string' },
+    { name: 'hitCount', type: 'uint32' },
+    { name: 'yieldDelta', type: 'uint256' },
+    { name: 'nonce', type: 'uint64' },
+    { name: 'timestamp', type: 'uint64' },
+  ],
+  PegHitDetail: [
+    { name: 'pegId', type: 'string' },
+    { name: 'hitCount', type: 'uint32' },
+    { name: 'yieldDelta', type: 'uint256' },
+    { name: 'timestamp', type: 'uint64' },
+  ],
+  PegHitBatch: [
+    { name: 'channelId', type: 'string' },
+    { name: 'hits', type: 'PegHitDetail[]' },
+    { name: 'yieldDelta', type: 'uint256' },
+    { name: 'nonce', type: 'uint64' },
+    { name: 'timestamp', type: 'uint64' },
+  ],
+  BucketLand: [
+    { name: 'channelId', type: 'string' },
+    { name: 'bucket', type: 'string' },
+    { name: 'multiplierBps', type: 'uint32' },
+    { name: 'yieldDelta', type: 'int256' },
+    { name: 'totalYield', type: 'uint256' },
+    { name: 'isFinal', type: 'bool' },
+    { name: 'nonce', type: 'uint64' },
+    { name: 'timestamp', type: 'uint64' },
+  ],
+};
+
+// Wallet-signed binding of a session key to the player, until expiresAt
+export const SESSION_AUTH_TYPES = {
+  SessionKeyAuthorization: [
+    { name: 'player', type: 'address' },
+    { name: 'sessionKey', type: 'address' },
+    { name: 'issuedAt', type: 'uint64' },
+    { name: 'expiresAt', type: 'uint64' },
+  ],
+};
+
+export const SESSION_KEY_TTL_MS = 12 * 60 * 60 * 1000; // How long an authorization covers updates
+
+// State update type -> EIP-712 primary type
+export const PRIMARY_TYPES = {
+  SESSION_START: 'SessionStart',
+  PEG_HIT: 'PegHit',
+  PEG_HIT_BATCH: 'PegHitBatch',
+  BUCKET_LAND: 'BucketLand',
+};
+
+/**
+ * Domain for a channel's updates, bound to the chain and the adjudicator
+ * that would judge a dispute (left out on chains without one).
+ */
+export function getStateDomain(chainId, verifyingContract) {
+  return {
+    name: 'YieldBall',
+    version: '1',
+    chainId,
+    ...(verifyingContract ? { verifyingContract } : {}),
+  };
+}
+
+export function toUsdcUnits(amount) {
+  return parseUnits((Number(amount) || 0).toFixed(USDC_DECIMALS), USDC_DECIMALS);
+}
+
+export function fromUsdcUnits(units) {
+  return Number(formatUnits(units, USDC_DECIMALS));
+}
+
+/**
+ * Ephemeral session key account. Pass the private key of a persisted session
+ * to resume signing with the same key.
+ */
+export function createSessionKey(privateKey = generatePrivateKey()) {
+  return privateKeyToAccount(privateKey);
+}
+
+export { generatePrivateKey as generateSessionPrivateKey };
+
+/**
+ * Typed message for a plain state update ({ type, nonce, timestamp, ... }).
+ */
+export function toTypedMessage(channelId, update) {
+  const base = {
+    channelId: channelId || '',
+    nonce: BigInt(update.nonce),
+    timestamp: BigInt(update.timestamp),
+  };
+
+  switch (update.type) {
+    case 'SESSION_START':
+      return { ...base, ensClass: update.ensClass || 'default', principal: toUsdcUnits(update.principal) };
+    case 'PEG_HIT':
+      return { ...base, pegId: String(update.pegId), hitCount: update.hitCount, yieldDelta: toUsdcUnits(update.yieldDelta) };
+    case 'PEG_HIT_BATCH':
+      return {
+        ...base,
+        hits: update.hits.map((hit) => ({
+          pegId: String(hit.pegId),
+          hitCount: hit.hitCount,
+          yieldDelta: toUsdcUnits(hit.yieldDelta),
+          timestamp: BigInt(hit.timestamp),
+        })),
+        yieldDelta: toUsdcUnits(update.yieldDelta),
+      };
+    case 'BUCKET_LAND':
+      return {
+        ...base,
+        bucket: update.bucket,
+        multiplierBps: Math.round(update.multiplier * 10000),
+        yieldDelta: toUsdcUnits(update.yieldDelta),
+        totalYield: toUsdcUnits(update.totalYield),
+        isFinal: !!update.isFinal,
+      };
+    default:
+      throw new Error(`Unknown state update type "${update.type}"`);
+  }
+}
+
+const typedData = (domain, channelId, update) => ({
+  domain,
+  types: STATE_UPDATE_TYPES,
+  primaryType: PRIMARY_TYPES[update.type],
+  message: toTypedMessage(channelId, update),
+});
+
+/**
+ * Sign a state update with the session key.
+ * Returns { hash, signature, signer, channelId, nonce, timestamp, data }.
+ */
+export async function signStateUpdate(sessionKey, domain, channelId, update) {
+  const payload = typedData(domain, channelId, update);
+  const signature = await sessionKey.signTypedData(payload);
+
+  return {
+    hash: hashTypedData(payload),
+    signature,
+    signer: sessionKey.address,
+    channelId: channelId || '',
+    nonce: update.nonce,
+    timestamp: update.timestamp,
+    data: update,
+  };
+}
+
+const authorizationTypedData = (domain, authorization) => ({
+  domain,
+  types: SESSION_AUTH_TYPES,
+  primaryType: 'SessionKeyAuthorization',
+  message: {
+    player: authorization.player,
+    sessionKey: authorization.sessionKey,
+    issuedAt: BigInt(authorization.issuedAt),
+    expiresAt: BigInt(authorization.expiresAt),
+  },
+});
+
+/**
+ * Have the player's wallet (a viem WalletClient) authorize a session key for
+ * SESSION_KEY_TTL_MS. Returns { player, sessionKey, issuedAt, expiresAt,
+ * signature }.
+ */
+export async function signSessionAuthorization(walletClient, domain, { player, sessionKey }) {
+  const issuedAt = Date.now();
+  const authorization = { player, sessionKey, issuedAt, expiresAt: issuedAt + SESSION_KEY_TTL_MS };
+  const signature = await walletClient.signTypedData({
+    account: walletClient.account || player,
+    ...authorizationTypedData(domain, authorization),
+  });
+  return { ...authorization, signature };
+}
+
+/**
+ * Check an authorization was signed by the expected player's wallet
+ */
+export async function verifySessionAuthorization(authorization, domain, expectedPlayer) {
+  try {
+    const recovered = await recoverTypedDataAddress({
+      ...authorizationTypedData(domain, authorization),
+      signature: authorization.signature,
+    });
+    return isAddressEqual(recovered, expectedPlayer) && isAddressEqual(authorization.player, expectedPlayer);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Recover a signed update's signer and compare it to the expected session
+ * key address (defaults to the signer it claims).
+ */
+export async function verifyStateUpdate(signed, domain, expectedSigner = signed.signer) {
+  try {
+    const recovered = await recoverTypedDataAddress({
+      ...typedData(domain, signed.channelId, signed.data),
+      signature: signed.signature,
+    });
+    return isAddressEqual(recovered, expectedSigner);
+  } catch {
+    return false;
+  }
+}